@@ -0,0 +1,124 @@
+/**
+ * Acceleration Indicator Module
+ * Draws the acceleration vector (G-force circle) onto a canvas context.
+ * Shared by the telemetry dashboard and the burned-in video overlay.
+ */
+
+// Acceleration canvas rendering constants
+const MAX_ACCEL = 15;           // m/s^2 (~1.5g) full scale
+const CROSSHAIR_SIZE = 5;
+const REF_CIRCLES = [0.33, 0.66];
+const LIGHT_THRESHOLD = 2;      // m/s^2
+const MODERATE_THRESHOLD = 5;   // m/s^2
+const ARROW_MIN_ACCEL = 3;      // m/s^2
+
+/**
+ * Draw acceleration vector centered at (centerX, centerY).
+ * scale multiplies line widths and marker sizes (1 = dashboard size).
+ * Returns the total 3D acceleration magnitude in m/s^2.
+ */
+export function drawAccelerationIndicator(ctx, acceleration, centerX, centerY, maxRadius, scale = 1) {
+    // Draw center crosshairs
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1 * scale;
+    ctx.beginPath();
+    ctx.moveTo(centerX - CROSSHAIR_SIZE * scale, centerY);
+    ctx.lineTo(centerX + CROSSHAIR_SIZE * scale, centerY);
+    ctx.moveTo(centerX, centerY - CROSSHAIR_SIZE * scale);
+    ctx.lineTo(centerX, centerY + CROSSHAIR_SIZE * scale);
+    ctx.stroke();
+
+    // Draw reference circles (for scale)
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 0.5 * scale;
+    REF_CIRCLES.forEach(ratio => {
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, maxRadius * ratio, 0, Math.PI * 2);
+        ctx.stroke();
+    });
+
+    // Get acceleration values
+    // X = forward/backward (positive = forward acceleration, negative = braking)
+    // Y = left/right (positive = right, negative = left)
+    // Z = vertical (positive = up, negative = down)
+    const accelX = acceleration.x || 0;
+    const accelY = acceleration.y || 0;
+    const accelZ = acceleration.z || 0;
+
+    // Calculate total 3D acceleration magnitude (for G-force display)
+    const accelMagnitude = Math.sqrt(accelX * accelX + accelY * accelY + accelZ * accelZ);
+
+    // Calculate horizontal plane magnitude (for visual arrow direction/length)
+    const accelHorizontal = Math.sqrt(accelX * accelX + accelY * accelY);
+
+    // Scale factor: Tesla Model Y can exceed 1g during hard braking and Performance acceleration
+    // Use 1.5g as full scale to prevent clipping during hard maneuvers
+    const scaleFactor = maxRadius / MAX_ACCEL;
+
+    // Calculate vector endpoint (using horizontal components only for 2D display)
+    // Note: Canvas Y-axis is inverted (down is positive), so negate accelX
+    const vectorX = centerX + (accelY * scaleFactor);
+    const vectorY = centerY - (accelX * scaleFactor); // Negate for correct direction
+
+    // Clamp to circle boundary
+    const dx = vectorX - centerX;
+    const dy = vectorY - centerY;
+    const magnitude = Math.sqrt(dx * dx + dy * dy);
+    let endX = vectorX;
+    let endY = vectorY;
+
+    if (magnitude > maxRadius) {
+        const angle = Math.atan2(dy, dx);
+        endX = centerX + Math.cos(angle) * maxRadius;
+        endY = centerY + Math.sin(angle) * maxRadius;
+    }
+
+    // Color based on total 3D magnitude (green -> yellow -> red)
+    // Using total magnitude ensures color represents true G-force intensity
+    let vectorColor;
+    if (accelMagnitude < LIGHT_THRESHOLD) {
+        vectorColor = '#00ff00'; // Green (light)
+    } else if (accelMagnitude < MODERATE_THRESHOLD) {
+        vectorColor = '#ffff00'; // Yellow (moderate)
+    } else {
+        vectorColor = '#ff0000'; // Red (strong)
+    }
+
+    // Draw the vector line
+    ctx.strokeStyle = vectorColor;
+    ctx.lineWidth = 3 * scale;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(endX, endY);
+    ctx.stroke();
+
+    // Draw arrowhead (only for significant horizontal forces)
+    if (accelHorizontal > ARROW_MIN_ACCEL) {
+        const angle = Math.atan2(endY - centerY, endX - centerX);
+        const arrowLength = 8 * scale;
+        const arrowAngle = Math.PI / 6;
+
+        ctx.fillStyle = vectorColor;
+        ctx.beginPath();
+        ctx.moveTo(endX, endY);
+        ctx.lineTo(
+            endX - arrowLength * Math.cos(angle - arrowAngle),
+            endY - arrowLength * Math.sin(angle - arrowAngle)
+        );
+        ctx.lineTo(
+            endX - arrowLength * Math.cos(angle + arrowAngle),
+            endY - arrowLength * Math.sin(angle + arrowAngle)
+        );
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Draw center dot
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 3 * scale, 0, Math.PI * 2);
+    ctx.fill();
+
+    return accelMagnitude;
+}
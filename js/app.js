@@ -13,18 +13,43 @@ import { TelemetryDecoder } from './telemetry-decoder.js';
 import { Settings } from './settings.js';
 import { MapController } from './map-controller.js';
 import { TimelineController } from './timeline-controller.js';
+import { CameraGrid } from './camera-grid.js';
+import { EventLibrary } from './event-library.js';
+import { TelemetryExporter } from './telemetry-exporter.js';
+import { drawAccelerationIndicator } from './acceleration-indicator.js';
+import { VideoExporter } from './video-exporter.js';
+import { DiagnosticsPanel } from './diagnostics-panel.js';
+import { ClipTrimmer } from './clip-trimmer.js';
+import { RawFieldsPanel } from './raw-fields-panel.js';
+import { TripStatsPanel } from './trip-stats-panel.js';
+import { EventRulesEditor } from './event-rules-editor.js';
+import { EventList } from './event-list.js';
+import { TileSources } from './tile-sources.js';
 
 class TeslaDashcamApp {
     constructor() {
         this.fileLoader = null;
+        this.eventLibrary = null;
         this.videoPlayer = null;
+        this.cameraGrid = null;
         this.mp4Parser = null;
         this.telemetryDecoder = null;
         this.settings = null;
         this.mapController = null;
         this.timelineController = null;
+        this.telemetryExporter = null;
+        this.videoExporter = null;
+        this.diagnosticsPanel = null;
+        this.rawFieldsPanel = null;
+        this.tripStatsPanel = null;
+        this.eventRulesEditor = null;
+        this.eventList = null;
+        // Map tiles picked from a local folder or .mbtiles file this session (TileSources.indexFolder / openMBTiles)
+        this.localTiles = null;
         this.currentFile = null;
         this.telemetryData = null;
+        // Rebuilt MP4 blobs of clips cut off without a moov box, by original File
+        this.recoveredClips = new Map();
         this._parseGeneration = 0;
 
         // UI Elements
@@ -41,7 +66,18 @@ class TeslaDashcamApp {
             videoMetadata: document.getElementById('videoMetadata'),
             settingsBtn: document.getElementById('settingsBtn'),
             settingsPanel: document.getElementById('settingsPanel'),
-            closeSettingsBtn: document.getElementById('closeSettingsBtn')
+            closeSettingsBtn: document.getElementById('closeSettingsBtn'),
+            backToLibraryBtn: document.getElementById('backToLibraryBtn'),
+            exportMenu: document.getElementById('exportMenu'),
+            exportRangeToggle: document.getElementById('exportRangeToggle'),
+            exportRangeLabel: document.getElementById('exportRangeLabel'),
+            exportFormatSelect: document.getElementById('exportFormatSelect'),
+            exportBtn: document.getElementById('exportBtn'),
+            exportVideoBtn: document.getElementById('exportVideoBtn'),
+            trimClipBtn: document.getElementById('trimClipBtn'),
+            cancelLoadingBtn: document.getElementById('cancelLoadingBtn'),
+            diagnosticsBtn: document.getElementById('diagnosticsBtn'),
+            downloadRecoveredBtn: document.getElementById('downloadRecoveredBtn')
         };
     }
 
@@ -52,22 +88,125 @@ class TeslaDashcamApp {
         try {
             // Initialize file loader
             this.fileLoader = new FileLoader();
-            this.fileLoader.initialize('fileInput', 'dropZone');
+            this.fileLoader.initialize('fileInput', 'dropZone', 'folderInput');
             this.fileLoader.onFileSelected(this.handleFileSelected.bind(this));
 
+            // Initialize event library (TeslaCam folder browsing)
+            this.eventLibrary = new EventLibrary('eventLibrary');
+            this.fileLoader.onLibraryLoaded((library) => {
+                this.eventLibrary.render(library);
+            });
+            this.eventLibrary.onClipSelected((clip) => {
+                this.fileLoader.selectClipGroup(clip);
+            });
+            this.eventLibrary.onSessionSelected((clips) => {
+                this.fileLoader.selectSession(clips);
+            });
+
             // Initialize video player
             this.videoPlayer = new VideoPlayer('videoPlayer');
             this.setupVideoPlayerCallbacks();
 
+            // Initialize multi-camera grid (slaved to the video player)
+            this.cameraGrid = new CameraGrid('cameraGrid', 'cameraSelector', this.videoPlayer);
+
             // Initialize MP4 parser
             this.mp4Parser = new MP4Parser();
 
             // Initialize telemetry decoder
             this.telemetryDecoder = new TelemetryDecoder();
+            this.telemetryExporter = new TelemetryExporter(this.telemetryDecoder);
+            this.videoExporter = new VideoExporter(this.telemetryDecoder);
+
+            // Initialize parser diagnostics panel
+            this.diagnosticsPanel = new DiagnosticsPanel('diagnosticsPanel');
+            this.diagnosticsPanel.initialize();
+
+            // Initialize raw SEI fields panel in the telemetry dashboard
+            this.rawFieldsPanel = new RawFieldsPanel('rawFieldsPanel');
+            this.rawFieldsPanel.initialize();
+
+            // Initialize trip summary panel
+            this.tripStatsPanel = new TripStatsPanel('tripStatsPanel');
+            this.tripStatsPanel.initialize();
+
+            // Initialize event list sidebar
+            this.eventList = new EventList('eventListPanel', this.videoPlayer);
+            this.eventList.initialize((time) => this.getFrameSource(time));
 
             // Initialize settings
             this.settings = new Settings();
             this.settings.initialize();
+            this.telemetryDecoder.setInterpolation(this.settings.get('interpolateTelemetry'));
+            this.settings.onInterpolationChange((enabled) => {
+                this.telemetryDecoder.setInterpolation(enabled);
+                if (this.telemetryDecoder.hasTelemetry()) {
+                    this.updateTelemetryOverlay(this.videoPlayer.currentTime);
+                }
+            });
+            this.telemetryDecoder.setGpsSmoothing(this.settings.get('smoothGps'));
+            this.settings.onGpsSmoothingChange((enabled) => {
+                this.telemetryDecoder.setGpsSmoothing(enabled);
+                if (this.telemetryDecoder.hasTelemetry()) {
+                    this.refreshGpsViews();
+                }
+            });
+
+            // Event detection rules (edited in the settings panel)
+            this.eventRulesEditor = new EventRulesEditor('eventRulesEditor');
+            this.eventRulesEditor.initialize(this.settings.get('eventRules'));
+            this.eventRulesEditor.onChange((rules) => {
+                try {
+                    this.settings.setEventRules(rules);
+                } catch (error) {
+                    this.showError('Event Rules', error.message);
+                }
+            });
+            this.eventRulesEditor.onError((error) => {
+                this.showError('Event Rules', error.message);
+            });
+            this.settings.onEventRulesChange((rules) => {
+                if (this.timelineController) {
+                    this.timelineController.setRules(rules);
+                }
+            });
+
+            this.settings.onMapTilesChange(() => {
+                this.applyMapTiles();
+            });
+            this.settings.onTileFolderChange((files) => {
+                try {
+                    this.useLocalTiles(TileSources.indexFolder(files));
+                } catch (error) {
+                    this.showError('Map Tiles', error.message);
+                }
+            });
+            this.settings.onTileFileChange(async (file) => {
+                try {
+                    this.settings.showTileFolderStatus(`Reading ${file.name}…`);
+                    this.useLocalTiles(await TileSources.openMBTiles(file));
+                } catch (error) {
+                    this.settings.showTileFolderStatus(this.localTiles ? this.describeLocalTiles() : 'No tiles loaded');
+                    this.showError('Map Tiles', error.message);
+                }
+            });
+
+            this.settings.onSpeedUnitChange((unit) => {
+                if (this.telemetryDecoder.hasTelemetry()) {
+                    this.updateTripStats();
+                }
+                if (this.mapController) {
+                    this.mapController.setSpeedUnit(unit);
+                }
+            });
+            this.settings.onClearCache(async () => {
+                try {
+                    await this.mp4Parser.cache.clear();
+                } catch (error) {
+                    console.warn('Failed to clear telemetry cache:', error);
+                }
+                this.updateCacheUsage();
+            });
 
             // Setup UI event listeners
             this.setupUIEventListeners();
@@ -86,34 +225,16 @@ class TeslaDashcamApp {
             this.updateVideoMetadata(data);
         });
 
-        this.videoPlayer.onTimeUpdate((data) => {
-            // Update timestamp in overlay
-            const timestamp = VideoPlayer.formatTime(data.currentTime);
-            const timestampEl = document.getElementById('overlayTimestamp');
-            if (timestampEl) {
-                timestampEl.textContent = timestamp;
-            }
-
-            // Update telemetry overlay if available
-            if (this.telemetryDecoder && this.telemetryDecoder.hasTelemetry()) {
-                const telemetry = this.telemetryDecoder.getTelemetryAtTime(data.currentTime);
-
-                this.updateTelemetryOverlay(data.currentTime);
-
-                // Update map position
-                if (this.mapController && telemetry && telemetry.gps.isValid) {
-                    this.mapController.updatePosition(
-                        telemetry.gps.latitude,
-                        telemetry.gps.longitude,
-                        telemetry.gps.heading
-                    );
-                }
+        // Per-frame updates: the presented frame's exact media time drives every view
+        this.videoPlayer.onFrame((data) => {
+            this.renderFrame(data.currentTime);
+        });
 
-                // Update timeline progress
-                if (this.timelineController) {
-                    this.timelineController.updateVideoTime(data.currentTime);
-                }
-            }
+        this.videoPlayer.onSegmentChange(({ segment }) => {
+            // Swap the other camera angles to the new clip, keeping the chosen primary view
+            this.cameraGrid.loadEvent(segment.cameras, segment.cameraId, this.cameraGrid.primaryCamera);
+            this.highlightCurrentSegment();
+            this.updateRecoveredClipButton();
         });
 
         this.videoPlayer.onError((error) => {
@@ -122,6 +243,43 @@ class TeslaDashcamApp {
         });
     }
 
+    /**
+     * Update timestamp, telemetry dashboard, map position and timeline for a presented frame
+     */
+    renderFrame(currentTime) {
+        // Update timestamp in overlay
+        const timestamp = VideoPlayer.formatTime(currentTime);
+        const timestampEl = document.getElementById('overlayTimestamp');
+        if (timestampEl) {
+            timestampEl.textContent = timestamp;
+        }
+
+        // Update telemetry overlay if available
+        if (this.telemetryDecoder && this.telemetryDecoder.hasTelemetry()) {
+            const telemetry = this.telemetryDecoder.getTelemetryAtTime(currentTime);
+
+            this.updateTelemetryOverlay(currentTime);
+
+            // Update map position
+            if (this.mapController && telemetry && telemetry.gps.isValid) {
+                this.mapController.updatePosition(
+                    telemetry.gps.latitude,
+                    telemetry.gps.longitude,
+                    telemetry.gps.heading
+                );
+            }
+
+            // Update timeline progress
+            if (this.timelineController) {
+                this.timelineController.updateVideoTime(currentTime);
+            }
+
+            if (this.eventList) {
+                this.eventList.updateTime(currentTime);
+            }
+        }
+    }
+
     /**
      * Setup UI event listeners
      */
@@ -143,6 +301,41 @@ class TeslaDashcamApp {
             });
         }
 
+        // Back to event library button
+        this.elements.backToLibraryBtn.addEventListener('click', () => {
+            this.reset();
+        });
+
+        // Export telemetry button
+        this.elements.exportBtn.addEventListener('click', () => {
+            this.exportTelemetry();
+        });
+
+        // Burn-in video export (hidden when the browser cannot record canvas video)
+        this.elements.exportVideoBtn.classList.toggle('hidden', !VideoExporter.getSupportedMimeType());
+        this.elements.exportVideoBtn.addEventListener('click', () => {
+            this.exportVideo();
+        });
+
+        // Lossless trim of the selected range
+        this.elements.trimClipBtn.addEventListener('click', () => {
+            this.trimClip();
+        });
+
+        this.elements.cancelLoadingBtn.addEventListener('click', () => {
+            this.videoExporter.cancel();
+        });
+
+        // Parser diagnostics for the current clip
+        this.elements.diagnosticsBtn.addEventListener('click', () => {
+            this.runDiagnostics();
+        });
+
+        // Save the rebuilt MP4 of a recovered clip
+        this.elements.downloadRecoveredBtn.addEventListener('click', () => {
+            this.downloadRecoveredClip();
+        });
+
         // Dismiss error button
         this.elements.dismissErrorBtn.addEventListener('click', () => {
             this.hideError();
@@ -170,20 +363,38 @@ class TeslaDashcamApp {
             return;
         }
 
-        this.currentFile = fileData;
+        // Tear down views built for the previously loaded clip
+        this.teardownTelemetryViews();
 
-        // Display file info
-        this.displayFileInfo(fileData);
+        // The file loader released the previous selection's object URLs, recovered clips included
+        this.recoveredClips.clear();
+
+        this.currentFile = fileData;
 
         // Show loading indicator
         this.showLoading('Loading video...');
 
         try {
-            // Load video
-            await this.videoPlayer.loadVideo(fileData.objectURL);
+            // Clips cut off before their moov box was written cannot play as-is
+            await this.recoverTruncatedClips(fileData);
+
+            // Display file info
+            this.displayFileInfo(fileData);
+
+            if (fileData.segments) {
+                // Drive session: consecutive clips on one timeline
+                await this.loadDriveSession(fileData.segments);
+            } else {
+                // Load video
+                await this.videoPlayer.loadVideo(fileData.objectURL);
+
+                // Lay out the other camera angles of the event (if any)
+                this.cameraGrid.loadEvent(fileData.cameras, fileData.cameraId);
+            }
 
             // Show video section
             this.showVideoSection();
+            this.updateRecoveredClipButton();
 
             // Parse MP4 for telemetry data
             await this.parseTelemetryData();
@@ -196,7 +407,104 @@ class TeslaDashcamApp {
     }
 
     /**
-     * Parse telemetry data from MP4 file
+     * Point clips without a moov box (cut off by power loss) at rebuilt MP4s.
+     * Telemetry is still parsed from the original files.
+     */
+    async recoverTruncatedClips(fileData) {
+        // The loaded clip, its camera angles and session clips are separate objects that may share files
+        const entries = [fileData, ...Object.values(fileData.cameras || {})];
+        for (const segment of fileData.segments || []) {
+            entries.push(segment, ...Object.values(segment.cameras || {}));
+        }
+
+        const generation = this._parseGeneration;
+        for (const entry of entries) {
+            // Stop if another file was selected meanwhile
+            if (this._parseGeneration !== generation) return;
+            if (!entry.file) continue;
+
+            if (!this.recoveredClips.has(entry.file)) {
+                this.recoveredClips.set(entry.file, await this.recoverClip(entry.file));
+            }
+            const recovered = this.recoveredClips.get(entry.file);
+            if (recovered) {
+                entry.objectURL = recovered.objectURL;
+                entry.recovered = true;
+            }
+        }
+    }
+
+    /**
+     * Rebuild one clip if it has no moov box: { blob, objectURL }, or null when not needed or not possible
+     */
+    async recoverClip(file) {
+        if (!(await MP4Parser.needsRecovery(file))) return null;
+
+        this.showLoading(`Recovering truncated clip ${file.name}...`);
+        try {
+            const blob = await this.mp4Parser.recoverFile(file, (fraction) => {
+                this.updateProgressBar(Math.round(fraction * 100));
+            });
+            return { blob, objectURL: this.fileLoader.registerObjectURL(blob) };
+        } catch (error) {
+            console.warn(`Failed to recover ${file.name}:`, error.message);
+            return null;
+        } finally {
+            this.hideProgressBar();
+        }
+    }
+
+    /**
+     * Show the repaired-MP4 download button when the current clip was recovered
+     */
+    updateRecoveredClipButton() {
+        const file = this.getCurrentClipFile();
+        this.elements.downloadRecoveredBtn.classList.toggle('hidden', !(file && this.recoveredClips.get(file)));
+    }
+
+    /**
+     * Download the rebuilt MP4 of the current clip
+     */
+    downloadRecoveredClip() {
+        const file = this.getCurrentClipFile();
+        const recovered = file && this.recoveredClips.get(file);
+        if (!recovered) return;
+
+        const filename = file.name.replace(/\.mp4$/i, '') + '-recovered.mp4';
+        window.DashcamHelpers.downloadBlob(recovered.blob, filename);
+    }
+
+    /**
+     * Load a drive session: read each clip's duration, then play them back to back
+     */
+    async loadDriveSession(segments) {
+        const timedSegments = [];
+
+        for (let i = 0; i < segments.length; i++) {
+            this.showLoading(`Reading clip ${i + 1} of ${segments.length}...`);
+            const duration = await VideoPlayer.probeDuration(segments[i].objectURL);
+            timedSegments.push({ ...segments[i], duration });
+        }
+
+        // Camera grid follows segment changes (see setupVideoPlayerCallbacks)
+        await this.videoPlayer.loadSegments(timedSegments);
+    }
+
+    /**
+     * Highlight the current drive session clip on the map
+     */
+    highlightCurrentSegment() {
+        const segments = this.videoPlayer.segments;
+        if (!this.mapController || segments.length < 2) return;
+
+        const segment = segments[this.videoPlayer.segmentIndex];
+        if (segment) {
+            this.mapController.highlightTimeRange(segment.offset, segment.offset + segment.duration);
+        }
+    }
+
+    /**
+     * Parse telemetry data from the MP4 file (or every clip of a drive session)
      */
     async parseTelemetryData() {
         if (!this.currentFile || !this.currentFile.file) {
@@ -207,33 +515,67 @@ class TeslaDashcamApp {
 
         this.showLoading('Parsing telemetry data...');
 
+        // Telemetry is indexed as it streams in, then rebuilt once all clips are parsed
+        this.telemetryDecoder.clear();
+
         try {
-            const result = await this.mp4Parser.parseFile(this.currentFile.file, {
-                useWorker: true,
-                onProgress: (progress) => {
-                    if (this._parseGeneration !== generation) return;
-                    this.showLoading(`${progress.message} (${progress.percentage}%)`);
-                    this.updateProgressBar(progress.percentage);
+            const segments = this.videoPlayer.segments.length > 0
+                ? this.videoPlayer.segments
+                : [{ file: this.currentFile.file, offset: 0 }];
+            const results = [];
+
+            for (let i = 0; i < segments.length; i++) {
+                const clipLabel = segments.length > 1 ? `Clip ${i + 1}/${segments.length}: ` : '';
+                let indexedCount = 0;
+                let result;
+
+                try {
+                    result = await this.mp4Parser.parseFile(segments[i].file, {
+                        useWorker: true,
+                        onProgress: (progress) => {
+                            if (this._parseGeneration !== generation) return;
+                            const percentage = Math.round((i * 100 + progress.percentage) / segments.length);
+                            this.showLoading(`${clipLabel}${progress.message} (${percentage}%)`);
+                            this.updateProgressBar(percentage);
+                        },
+                        onBatch: (batch) => {
+                            if (this._parseGeneration !== generation) return;
+                            this.telemetryDecoder.appendBatch({ ...batch, offset: segments[i].offset }, i, indexedCount);
+                            indexedCount += batch.seiMessages.length;
+                            this.showStreamedTelemetry();
+                        },
+                        onRestart: () => {
+                            if (this._parseGeneration !== generation) return;
+                            this.telemetryDecoder.removeSegment(i);
+                            indexedCount = 0;
+                        }
+                    });
+                } catch (error) {
+                    // One unreadable clip should not discard the rest of the drive
+                    if (segments.length === 1 || this._parseGeneration !== generation) throw error;
+                    console.warn(`Failed to parse telemetry for clip ${i + 1}:`, error.message);
+                    result = { seiMessages: [], config: null, hasTelemetry: false };
                 }
-            });
 
-            // Discard stale results if a newer file was selected during parsing
-            if (this._parseGeneration !== generation) return;
+                // Discard stale results if a newer file was selected during parsing
+                if (this._parseGeneration !== generation) return;
+
+                results.push({ ...result, offset: segments[i].offset });
+            }
 
             this.hideLoading();
             this.hideProgressBar();
 
-            // Store telemetry data
-            this.telemetryData = result;
+            // Store telemetry data (one parse result per clip)
+            this.telemetryData = results;
 
             // Update telemetry status
             const statusEl = document.getElementById('telemetryStatus');
             if (statusEl) {
-                if (result.hasTelemetry) {
+                if (results.some(result => result.hasTelemetry)) {
                     // Build telemetry index
-                    const indexSize = this.telemetryDecoder.buildIndex(
-                        result.seiMessages,
-                        result.config,
+                    const indexSize = this.telemetryDecoder.buildSessionIndex(
+                        results,
                         this.videoPlayer.duration
                     );
 
@@ -245,11 +587,13 @@ class TeslaDashcamApp {
 
                     // Initialize map with GPS data
                     this.initializeMap();
+                    this.highlightCurrentSegment();
 
                     // Initialize timeline
                     const timelineContainer = document.getElementById('customTimeline');
                     if (timelineContainer) {
                         this.timelineController = new TimelineController();
+                        this.timelineController.setRules(this.settings.get('eventRules'));
                         const initialized = this.timelineController.initialize(
                             this.videoPlayer,
                             this.telemetryDecoder,
@@ -261,12 +605,26 @@ class TeslaDashcamApp {
                         } else {
                             // Apply saved visibility preference
                             this.settings.applyTimelineVisibility();
+                            this.timelineController.onRangeChange((range) => {
+                                this.updateExportRange(range);
+                            });
+                            // Rule changes re-detect events
+                            this.timelineController.onEventsChange(() => {
+                                this.updateEventViews();
+                            });
                         }
                     }
 
+                    this.updateEventViews();
+
+                    // Enable telemetry export
+                    this.updateExportRange(null);
+                    this.elements.exportMenu.classList.remove('hidden');
+
                 } else {
-                    statusEl.textContent = 'Not available (firmware 2025.44.25+ required)';
+                    statusEl.textContent = 'Not available';
                     statusEl.style.color = 'var(--warning-color)';
+                    this.appendDiagnosticsLink(statusEl);
                     console.warn('No telemetry data found in video');
                 }
             }
@@ -281,6 +639,7 @@ class TeslaDashcamApp {
             if (statusEl) {
                 statusEl.textContent = 'Error';
                 statusEl.style.color = 'var(--danger-color)';
+                this.appendDiagnosticsLink(statusEl);
             }
 
             // Show warning (not error, video still playable)
@@ -288,16 +647,89 @@ class TeslaDashcamApp {
         }
     }
 
+    /**
+     * Add a "Why?" button to the telemetry status that opens the diagnostics report
+     */
+    appendDiagnosticsLink(statusEl) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link-btn';
+        button.textContent = 'Why?';
+        button.addEventListener('click', () => {
+            this.runDiagnostics();
+        });
+        statusEl.append(' ', button);
+    }
+
+    /**
+     * Get the file of the clip whose telemetry is shown (current drive session clip, or the loaded file)
+     */
+    getCurrentClipFile() {
+        const segment = this.videoPlayer.segments[this.videoPlayer.segmentIndex];
+        if (segment) return segment.file;
+        return this.currentFile ? this.currentFile.file : null;
+    }
+
+    /**
+     * Scan the current clip and show the parser diagnostics report
+     */
+    async runDiagnostics() {
+        const file = this.getCurrentClipFile();
+        if (!file) return;
+
+        this.diagnosticsPanel.showProgress(`Scanning ${file.name}...`);
+        try {
+            const report = await this.mp4Parser.diagnose(file, (fraction) => {
+                this.diagnosticsPanel.showProgress(`Scanning ${file.name}... ${Math.round(fraction * 100)}%`);
+            });
+            this.diagnosticsPanel.show(report);
+        } catch (error) {
+            this.diagnosticsPanel.hide();
+            this.showError('Diagnostics Error', error.message);
+        }
+    }
+
+    /**
+     * Show telemetry decoded so far while parsing continues
+     */
+    showStreamedTelemetry() {
+        const dashboard = document.getElementById('telemetryDashboard');
+        if (dashboard && dashboard.classList.contains('hidden')) {
+            this.showTelemetryDashboard();
+        }
+        this.updateTelemetryOverlay(this.videoPlayer.currentTime);
+    }
+
     /**
      * Display file information
      */
     displayFileInfo(fileData) {
-        const { filename, isTeslaFormat, camera, timestamp, size } = fileData;
+        const { filename, isTeslaFormat, camera, timestamp, size, cameras, segments } = fileData;
 
         let html = `<strong>File:</strong> ${filename}<br>`;
+
+        if (segments) {
+            const totalSize = segments.reduce((sum, segment) => sum + segment.size, 0);
+            const lastClip = segments[segments.length - 1];
+            html += `<strong>Drive session:</strong> ${segments.length} clips<br>`;
+            html += `<strong>Size:</strong> ${this.fileLoader.formatFileSize(totalSize)}<br>`;
+            html += `<strong>Recorded:</strong> ${timestamp.toLocaleString()} – ${lastClip.timestamp.toLocaleTimeString()}<br>`;
+            this.elements.fileInfo.innerHTML = html;
+            this.elements.fileInfo.classList.remove('hidden');
+            return;
+        }
+
         html += `<strong>Size:</strong> ${this.fileLoader.formatFileSize(size)}<br>`;
 
-        if (isTeslaFormat) {
+        if (fileData.recovered) {
+            html += `<em>Recovered: the recording was cut off before it was finalized; timing assumes 36 fps</em><br>`;
+        }
+
+        if (cameras) {
+            const cameraList = Object.values(cameras).map(c => c.camera).join(', ');
+            html += `<strong>Cameras:</strong> ${cameraList}<br>`;
+            html += `<strong>Recorded:</strong> ${timestamp.toLocaleString()}<br>`;
+        } else if (isTeslaFormat) {
             html += `<strong>Camera:</strong> ${camera}<br>`;
             html += `<strong>Recorded:</strong> ${timestamp.toLocaleString()}<br>`;
         } else {
@@ -329,6 +761,7 @@ class TeslaDashcamApp {
     showVideoSection() {
         this.elements.fileLoadSection.classList.add('hidden');
         this.elements.videoSection.classList.remove('hidden');
+        this.elements.backToLibraryBtn.classList.toggle('hidden', !this.eventLibrary.hasLibrary());
     }
 
     /**
@@ -445,6 +878,25 @@ class TeslaDashcamApp {
 
         // Update acceleration vector indicator
         this.updateAccelerationIndicator(telemetry.acceleration);
+
+        this.updateSeiVersion(telemetry.version);
+        this.rawFieldsPanel.update(telemetry);
+    }
+
+    /**
+     * Show the SEI version of the current frame, flagging versions newer than the loaded schemas
+     */
+    updateSeiVersion(version) {
+        const badge = document.getElementById('seiVersionBadge');
+        if (!badge) return;
+
+        const newer = version.schema !== null && version.sei > version.schema;
+        badge.textContent = `SEI v${version.sei}`;
+        badge.title = newer
+            ? `Decoded with the v${version.schema} schema; fields it does not know are listed under Raw fields`
+            : 'SEI telemetry version written by the car';
+        badge.classList.toggle('sei-version-newer', newer);
+        badge.classList.remove('hidden');
     }
 
     /**
@@ -454,124 +906,15 @@ class TeslaDashcamApp {
         const canvas = document.getElementById('accelCanvas');
         if (!canvas) return;
 
-        // Acceleration canvas rendering constants
         const MARGIN = 10;
-        const MAX_ACCEL = 15;           // m/s^2 (~1.5g) full scale
-        const CROSSHAIR_SIZE = 5;
-        const REF_CIRCLES = [0.33, 0.66];
-        const LIGHT_THRESHOLD = 2;      // m/s^2
-        const MODERATE_THRESHOLD = 5;   // m/s^2
-        const ARROW_MIN_ACCEL = 3;      // m/s^2
-
         const ctx = canvas.getContext('2d');
         const centerX = canvas.width / 2;
         const centerY = canvas.height / 2;
-        const maxRadius = centerX - MARGIN;
 
         // Clear canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-        // Draw center crosshairs
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(centerX - CROSSHAIR_SIZE, centerY);
-        ctx.lineTo(centerX + CROSSHAIR_SIZE, centerY);
-        ctx.moveTo(centerX, centerY - CROSSHAIR_SIZE);
-        ctx.lineTo(centerX, centerY + CROSSHAIR_SIZE);
-        ctx.stroke();
-
-        // Draw reference circles (for scale)
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
-        ctx.lineWidth = 0.5;
-        REF_CIRCLES.forEach(scale => {
-            ctx.beginPath();
-            ctx.arc(centerX, centerY, maxRadius * scale, 0, Math.PI * 2);
-            ctx.stroke();
-        });
-
-        // Get acceleration values
-        // X = forward/backward (positive = forward acceleration, negative = braking)
-        // Y = left/right (positive = right, negative = left)
-        // Z = vertical (positive = up, negative = down)
-        const accelX = acceleration.x || 0;
-        const accelY = acceleration.y || 0;
-        const accelZ = acceleration.z || 0;
-
-        // Calculate total 3D acceleration magnitude (for G-force display)
-        const accelMagnitude = Math.sqrt(accelX * accelX + accelY * accelY + accelZ * accelZ);
-
-        // Calculate horizontal plane magnitude (for visual arrow direction/length)
-        const accelHorizontal = Math.sqrt(accelX * accelX + accelY * accelY);
-
-        // Scale factor: Tesla Model Y can exceed 1g during hard braking and Performance acceleration
-        // Use 1.5g as full scale to prevent clipping during hard maneuvers
-        const scaleFactor = maxRadius / MAX_ACCEL;
-
-        // Calculate vector endpoint (using horizontal components only for 2D display)
-        // Note: Canvas Y-axis is inverted (down is positive), so negate accelX
-        const vectorX = centerX + (accelY * scaleFactor);
-        const vectorY = centerY - (accelX * scaleFactor); // Negate for correct direction
-
-        // Clamp to circle boundary
-        const dx = vectorX - centerX;
-        const dy = vectorY - centerY;
-        const magnitude = Math.sqrt(dx * dx + dy * dy);
-        let endX = vectorX;
-        let endY = vectorY;
-
-        if (magnitude > maxRadius) {
-            const angle = Math.atan2(dy, dx);
-            endX = centerX + Math.cos(angle) * maxRadius;
-            endY = centerY + Math.sin(angle) * maxRadius;
-        }
-
-        // Color based on total 3D magnitude (green -> yellow -> red)
-        // Using total magnitude ensures color represents true G-force intensity
-        let vectorColor;
-        if (accelMagnitude < LIGHT_THRESHOLD) {
-            vectorColor = '#00ff00'; // Green (light)
-        } else if (accelMagnitude < MODERATE_THRESHOLD) {
-            vectorColor = '#ffff00'; // Yellow (moderate)
-        } else {
-            vectorColor = '#ff0000'; // Red (strong)
-        }
-
-        // Draw the vector line
-        ctx.strokeStyle = vectorColor;
-        ctx.lineWidth = 3;
-        ctx.lineCap = 'round';
-        ctx.beginPath();
-        ctx.moveTo(centerX, centerY);
-        ctx.lineTo(endX, endY);
-        ctx.stroke();
-
-        // Draw arrowhead (only for significant horizontal forces)
-        if (accelHorizontal > ARROW_MIN_ACCEL) {
-            const angle = Math.atan2(endY - centerY, endX - centerX);
-            const arrowLength = 8;
-            const arrowAngle = Math.PI / 6;
-
-            ctx.fillStyle = vectorColor;
-            ctx.beginPath();
-            ctx.moveTo(endX, endY);
-            ctx.lineTo(
-                endX - arrowLength * Math.cos(angle - arrowAngle),
-                endY - arrowLength * Math.sin(angle - arrowAngle)
-            );
-            ctx.lineTo(
-                endX - arrowLength * Math.cos(angle + arrowAngle),
-                endY - arrowLength * Math.sin(angle + arrowAngle)
-            );
-            ctx.closePath();
-            ctx.fill();
-        }
-
-        // Draw center dot
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, 3, 0, Math.PI * 2);
-        ctx.fill();
+        const accelMagnitude = drawAccelerationIndicator(ctx, acceleration, centerX, centerY, centerX - MARGIN);
 
         // Update G-force text value (1g = 9.8 m/s²)
         const gForce = accelMagnitude / 9.8;
@@ -608,6 +951,27 @@ class TeslaDashcamApp {
 
         // Initialize map controller
         this.mapController = new MapController('mapContainer');
+        this.mapController.setTileSource(TileSources.resolve(this.settings.get('mapTiles'), this.localTiles));
+        this.mapController.setColorMode(this.settings.get('routeColorMode'));
+        this.mapController.setSpeedUnit(this.settings.get('speedUnit'));
+        this.mapController.onColorModeChange((mode) => {
+            this.settings.setRouteColorMode(mode);
+        });
+        this.mapController.setFollow(this.settings.get('mapFollow'));
+        this.mapController.setCourseUp(this.settings.get('mapCourseUp'));
+        this.mapController.onFollowChange((enabled) => {
+            this.settings.setMapFollow(enabled);
+        });
+        this.mapController.onCourseUpChange((enabled) => {
+            this.settings.setMapCourseUp(enabled);
+        });
+        this.mapController.setShowRawTrack(this.settings.get('mapRawGps'));
+        this.mapController.onRawTrackChange((enabled) => {
+            this.settings.setMapRawGps(enabled);
+        });
+        this.mapController.onSeek((time) => {
+            this.videoPlayer.seek(time);
+        });
         const initialized = this.mapController.initialize(
             firstValid.gps.latitude,
             firstValid.gps.longitude
@@ -623,6 +987,220 @@ class TeslaDashcamApp {
 
     }
 
+    /**
+     * Redraw what is built from the cleaned GPS track after it changed (smoothing toggled)
+     */
+    refreshGpsViews() {
+        if (this.mapController) {
+            this.mapController.buildRouteFromTelemetry(this.telemetryDecoder.getAllTelemetry(), { fitBounds: false });
+            this.highlightCurrentSegment();
+        }
+        this.updateTripStats();
+        this.renderFrame(this.videoPlayer.currentTime);
+    }
+
+    /**
+     * Use a local tile set for the "local" tile source
+     */
+    useLocalTiles(localTiles) {
+        this.localTiles = localTiles;
+        this.settings.showTileFolderStatus(this.describeLocalTiles());
+        this.applyMapTiles();
+    }
+
+    describeLocalTiles() {
+        const { name, tileCount, minZoom, maxZoom } = this.localTiles;
+        return `${name}: ${tileCount} tiles (zoom ${minZoom}–${maxZoom})`;
+    }
+
+    /**
+     * Show the map tile source from settings on the current map
+     */
+    applyMapTiles() {
+        if (this.mapController) {
+            this.mapController.setTileSource(TileSources.resolve(this.settings.get('mapTiles'), this.localTiles));
+        }
+    }
+
+    /**
+     * Refresh the views built from detected events: trip summary and event list
+     */
+    updateEventViews() {
+        this.updateTripStats();
+        if (this.timelineController) {
+            this.eventList.setEvents(
+                this.timelineController.events,
+                this.timelineController.EVENT_TYPES,
+                this.currentFile?.filename || null
+            );
+        }
+    }
+
+    /**
+     * Locate a session time in the primary camera's video: { objectURL, time } within that clip
+     */
+    getFrameSource(time) {
+        const segments = this.videoPlayer.segments;
+        const segment = segments.length > 0
+            ? segments[this.videoPlayer.getSegmentIndexAtTime(time)]
+            : this.currentFile && { ...this.currentFile, offset: 0 };
+        if (!segment) return null;
+
+        return {
+            objectURL: segment.cameras?.[this.cameraGrid.primaryCamera]?.objectURL || segment.objectURL,
+            time: time - segment.offset
+        };
+    }
+
+    /**
+     * Recompute and show the trip summary (events come from the timeline)
+     */
+    updateTripStats() {
+        const events = this.timelineController ? this.timelineController.events : [];
+        const stats = this.telemetryDecoder.getStatistics({
+            events,
+            speedUnit: this.settings.get('speedUnit')
+        });
+        this.tripStatsPanel.show(stats, {
+            speedUnit: this.settings.get('speedUnit'),
+            eventTypes: this.timelineController ? this.timelineController.EVENT_TYPES : {}
+        });
+    }
+
+    /**
+     * Update export range option after a timeline selection change
+     */
+    updateExportRange(range) {
+        const { exportRangeToggle, exportRangeLabel } = this.elements;
+
+        exportRangeToggle.disabled = !range;
+        exportRangeToggle.checked = !!range;
+        exportRangeLabel.textContent = range
+            ? `Selected range only (${VideoPlayer.formatTime(range.start)} – ${VideoPlayer.formatTime(range.end)})`
+            : 'Shift+drag the timeline to select a range';
+    }
+
+    /**
+     * Export decoded telemetry in the chosen format
+     */
+    exportTelemetry() {
+        if (!this.telemetryDecoder.hasTelemetry()) return;
+
+        try {
+            this.telemetryExporter.export(this.elements.exportFormatSelect.value, {
+                range: this.getExportRange(),
+                speedUnit: this.settings.get('speedUnit'),
+                startTime: this.currentFile?.timestamp || null,
+                source: this.currentFile?.filename || null
+            });
+        } catch (error) {
+            this.showError('Export Error', error.message);
+        }
+    }
+
+    /**
+     * Get the timeline range selected for export, or null for the whole video
+     */
+    getExportRange() {
+        if (!this.elements.exportRangeToggle.checked || !this.timelineController) {
+            return null;
+        }
+        return this.timelineController.getSelectedRange();
+    }
+
+    /**
+     * Record the primary camera view with the telemetry overlay burned in and download it
+     */
+    async exportVideo() {
+        if (!this.currentFile || this.videoExporter.isExporting()) return;
+
+        const range = this.getExportRange() || { start: 0, end: this.videoPlayer.duration };
+
+        // Export whichever angle is shown as the primary view
+        const primaryCamera = this.cameraGrid.primaryCamera;
+        const segments = this.videoPlayer.segments.length > 0
+            ? this.videoPlayer.segments
+            : [{ ...this.currentFile, offset: 0, duration: this.videoPlayer.duration }];
+        const sources = segments.map(segment => ({
+            objectURL: segment.cameras?.[primaryCamera]?.objectURL || segment.objectURL,
+            offset: segment.offset,
+            duration: segment.duration
+        }));
+
+        this.videoPlayer.pause();
+        this.showLoading('Rendering video with telemetry overlay...');
+        this.elements.cancelLoadingBtn.classList.remove('hidden');
+        this.videoExporter.onProgress((fraction) => {
+            const percentage = Math.round(fraction * 100);
+            this.showLoading(`Rendering video with telemetry overlay (${percentage}%)`);
+            this.updateProgressBar(percentage);
+        });
+
+        try {
+            const result = await this.videoExporter.export(sources, range, {
+                speedUnit: this.settings.get('speedUnit'),
+                startTime: this.currentFile.timestamp || null
+            });
+
+            if (result) {
+                const filename = this.telemetryExporter.buildFilename(
+                    this.currentFile.filename,
+                    this.getExportRange(),
+                    `overlay.${result.extension}`
+                );
+                DashcamHelpers.downloadBlob(result.blob, filename);
+            }
+        } catch (error) {
+            this.showError('Video Export Error', error.message);
+        } finally {
+            this.elements.cancelLoadingBtn.classList.add('hidden');
+            this.hideLoading();
+            this.hideProgressBar();
+        }
+    }
+
+    /**
+     * Cut the selected range out of the primary camera's original MP4 (no re-encoding) and download it
+     */
+    async trimClip() {
+        const range = this.getExportRange();
+        if (!range) {
+            this.showError('Trim Clip', 'Shift+drag the timeline to select the range to keep.');
+            return;
+        }
+
+        // Drive sessions: the range must fall within one clip
+        const primaryCamera = this.cameraGrid.primaryCamera;
+        let clip = { ...this.currentFile, offset: 0 };
+        if (this.videoPlayer.segments.length > 0) {
+            const segments = this.videoPlayer.segments;
+            const index = segments.findIndex(segment => range.start < segment.offset + segment.duration);
+            clip = segments[index === -1 ? segments.length - 1 : index];
+            if (range.end > clip.offset + clip.duration + 0.1) {
+                this.showError('Trim Clip', 'The selected range spans two clips. Select a range within one clip.');
+                return;
+            }
+        }
+        const file = clip.cameras?.[primaryCamera]?.file || clip.file;
+        const source = this.recoveredClips.get(file)?.blob || file;
+
+        this.showLoading('Trimming clip...');
+        try {
+            const result = await new ClipTrimmer().trim(source, range.start - clip.offset, range.end - clip.offset);
+            const filename = this.telemetryExporter.buildFilename(
+                file.name,
+                { start: result.start, end: result.end },
+                'trim.mp4'
+            );
+            DashcamHelpers.downloadBlob(result.blob, filename);
+        } catch (error) {
+            console.error('Trim failed:', error);
+            this.showError('Trim Clip', error.message);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     /**
      * Show loading indicator
      */
@@ -689,6 +1267,24 @@ class TeslaDashcamApp {
         } else {
             panel.classList.remove('hidden');
             panel.classList.add('visible');
+            this.updateCacheUsage();
+        }
+    }
+
+    /**
+     * Refresh telemetry cache usage shown in the settings panel
+     */
+    async updateCacheUsage() {
+        try {
+            const { entries, bytes } = await this.mp4Parser.cache.getUsage();
+            const clipLabel = entries === 1 ? 'clip' : 'clips';
+            this.settings.showCacheUsage(
+                `${entries} ${clipLabel} · ${this.fileLoader.formatFileSize(bytes)}`,
+                entries === 0
+            );
+        } catch (error) {
+            console.warn('Failed to read telemetry cache usage:', error);
+            this.settings.showCacheUsage('Unavailable', true);
         }
     }
 
@@ -696,28 +1292,73 @@ class TeslaDashcamApp {
      * Reset application to initial state
      */
     reset() {
+        // Cancel any in-progress parse
+        this._parseGeneration++;
+        this.mp4Parser.cancel();
+        this.videoExporter.cancel();
+
         this.hideError();
         this.hideLoading();
+        this.cameraGrid.reset();
         this.videoPlayer.reset();
         this.fileLoader.reset();
         this.currentFile = null;
         this.telemetryData = null;
+        this.recoveredClips.clear();
+
+        this.teardownTelemetryViews();
+
+        this.elements.videoSection.classList.add('hidden');
+        this.elements.fileLoadSection.classList.remove('hidden');
+        this.elements.fileInfo.classList.add('hidden');
+    }
 
+    /**
+     * Tear down telemetry-driven views (map, timeline, dashboard) of the current clip
+     */
+    teardownTelemetryViews() {
         // Clean up map
         if (this.mapController) {
             this.mapController.destroy();
             this.mapController = null;
         }
 
+        // Remove "GPS not available" message left in the map container
+        const mapContainer = document.getElementById('mapContainer');
+        if (mapContainer) {
+            mapContainer.innerHTML = '';
+        }
+
         // Clean up timeline
         if (this.timelineController) {
             this.timelineController.destroy();
             this.timelineController = null;
         }
 
-        this.elements.videoSection.classList.add('hidden');
-        this.elements.fileLoadSection.classList.remove('hidden');
-        this.elements.fileInfo.classList.add('hidden');
+        if (this.telemetryDecoder) {
+            this.telemetryDecoder.clear();
+        }
+
+        const dashboard = document.getElementById('telemetryDashboard');
+        if (dashboard) {
+            dashboard.classList.add('hidden');
+        }
+        if (this.rawFieldsPanel) {
+            this.rawFieldsPanel.clear();
+        }
+        if (this.tripStatsPanel) {
+            this.tripStatsPanel.hide();
+        }
+        if (this.eventList) {
+            this.eventList.clear();
+        }
+
+        this.elements.exportMenu.classList.add('hidden');
+
+        // A report for the previous clip would be misleading
+        if (this.diagnosticsPanel) {
+            this.diagnosticsPanel.hide();
+        }
     }
 
     /**
@@ -730,7 +1371,11 @@ class TeslaDashcamApp {
             this.mp4Parser = null;
         }
         this.telemetryDecoder = null;
+        this.telemetryExporter = null;
+        this.videoExporter = null;
         this.settings = null;
+        this.eventLibrary = null;
+        this.cameraGrid = null;
         this.videoPlayer = null;
         this.fileLoader = null;
         this.elements = null;
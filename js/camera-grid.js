@@ -0,0 +1,279 @@
+/**
+ * Camera Grid Module
+ * Lays out all camera angles of an event and keeps them synchronized to the master player
+ */
+
+import { CAMERA_NAMES } from './file-loader.js';
+
+// Tile order: front-facing cameras first, rear-facing last
+const GRID_ORDER = ['front', 'left_pillar', 'right_pillar', 'left_repeater', 'rear', 'right_repeater'];
+
+// Maximum allowed difference between a secondary camera and the master clock
+const DRIFT_TOLERANCE = 0.15; // seconds
+
+export class CameraGrid {
+    constructor(containerId, selectorId, videoPlayer) {
+        this.container = document.getElementById(containerId);
+        this.selector = document.getElementById(selectorId);
+        if (!this.container || !this.selector) {
+            throw new Error('Camera grid or camera selector element not found');
+        }
+
+        // The master player provides the shared clock for all angles
+        this.videoPlayer = videoPlayer;
+        this.masterElement = videoPlayer.videoElement;
+        this.masterCamera = null;
+        this.primaryCamera = null;
+
+        // cameraId -> { tile, video } (video is null for placeholders)
+        this.tiles = new Map();
+
+        this.callbacks = {
+            onPrimaryChange: null
+        };
+
+        // Bound handlers for proper cleanup
+        this._handleMasterPlayBound = this._handleMasterPlay.bind(this);
+        this._handleMasterPauseBound = this._handleMasterPause.bind(this);
+        this._handleMasterSeekBound = this._handleMasterSeek.bind(this);
+        this._handleMasterRateChangeBound = this._handleMasterRateChange.bind(this);
+        this._handleMasterTimeUpdateBound = this._handleMasterTimeUpdate.bind(this);
+    }
+
+    /**
+     * Load all camera angles of an event.
+     * cameras maps camera id to file data ({ objectURL, camera, ... }); the master camera
+     * is the angle already loaded into the master player. primaryCamera keeps a previously
+     * chosen view (e.g. across drive session clips) when that angle is available.
+     */
+    loadEvent(cameras, masterCamera, primaryCamera = masterCamera) {
+        this.reset();
+
+        // Single clip: keep the plain single-video layout
+        if (!cameras || Object.keys(cameras).length < 2) {
+            return;
+        }
+
+        this.masterCamera = masterCamera;
+        this.container.classList.add('multi');
+
+        for (const cameraId of GRID_ORDER) {
+            const tile = document.createElement('div');
+            tile.className = 'camera-tile';
+            tile.dataset.camera = cameraId;
+
+            let video = null;
+            if (cameraId === masterCamera) {
+                tile.appendChild(this.masterElement);
+            } else if (cameras[cameraId]) {
+                video = this.createSecondaryVideo(cameras[cameraId].objectURL, tile);
+                tile.appendChild(video);
+                tile.addEventListener('click', () => this.setPrimary(cameraId));
+            } else {
+                tile.appendChild(this.createPlaceholder(`No ${CAMERA_NAMES[cameraId]} footage`));
+            }
+
+            const label = document.createElement('span');
+            label.className = 'camera-label';
+            label.textContent = CAMERA_NAMES[cameraId];
+            tile.appendChild(label);
+
+            this.container.appendChild(tile);
+            this.tiles.set(cameraId, { tile, video });
+        }
+
+        this.renderSelector(cameras);
+        this.attachMasterListeners();
+        this.setPrimary(cameras[primaryCamera] ? primaryCamera : masterCamera);
+    }
+
+    /**
+     * Create a muted, control-less video element slaved to the master clock
+     */
+    createSecondaryVideo(objectURL, tile) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = objectURL;
+
+        video.addEventListener('loadedmetadata', () => {
+            video.currentTime = Math.min(this.masterElement.currentTime, video.duration);
+            video.playbackRate = this.masterElement.playbackRate;
+            if (!this.masterElement.paused) {
+                video.play().catch(() => {});
+            }
+        });
+
+        // Replace undecodable angles with a placeholder instead of failing the event
+        video.addEventListener('error', () => {
+            console.warn(`Camera ${tile.dataset.camera} could not be played`);
+            video.replaceWith(this.createPlaceholder(`${CAMERA_NAMES[tile.dataset.camera]} unavailable`));
+            const entry = this.tiles.get(tile.dataset.camera);
+            if (entry) entry.video = null;
+        });
+
+        return video;
+    }
+
+    /**
+     * Create placeholder shown in place of a missing camera angle
+     */
+    createPlaceholder(message) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'camera-placeholder';
+        placeholder.textContent = message;
+        return placeholder;
+    }
+
+    /**
+     * Render buttons for choosing the primary view
+     */
+    renderSelector(cameras) {
+        this.selector.innerHTML = '';
+
+        for (const cameraId of GRID_ORDER) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'camera-btn';
+            button.dataset.camera = cameraId;
+            button.textContent = CAMERA_NAMES[cameraId];
+            button.disabled = !cameras[cameraId];
+            button.addEventListener('click', () => this.setPrimary(cameraId));
+            this.selector.appendChild(button);
+        }
+
+        this.selector.classList.remove('hidden');
+    }
+
+    /**
+     * Set which camera angle is shown as the large primary view
+     */
+    setPrimary(cameraId) {
+        const entry = this.tiles.get(cameraId);
+        if (!entry) return;
+
+        this.primaryCamera = cameraId;
+
+        for (const [id, { tile }] of this.tiles) {
+            tile.classList.toggle('primary', id === cameraId);
+        }
+
+        for (const button of this.selector.querySelectorAll('.camera-btn')) {
+            button.classList.toggle('active', button.dataset.camera === cameraId);
+        }
+
+        if (this.callbacks.onPrimaryChange) {
+            this.callbacks.onPrimaryChange(cameraId);
+        }
+    }
+
+    /**
+     * Get secondary (slaved) video elements
+     */
+    getSecondaryVideos() {
+        return Array.from(this.tiles.values())
+            .map(entry => entry.video)
+            .filter(video => video !== null);
+    }
+
+    /**
+     * Attach listeners to the master video element
+     */
+    attachMasterListeners() {
+        this.masterElement.addEventListener('play', this._handleMasterPlayBound);
+        this.masterElement.addEventListener('pause', this._handleMasterPauseBound);
+        this.masterElement.addEventListener('seeking', this._handleMasterSeekBound);
+        this.masterElement.addEventListener('ratechange', this._handleMasterRateChangeBound);
+        this.masterElement.addEventListener('timeupdate', this._handleMasterTimeUpdateBound);
+    }
+
+    /**
+     * Detach listeners from the master video element
+     */
+    detachMasterListeners() {
+        this.masterElement.removeEventListener('play', this._handleMasterPlayBound);
+        this.masterElement.removeEventListener('pause', this._handleMasterPauseBound);
+        this.masterElement.removeEventListener('seeking', this._handleMasterSeekBound);
+        this.masterElement.removeEventListener('ratechange', this._handleMasterRateChangeBound);
+        this.masterElement.removeEventListener('timeupdate', this._handleMasterTimeUpdateBound);
+    }
+
+    /**
+     * Align a secondary video to the master clock
+     */
+    syncVideo(video, force = false) {
+        if (video.readyState < 1) return;
+
+        const target = Math.min(this.masterElement.currentTime, video.duration);
+        if (force || Math.abs(video.currentTime - target) > DRIFT_TOLERANCE) {
+            video.currentTime = target;
+        }
+    }
+
+    _handleMasterPlay() {
+        for (const video of this.getSecondaryVideos()) {
+            this.syncVideo(video, true);
+            video.play().catch(() => {});
+        }
+    }
+
+    _handleMasterPause() {
+        for (const video of this.getSecondaryVideos()) {
+            video.pause();
+            this.syncVideo(video, true);
+        }
+    }
+
+    _handleMasterSeek() {
+        for (const video of this.getSecondaryVideos()) {
+            this.syncVideo(video, true);
+        }
+    }
+
+    _handleMasterRateChange() {
+        for (const video of this.getSecondaryVideos()) {
+            video.playbackRate = this.masterElement.playbackRate;
+        }
+    }
+
+    _handleMasterTimeUpdate() {
+        // Correct drift that accumulates while playing
+        for (const video of this.getSecondaryVideos()) {
+            this.syncVideo(video);
+        }
+    }
+
+    /**
+     * Register callback for primary view changes
+     */
+    onPrimaryChange(callback) {
+        this.callbacks.onPrimaryChange = callback;
+    }
+
+    /**
+     * Release secondary videos and restore the single-video layout
+     */
+    reset() {
+        this.detachMasterListeners();
+
+        for (const video of this.getSecondaryVideos()) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+        }
+
+        // Move the master video back out of its tile before clearing the grid
+        this.container.appendChild(this.masterElement);
+        for (const { tile } of this.tiles.values()) {
+            tile.remove();
+        }
+
+        this.tiles.clear();
+        this.container.classList.remove('multi');
+        this.selector.innerHTML = '';
+        this.selector.classList.add('hidden');
+        this.masterCamera = null;
+        this.primaryCamera = null;
+    }
+}
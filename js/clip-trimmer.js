@@ -0,0 +1,129 @@
+/**
+ * Clip Trimmer Module
+ * Cuts a keyframe-aligned range out of a dashcam MP4 without re-encoding.
+ * Samples are copied byte for byte, so the SEI telemetry stays in the trimmed file.
+ */
+
+import { MP4Muxer } from './mp4-muxer.js';
+
+export class ClipTrimmer {
+    /**
+     * Trim a file (File or Blob with a moov box) to the range [start, end] in seconds.
+     * The cut starts at the keyframe at or before start and stops before the first keyframe
+     * at or after end, so only whole groups of pictures are written.
+     * Resolves with { blob, start, end, frames } where start/end are the range actually kept.
+     */
+    async trim(file, start, end) {
+        const stream = new window.DashcamMP4Stream(file);
+        const config = await stream.getConfig();
+        if (config.recovered) {
+            throw new Error('This clip has no moov box; trim the repaired MP4 instead');
+        }
+
+        const plan = ClipTrimmer.planCut(config, await stream.getSampleTable(), start, end);
+        const track = {
+            width: config.width,
+            height: config.height,
+            timescale: config.timescale,
+            codecType: config.codecType,
+            stsd: await stream.getSampleDescription()
+        };
+
+        return {
+            blob: MP4Muxer.build(track, plan.samples, ClipTrimmer.sliceData(file, plan.samples)),
+            start: plan.start,
+            end: plan.end,
+            frames: plan.samples.length
+        };
+    }
+
+    /**
+     * Choose the samples to keep and rebuild their timing in track ticks.
+     * Returns { samples: [{ offset, size, duration, keyframe, compositionOffset }], start, end }.
+     */
+    static planCut(config, table, start, end) {
+        const { timescale, durations, presentationTimes, mediaStart } = config;
+        const count = Math.min(table.offsets.length, durations.length, presentationTimes.length);
+        if (count === 0) {
+            throw new Error('No frames found in this clip');
+        }
+
+        // Last keyframe at or before start (the first keyframe if the range starts before it)
+        let first = -1;
+        for (let i = 0; i < count; i++) {
+            if (!table.keyframes[i]) continue;
+            if (first === -1 || presentationTimes[i] <= start * 1000) first = i;
+            if (presentationTimes[i] > start * 1000) break;
+        }
+        if (first === -1) {
+            throw new Error('No keyframe found in this clip');
+        }
+
+        // First keyframe at or after end (exclusive)
+        let last = count;
+        for (let i = first + 1; i < count; i++) {
+            if (table.keyframes[i] && presentationTimes[i] >= end * 1000) {
+                last = i;
+                break;
+            }
+        }
+
+        // Convert ms back to ticks: decode deltas from durations, composition offsets from the
+        // presentation times (which already had the edit list start subtracted)
+        const samples = [];
+        let decodeTime = 0;
+        for (let i = 0; i < count; i++) {
+            const duration = Math.round(durations[i] * timescale / 1000);
+            if (i >= first && i < last) {
+                samples.push({
+                    offset: table.offsets[i],
+                    size: table.sizes[i],
+                    duration,
+                    keyframe: table.keyframes[i],
+                    compositionOffset: Math.round(presentationTimes[i] * timescale / 1000) + mediaStart - decodeTime
+                });
+            }
+            decodeTime += duration;
+        }
+
+        // Shift composition offsets so the earliest presented frame of the cut is shown at 0
+        let cutDecodeTime = 0;
+        let earliest = Infinity;
+        for (const sample of samples) {
+            earliest = Math.min(earliest, cutDecodeTime + sample.compositionOffset);
+            cutDecodeTime += sample.duration;
+        }
+        for (const sample of samples) {
+            sample.compositionOffset -= earliest;
+        }
+
+        const endTime = last < count
+            ? presentationTimes[last]
+            : presentationTimes[count - 1] + durations[count - 1];
+
+        return {
+            samples,
+            start: presentationTimes[first] / 1000,
+            end: endTime / 1000
+        };
+    }
+
+    /**
+     * Slices of the source covering the samples in order, merging runs that are contiguous in the file
+     */
+    static sliceData(file, samples) {
+        const parts = [];
+        let runStart = samples[0].offset;
+        let runEnd = runStart;
+
+        for (const { offset, size } of samples) {
+            if (offset !== runEnd) {
+                parts.push(file.slice(runStart, runEnd));
+                runStart = offset;
+            }
+            runEnd = offset + size;
+        }
+        parts.push(file.slice(runStart, runEnd));
+        return parts;
+    }
+}
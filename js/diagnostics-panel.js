@@ -0,0 +1,204 @@
+/**
+ * Diagnostics Panel Module
+ * Shows the parser diagnostics report (box tree, codec, NAL types, SEI decode results)
+ * and downloads it as JSON for bug reports
+ */
+
+export class DiagnosticsPanel {
+    constructor(panelId) {
+        this.panel = document.getElementById(panelId);
+        if (!this.panel) {
+            throw new Error(`Diagnostics panel element with id "${panelId}" not found`);
+        }
+
+        this.report = null;
+        this.elements = {};
+    }
+
+    /**
+     * Cache elements and wire up the panel buttons
+     */
+    initialize() {
+        this.elements = {
+            content: document.getElementById('diagnosticsContent'),
+            downloadBtn: document.getElementById('downloadDiagnosticsBtn'),
+            closeBtn: document.getElementById('closeDiagnosticsBtn')
+        };
+
+        this.elements.downloadBtn.addEventListener('click', () => {
+            this.download();
+        });
+        this.elements.closeBtn.addEventListener('click', () => {
+            this.hide();
+        });
+    }
+
+    /**
+     * Open the panel with a progress message while the report is built
+     */
+    showProgress(message) {
+        this.report = null;
+        this.elements.downloadBtn.disabled = true;
+        this.elements.content.innerHTML = '';
+        const status = document.createElement('p');
+        status.className = 'diagnostics-status';
+        status.textContent = message;
+        this.elements.content.appendChild(status);
+        this.open();
+    }
+
+    /**
+     * Render a report from MP4Parser.diagnose
+     */
+    show(report) {
+        this.report = report;
+        this.elements.downloadBtn.disabled = false;
+
+        const content = this.elements.content;
+        content.innerHTML = '';
+
+        content.appendChild(this.renderSection('Summary', this.renderList([
+            ['File', report.fileName],
+            ['Size', `${report.fileSize.toLocaleString()} bytes`],
+            ['Verdict', DiagnosticsPanel.getVerdict(report)]
+        ])));
+
+        if (report.warnings.length > 0 || report.errors.length > 0) {
+            const issues = document.createElement('ul');
+            issues.className = 'diagnostics-issues';
+            for (const warning of report.warnings) {
+                issues.appendChild(this.renderItem(warning));
+            }
+            for (const error of report.errors) {
+                const offset = error.offset === null ? '' : ` (offset ${error.offset})`;
+                issues.appendChild(this.renderItem(`${error.message}${offset}`));
+            }
+            content.appendChild(this.renderSection('Problems', issues));
+        }
+
+        content.appendChild(this.renderSection('Codec', report.codec
+            ? this.renderList([
+                ['Codec', `${report.codec.codec} (${report.codec.codecType.toUpperCase()})`],
+                ['Resolution', `${report.codec.width} × ${report.codec.height}`],
+                ['Video track', report.codec.trackId ?? 'unknown'],
+                ['Frames', report.codec.frames],
+                ['NAL length size', `${report.codec.nalLengthSize} bytes`]
+            ])
+            : this.renderText('Video configuration could not be read')));
+
+        const { sei } = report;
+        content.appendChild(this.renderSection('SEI', this.renderList([
+            ['SEI NAL units', sei.nalUnits],
+            ['User data (type 5)', sei.userData],
+            ['Decoded', sei.decoded],
+            ['Not Tesla payloads', sei.notTesla],
+            ['Decode errors', sei.failed],
+            ['Telemetry versions', Object.entries(report.versions).map(([v, n]) => `v${v} × ${n}`).join(', ') || 'none']
+        ])));
+
+        content.appendChild(this.renderSection(`NAL types (${report.scanMode} scan)`, this.renderList(
+            Object.entries(report.nalTypes).sort((a, b) => b[1] - a[1])
+        )));
+
+        content.appendChild(this.renderSection('Boxes', this.renderBoxTree(report.boxes)));
+
+        this.open();
+    }
+
+    /**
+     * One-line explanation of why telemetry is (or is not) available
+     */
+    static getVerdict(report) {
+        const { sei } = report;
+        if (sei.decoded > 0) {
+            return sei.failed > 0
+                ? `Telemetry found (${sei.decoded} messages), ${sei.failed} failed to decode`
+                : `Telemetry found (${sei.decoded} messages)`;
+        }
+        if (!report.codec) return 'Video track could not be read (missing or corrupt moov box)';
+        if (sei.failed > 0) return 'Tesla SEI found but the protobuf could not be decoded';
+        if (sei.notTesla > 0) return 'SEI found but it is not Tesla telemetry';
+        if (report.warnings.some(warning => warning.includes('truncated'))) {
+            return 'No telemetry found; the file is truncated';
+        }
+        return 'No SEI telemetry in this file (firmware 2025.44.25+ required)';
+    }
+
+    /**
+     * Render a titled section
+     */
+    renderSection(title, body) {
+        const section = document.createElement('section');
+        section.className = 'diagnostics-section';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+        section.appendChild(body);
+        return section;
+    }
+
+    /**
+     * Render label/value pairs as a definition list
+     */
+    renderList(rows) {
+        const list = document.createElement('dl');
+        list.className = 'diagnostics-list';
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = String(value);
+            list.append(term, detail);
+        }
+        return list;
+    }
+
+    /**
+     * Render nested boxes as a tree of type, offset and size
+     */
+    renderBoxTree(boxes) {
+        const list = document.createElement('ul');
+        list.className = 'diagnostics-boxes';
+        for (const box of boxes) {
+            const item = this.renderItem(`${box.type} @ ${box.offset} (${box.size.toLocaleString()} bytes)`);
+            if (box.children && box.children.length > 0) {
+                item.appendChild(this.renderBoxTree(box.children));
+            }
+            list.appendChild(item);
+        }
+        return list;
+    }
+
+    renderItem(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        return item;
+    }
+
+    renderText(text) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        return paragraph;
+    }
+
+    /**
+     * Download the current report as JSON
+     */
+    download() {
+        if (!this.report) return;
+
+        const baseName = (this.report.fileName || 'dashcam').replace(/\.mp4$/i, '');
+        const blob = new Blob([JSON.stringify(this.report, null, 2)], { type: 'application/json' });
+        window.DashcamHelpers.downloadBlob(blob, `${baseName}-diagnostics.json`);
+    }
+
+    open() {
+        this.panel.classList.remove('hidden');
+        this.panel.classList.add('visible');
+    }
+
+    hide() {
+        this.panel.classList.remove('visible');
+        this.panel.classList.add('hidden');
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * Event Library Module
+ * Browsable list of TeslaCam events (Recent / Saved / Sentry) indexed from a dropped folder
+ */
+
+import { CAMERA_NAMES } from './file-loader.js';
+
+const CATEGORIES = [
+    { id: 'recent', label: 'Recent' },
+    { id: 'saved', label: 'Saved' },
+    { id: 'sentry', label: 'Sentry' },
+    { id: 'other', label: 'Other' }
+];
+
+// Human-readable names for common event.json "reason" values
+const EVENT_REASONS = {
+    user_interaction_honk: 'Honk',
+    user_interaction_dashcam_icon_tapped: 'Dashcam icon tapped',
+    user_interaction_dashcam_panel_save: 'Saved from dashcam panel',
+    sentry_aware_object_detection: 'Object detected',
+    sentry_aware_accel: 'Vehicle bumped'
+};
+
+export class EventLibrary {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Event library element with id "${containerId}" not found`);
+        }
+
+        this.library = null;
+        this.activeCategory = null;
+        this.callbacks = {
+            onClipSelected: null,
+            onSessionSelected: null
+        };
+    }
+
+    /**
+     * Render library returned by FileLoader.buildEventLibrary
+     */
+    render(library) {
+        this.library = library;
+
+        // Default to the first category that has events
+        const counts = this.getCategoryCounts();
+        if (!this.activeCategory || !counts[this.activeCategory]) {
+            this.activeCategory = CATEGORIES.find(c => counts[c.id] > 0)?.id || 'recent';
+        }
+
+        this.container.innerHTML = '';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Event Library';
+        this.container.appendChild(heading);
+
+        this.container.appendChild(this.renderTabs(counts));
+        this.container.appendChild(this.renderEvents());
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Count events per category
+     */
+    getCategoryCounts() {
+        const counts = {};
+        for (const event of this.library.events) {
+            counts[event.category] = (counts[event.category] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Render category tabs (the "Other" tab only appears when needed)
+     */
+    renderTabs(counts) {
+        const tabs = document.createElement('div');
+        tabs.className = 'library-tabs';
+        tabs.setAttribute('role', 'tablist');
+
+        for (const { id, label } of CATEGORIES) {
+            if (id === 'other' && !counts.other) continue;
+
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'library-tab';
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(id === this.activeCategory));
+            tab.classList.toggle('active', id === this.activeCategory);
+            tab.textContent = `${label} (${counts[id] || 0})`;
+            tab.addEventListener('click', () => {
+                this.activeCategory = id;
+                this.render(this.library);
+            });
+            tabs.appendChild(tab);
+        }
+
+        return tabs;
+    }
+
+    /**
+     * Render event list for the active category
+     */
+    renderEvents() {
+        const list = document.createElement('ul');
+        list.className = 'library-events';
+
+        const events = this.library.events.filter(e => e.category === this.activeCategory);
+        if (events.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No events in this folder';
+            list.appendChild(empty);
+            return list;
+        }
+
+        for (const event of events) {
+            list.appendChild(this.renderEvent(event));
+        }
+        return list;
+    }
+
+    /**
+     * Render a single event with its clips
+     */
+    renderEvent(event) {
+        const item = document.createElement('li');
+        item.className = 'library-event';
+
+        const header = document.createElement('div');
+        header.className = 'library-event-header';
+
+        const title = document.createElement('strong');
+        title.textContent = event.timestamp.toLocaleString();
+        header.appendChild(title);
+
+        const details = this.describeEvent(event);
+        if (details) {
+            const detailsEl = document.createElement('span');
+            detailsEl.className = 'library-event-details';
+            detailsEl.textContent = details;
+            header.appendChild(detailsEl);
+        }
+
+        const meta = document.createElement('span');
+        meta.className = 'library-event-meta';
+        const clipLabel = event.clips.length === 1 ? 'clip' : 'clips';
+        meta.textContent = `${event.clips.length} ${clipLabel} · ${event.cameraIds.map(id => CAMERA_NAMES[id]).join(', ')}`;
+        header.appendChild(meta);
+
+        item.appendChild(header);
+
+        // One button per clip; the clip containing the event trigger is highlighted
+        const triggerClip = this.findTriggerClip(event);
+        const clips = document.createElement('div');
+        clips.className = 'library-clips';
+
+        for (const clip of event.clips) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'clip-btn';
+            button.classList.toggle('trigger', clip === triggerClip);
+            button.textContent = clip.timestamp.toLocaleTimeString();
+            button.title = `${clip.key} (${Object.keys(clip.cameras).length} cameras)`;
+            button.addEventListener('click', () => {
+                if (this.callbacks.onClipSelected) {
+                    this.callbacks.onClipSelected(clip, event);
+                }
+            });
+            clips.appendChild(button);
+        }
+
+        // Consecutive clips can be played back as one continuous drive
+        if (event.clips.length > 1) {
+            const playAll = document.createElement('button');
+            playAll.type = 'button';
+            playAll.className = 'clip-btn play-all';
+            playAll.textContent = '▶ Play all';
+            playAll.title = 'Play all clips as one continuous drive';
+            playAll.addEventListener('click', () => {
+                if (this.callbacks.onSessionSelected) {
+                    this.callbacks.onSessionSelected(event.clips, event);
+                }
+            });
+            clips.prepend(playAll);
+        }
+
+        item.appendChild(clips);
+        return item;
+    }
+
+    /**
+     * Build description from event.json (reason and location)
+     */
+    describeEvent(event) {
+        const metadata = event.metadata;
+        if (!metadata) return null;
+
+        const parts = [];
+        if (metadata.reason) {
+            parts.push(EVENT_REASONS[metadata.reason] || metadata.reason.replace(/_/g, ' '));
+        }
+        if (metadata.city) {
+            parts.push(metadata.city);
+        }
+        return parts.join(' · ') || null;
+    }
+
+    /**
+     * Find the clip that contains the event.json trigger time
+     */
+    findTriggerClip(event) {
+        const triggerTime = event.metadata?.timestamp;
+        if (!triggerTime) return null;
+
+        let trigger = null;
+        for (const clip of event.clips) {
+            if (clip.timestamp <= triggerTime) {
+                trigger = clip;
+            }
+        }
+        return trigger;
+    }
+
+    /**
+     * Register callback for clip selection
+     */
+    onClipSelected(callback) {
+        this.callbacks.onClipSelected = callback;
+    }
+
+    /**
+     * Register callback for drive session selection (all clips of an event)
+     */
+    onSessionSelected(callback) {
+        this.callbacks.onSessionSelected = callback;
+    }
+
+    /**
+     * Check whether a library has been loaded
+     */
+    hasLibrary() {
+        return this.library !== null;
+    }
+
+    /**
+     * Clear library
+     */
+    clear() {
+        this.library = null;
+        this.activeCategory = null;
+        this.container.innerHTML = '';
+        this.container.classList.add('hidden');
+    }
+}
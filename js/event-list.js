@@ -0,0 +1,381 @@
+/**
+ * Event List Module
+ * Sidebar listing detected timeline events with frame thumbnails, click-to-seek,
+ * previous/next navigation, filtering by type and CSV/JSON export of the event log
+ */
+
+import { EventRules } from './event-rules.js';
+
+const THUMBNAIL_WIDTH = 96;
+const THUMBNAIL_HEIGHT = 54;
+
+// Events closer than this to the current time count as "at" it for navigation
+const NAVIGATION_EPSILON = 0.25; // seconds
+
+export class EventList {
+    constructor(panelId, videoPlayer) {
+        this.panel = document.getElementById(panelId);
+        if (!this.panel) {
+            throw new Error(`Event list element with id "${panelId}" not found`);
+        }
+
+        this.videoPlayer = videoPlayer;
+        this.events = [];
+        this.eventTypes = {};
+        this.sourceName = null;
+        this.filter = 'all';
+        this.activeIndex = -1;
+        this.elements = {};
+
+        // Thumbnails are drawn one at a time from a hidden video element
+        this.resolveFrame = null;
+        this.thumbnailQueue = [];
+        this.thumbnailVideo = null;
+        this.thumbnailRunning = false;
+        this.cancelThumbnailSeek = null;
+        this.failedThumbnailURLs = new Set(); // videos this browser cannot decode
+        this.generation = 0;
+    }
+
+    /**
+     * Cache elements and wire up the controls.
+     * resolveFrame(time) returns { objectURL, time } locating a session time in a video file.
+     */
+    initialize(resolveFrame) {
+        this.resolveFrame = resolveFrame;
+        this.elements = {
+            list: this.panel.querySelector('.event-list'),
+            count: document.getElementById('eventListCount'),
+            filter: document.getElementById('eventFilterSelect'),
+            prevBtn: document.getElementById('prevEventBtn'),
+            nextBtn: document.getElementById('nextEventBtn'),
+            exportCsvBtn: document.getElementById('exportEventsCsvBtn'),
+            exportJsonBtn: document.getElementById('exportEventsJsonBtn')
+        };
+
+        this.elements.filter.addEventListener('change', () => {
+            this.filter = this.elements.filter.value;
+            this.render();
+        });
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.seekRelative(-1);
+        });
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.seekRelative(1);
+        });
+        this.elements.exportCsvBtn.addEventListener('click', () => {
+            this.download('csv');
+        });
+        this.elements.exportJsonBtn.addEventListener('click', () => {
+            this.download('json');
+        });
+    }
+
+    /**
+     * Show a new set of events (eventTypes is TimelineController.EVENT_TYPES;
+     * sourceName names the export files)
+     */
+    setEvents(events, eventTypes, sourceName = null) {
+        this.events = events;
+        this.eventTypes = eventTypes;
+        this.sourceName = sourceName;
+        if (this.filter !== 'all' && !events.some(event => event.type === this.filter)) {
+            this.filter = 'all';
+        }
+
+        this.renderFilter();
+        this.render();
+        this.panel.classList.remove('hidden');
+    }
+
+    renderFilter() {
+        const select = this.elements.filter;
+        select.innerHTML = '';
+        select.appendChild(new Option('All types', 'all'));
+
+        const types = [...new Set(this.events.map(event => event.type))];
+        for (const type of types) {
+            const count = this.events.filter(event => event.type === type).length;
+            select.appendChild(new Option(`${this.getEventType(type).label} (${count})`, type));
+        }
+        select.value = this.filter;
+    }
+
+    /**
+     * Render the (filtered) event rows and queue their thumbnails
+     */
+    render() {
+        this.generation++;
+        this.thumbnailQueue = [];
+        this.activeIndex = -1;
+
+        const visible = this.getVisibleEvents();
+        this.elements.count.textContent = `${visible.length} of ${this.events.length}`;
+        this.elements.list.innerHTML = '';
+
+        for (const event of visible) {
+            const item = this.renderEvent(event);
+            this.elements.list.appendChild(item);
+        }
+
+        const hasEvents = visible.length > 0;
+        this.elements.prevBtn.disabled = !hasEvents;
+        this.elements.nextBtn.disabled = !hasEvents;
+        this.elements.exportCsvBtn.disabled = !hasEvents;
+        this.elements.exportJsonBtn.disabled = !hasEvents;
+
+        this.processThumbnails();
+    }
+
+    renderEvent(event) {
+        const eventType = this.getEventType(event.type, event.subtype);
+
+        const item = document.createElement('li');
+        item.className = 'event-list-item';
+        item.tabIndex = 0;
+        item.style.borderLeftColor = eventType.color;
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.className = 'event-thumbnail';
+        thumbnail.width = THUMBNAIL_WIDTH;
+        thumbnail.height = THUMBNAIL_HEIGHT;
+        // Show the frame where the event peaked
+        this.thumbnailQueue.push({ canvas: thumbnail, time: event.peakTime });
+
+        const details = document.createElement('div');
+        details.className = 'event-details';
+        const title = document.createElement('div');
+        title.className = 'event-title';
+        title.textContent = `${eventType.icon} ${eventType.label}`;
+        const meta = document.createElement('div');
+        meta.className = 'event-meta';
+        meta.textContent = [EventList.formatTime(event.start), ...this.formatStats(event)].join(' · ');
+        details.append(title, meta);
+
+        item.append(thumbnail, details);
+        item.addEventListener('click', () => {
+            this.videoPlayer.seek(event.timestamp);
+        });
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.videoPlayer.seek(event.timestamp);
+            }
+        });
+        return item;
+    }
+
+    /**
+     * Icon, label and color for an event type (subtype-specific where defined)
+     */
+    getEventType(type, subtype = null) {
+        const eventType = this.eventTypes[type] || { label: type, icon: '●', color: '#6c757d' };
+        return {
+            ...eventType,
+            icon: (subtype && eventType.icons?.[subtype]) || eventType.icon,
+            label: (subtype && eventType.labels?.[subtype]) || eventType.label
+        };
+    }
+
+    /**
+     * Duration and peak value with its unit (none for instant state changes)
+     */
+    formatStats(event) {
+        if (event.subtype) return [];
+
+        const stats = [`${(event.end - event.start).toFixed(1)}s`];
+        const peak = EventRules.formatValue(this.eventTypes[event.type]?.field, event.peak);
+        if (peak) stats.push(`peak ${peak}`);
+        return stats;
+    }
+
+    getVisibleEvents() {
+        return this.filter === 'all'
+            ? this.events
+            : this.events.filter(event => event.type === this.filter);
+    }
+
+    /**
+     * Seek to the previous (-1) or next (1) visible event relative to the playback position
+     */
+    seekRelative(direction) {
+        const visible = this.getVisibleEvents();
+        const time = this.videoPlayer.currentTime;
+        const target = direction > 0
+            ? visible.find(event => event.timestamp > time + NAVIGATION_EPSILON)
+            : [...visible].reverse().find(event => event.timestamp < time - NAVIGATION_EPSILON);
+
+        if (target) {
+            this.videoPlayer.seek(target.timestamp);
+        }
+    }
+
+    /**
+     * Highlight the latest event starting at or before the playback time
+     */
+    updateTime(time) {
+        const visible = this.getVisibleEvents();
+        let index = -1;
+        for (let i = 0; i < visible.length && visible[i].timestamp <= time + NAVIGATION_EPSILON; i++) {
+            index = i;
+        }
+        if (index === this.activeIndex) return;
+
+        const items = this.elements.list.children;
+        if (items[this.activeIndex]) items[this.activeIndex].classList.remove('active');
+        if (items[index]) {
+            items[index].classList.add('active');
+            this.scrollToItem(items[index]);
+        }
+        this.activeIndex = index;
+    }
+
+    /**
+     * Scroll the list (only the list, never the page) so an item is visible
+     */
+    scrollToItem(item) {
+        const list = this.elements.list;
+        const top = item.offsetTop;
+        const bottom = top + item.offsetHeight;
+        if (top < list.scrollTop) {
+            list.scrollTop = top;
+        } else if (bottom > list.scrollTop + list.clientHeight) {
+            list.scrollTop = bottom - list.clientHeight;
+        }
+    }
+
+    /**
+     * Draw queued thumbnails one by one by seeking a hidden video
+     */
+    async processThumbnails() {
+        if (this.thumbnailRunning || !this.resolveFrame) return;
+        this.thumbnailRunning = true;
+
+        if (!this.thumbnailVideo) {
+            this.thumbnailVideo = document.createElement('video');
+            this.thumbnailVideo.muted = true;
+            this.thumbnailVideo.preload = 'auto';
+        }
+
+        try {
+            while (this.thumbnailQueue.length > 0) {
+                const { canvas, time } = this.thumbnailQueue.shift();
+                const generation = this.generation;
+                const frame = this.resolveFrame(time);
+                if (!frame || this.failedThumbnailURLs.has(frame.objectURL)) continue;
+
+                try {
+                    await this.seekThumbnailVideo(frame.objectURL, frame.time);
+                } catch {
+                    continue; // Codec not playable here (or cancelled); leave the placeholder
+                }
+                if (generation !== this.generation) continue;
+
+                canvas.getContext('2d').drawImage(this.thumbnailVideo, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+            }
+        } finally {
+            this.thumbnailRunning = false;
+        }
+    }
+
+    seekThumbnailVideo(objectURL, time) {
+        const video = this.thumbnailVideo;
+        return new Promise((resolve, reject) => {
+            const seek = () => { video.currentTime = time; };
+            const cleanup = () => {
+                video.removeEventListener('seeked', onSeeked);
+                video.removeEventListener('error', onError);
+                video.removeEventListener('loadedmetadata', seek);
+                this.cancelThumbnailSeek = null;
+            };
+            const onSeeked = () => { cleanup(); resolve(); };
+            const onError = () => {
+                cleanup();
+                // A video without loaded media never fires 'seeked'; do not try this one again
+                this.failedThumbnailURLs.add(objectURL);
+                reject(new Error('Thumbnail video failed to load'));
+            };
+            video.addEventListener('seeked', onSeeked);
+            video.addEventListener('error', onError);
+
+            // Unloading the video fires none of these events, so clear() settles the seek itself
+            this.cancelThumbnailSeek = () => { cleanup(); reject(new Error('Thumbnail seek cancelled')); };
+
+            if (video.src !== objectURL || video.error || video.readyState === 0) {
+                video.src = objectURL;
+                video.addEventListener('loadedmetadata', seek, { once: true });
+            } else {
+                seek();
+            }
+        });
+    }
+
+    /**
+     * Download the visible events as CSV or JSON
+     */
+    download(format) {
+        const rows = this.getVisibleEvents().map(event => {
+            const eventType = this.getEventType(event.type, event.subtype);
+            return {
+                start: Number(event.start.toFixed(3)),
+                end: Number(event.end.toFixed(3)),
+                duration: Number((event.end - event.start).toFixed(3)),
+                type: event.type,
+                label: eventType.label,
+                field: eventType.field || '',
+                peak: Number(event.peak.toFixed(3)),
+                peakTime: Number(event.peakTime.toFixed(3)),
+                mean: Number(event.mean.toFixed(3)),
+                severity: Number(event.severity.toFixed(3))
+            };
+        });
+
+        const blob = format === 'csv'
+            ? new Blob([window.DashcamHelpers.buildCsv(rows, [
+                { propName: 'start', protoName: 'start_s' },
+                { propName: 'end', protoName: 'end_s' },
+                { propName: 'duration', protoName: 'duration_s' },
+                { propName: 'type' },
+                { propName: 'label' },
+                { propName: 'field' },
+                { propName: 'peak' },
+                { propName: 'peakTime', protoName: 'peak_time_s' },
+                { propName: 'mean' },
+                { propName: 'severity' }
+            ])], { type: 'text/csv' })
+            : new Blob([JSON.stringify({ eventCount: rows.length, events: rows }, null, 2)], { type: 'application/json' });
+
+        const baseName = (this.sourceName || 'dashcam').replace(/\.mp4$/i, '');
+        window.DashcamHelpers.downloadBlob(blob, `${baseName}_events.${format}`);
+    }
+
+    /**
+     * Hide the panel and stop thumbnail work
+     */
+    clear() {
+        this.generation++;
+        this.events = [];
+        this.thumbnailQueue = [];
+        this.activeIndex = -1;
+        if (this.elements.list) this.elements.list.innerHTML = '';
+        this.failedThumbnailURLs.clear();
+        if (this.cancelThumbnailSeek) {
+            // The thumbnail loop then finds the queue empty and stops (resetting thumbnailRunning)
+            this.cancelThumbnailSeek();
+        }
+        if (this.thumbnailVideo) {
+            this.thumbnailVideo.removeAttribute('src');
+            this.thumbnailVideo.load();
+        }
+        this.panel.classList.add('hidden');
+    }
+
+    /**
+     * Format seconds as M:SS.s
+     */
+    static formatTime(seconds) {
+        const m = Math.floor(seconds / 60);
+        const s = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${m}:${s}`;
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Event Rules Editor Module
+ * Settings panel UI for editing, adding, importing and exporting event detection rules
+ */
+
+import { EventRules, EVENT_FIELDS, COMPARATORS, TRIGGERS, MERGE_GAP, DEFAULT_EVENT_RULES } from './event-rules.js';
+
+export class EventRulesEditor {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Event rules editor element with id "${containerId}" not found`);
+        }
+
+        this.rules = [];
+        this.elements = {};
+        this.callbacks = {
+            onChange: null,
+            onError: null
+        };
+    }
+
+    /**
+     * Cache elements and wire up the toolbar buttons
+     */
+    initialize(rules) {
+        this.elements = {
+            list: this.container.querySelector('.event-rules-list'),
+            addBtn: document.getElementById('addEventRuleBtn'),
+            resetBtn: document.getElementById('resetEventRulesBtn'),
+            importBtn: document.getElementById('importEventRulesBtn'),
+            importInput: document.getElementById('importEventRulesInput'),
+            exportBtn: document.getElementById('exportEventRulesBtn')
+        };
+
+        this.elements.addBtn.addEventListener('click', () => {
+            this.addRule();
+        });
+        this.elements.resetBtn.addEventListener('click', () => {
+            this.setRules(DEFAULT_EVENT_RULES);
+            this.emitChange();
+        });
+        this.elements.importBtn.addEventListener('click', () => {
+            this.elements.importInput.click();
+        });
+        this.elements.importInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.importFile(file);
+        });
+        this.elements.exportBtn.addEventListener('click', () => {
+            this.exportRules();
+        });
+
+        this.setRules(rules);
+    }
+
+    /**
+     * Show a rule set (does not emit a change)
+     */
+    setRules(rules) {
+        this.rules = rules.map(rule => ({ ...rule }));
+        this.render();
+    }
+
+    render() {
+        this.elements.list.innerHTML = '';
+        this.rules.forEach((rule, index) => {
+            this.elements.list.appendChild(this.renderRule(rule, index));
+        });
+    }
+
+    /**
+     * One rule as a small form: name and style, condition, and minimum duration, speed and trigger
+     */
+    renderRule(rule, index) {
+        const item = document.createElement('li');
+        item.className = 'event-rule';
+
+        const enabled = this.createInput('checkbox', rule.enabled, 'Enabled');
+        enabled.checked = rule.enabled;
+        enabled.addEventListener('change', () => this.updateRule(index, { enabled: enabled.checked }));
+
+        const icon = this.createInput('text', rule.icon, 'Icon');
+        icon.className = 'event-rule-icon';
+        icon.maxLength = 2;
+        icon.addEventListener('change', () => this.updateRule(index, { icon: icon.value }));
+
+        const label = this.createInput('text', rule.label, 'Name');
+        label.className = 'event-rule-label';
+        label.addEventListener('change', () => this.updateRule(index, { label: label.value.trim() }));
+
+        const color = this.createInput('color', rule.color, 'Color');
+        color.addEventListener('change', () => this.updateRule(index, { color: color.value }));
+
+        const remove = document.createElement('button');
+        remove.className = 'icon-btn event-rule-remove';
+        remove.type = 'button';
+        remove.textContent = '×';
+        remove.title = 'Delete rule';
+        remove.addEventListener('click', () => this.removeRule(index));
+
+        const field = this.createSelect(EVENT_FIELDS, rule.field, 'Field');
+        field.addEventListener('change', () => this.updateRule(index, { field: field.value }));
+
+        const comparator = this.createSelect(COMPARATORS, rule.comparator, 'Comparator');
+        comparator.addEventListener('change', () => this.updateRule(index, { comparator: comparator.value }));
+
+        const threshold = this.createInput('number', rule.threshold, 'Threshold');
+        threshold.step = 'any';
+        threshold.disabled = rule.comparator === 'change';
+        threshold.addEventListener('change', () => this.updateRule(index, { threshold: Number(threshold.value) }));
+
+        const minDuration = this.createInput('number', rule.minDuration, 'Minimum duration (seconds)');
+        minDuration.min = '0';
+        minDuration.step = '0.1';
+        minDuration.addEventListener('change', () => this.updateRule(index, { minDuration: Number(minDuration.value) }));
+
+        const minSpeed = this.createInput('number', rule.minSpeed, 'Minimum speed (mph)');
+        minSpeed.min = '0';
+        minSpeed.step = 'any';
+        minSpeed.addEventListener('change', () => this.updateRule(index, { minSpeed: Number(minSpeed.value) }));
+
+        const triggerLabels = { edge: 'as one span', level: `every ${MERGE_GAP} s` };
+        const trigger = this.createSelect(Object.fromEntries(TRIGGERS.map(t => [t, triggerLabels[t]])), rule.trigger, 'Trigger');
+        trigger.disabled = rule.comparator === 'change';
+        trigger.addEventListener('change', () => this.updateRule(index, { trigger: trigger.value }));
+
+        item.append(
+            this.createRow(enabled, icon, label, color, remove),
+            this.createRow(field, comparator, threshold),
+            this.createRow('for ≥', minDuration, 's, above', minSpeed, 'mph,', trigger)
+        );
+        return item;
+    }
+
+    createRow(...children) {
+        const row = document.createElement('div');
+        row.className = 'event-rule-row';
+        row.append(...children);
+        return row;
+    }
+
+    createInput(type, value, label) {
+        const input = document.createElement('input');
+        input.type = type;
+        if (type !== 'checkbox') input.value = value;
+        input.setAttribute('aria-label', label);
+        input.title = label;
+        return input;
+    }
+
+    createSelect(options, value, label) {
+        const select = document.createElement('select');
+        for (const [optionValue, optionLabel] of Object.entries(options)) {
+            select.appendChild(new Option(optionLabel, optionValue, false, optionValue === value));
+        }
+        select.setAttribute('aria-label', label);
+        return select;
+    }
+
+    /**
+     * Apply a change to one rule; invalid edits are reported and reverted
+     */
+    updateRule(index, changes) {
+        const updated = { ...this.rules[index], ...changes };
+        try {
+            this.rules[index] = EventRules.validateRule(updated);
+        } catch (error) {
+            this.reportError(error);
+        }
+        this.render();
+        this.emitChange();
+    }
+
+    addRule() {
+        this.rules.push({
+            id: `rule-${Date.now().toString(36)}`,
+            label: 'New Rule',
+            enabled: true,
+            field: 'speed.mph',
+            comparator: '>',
+            threshold: 80,
+            minDuration: 1,
+            minSpeed: 0,
+            trigger: 'edge',
+            color: '#9b59b6',
+            icon: '★'
+        });
+        this.render();
+        this.emitChange();
+    }
+
+    removeRule(index) {
+        this.rules.splice(index, 1);
+        this.render();
+        this.emitChange();
+    }
+
+    /**
+     * Replace the rules with those from a JSON rule set file
+     */
+    async importFile(file) {
+        try {
+            this.setRules(EventRules.importRuleSet(await file.text()));
+            this.emitChange();
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    exportRules() {
+        const blob = new Blob([EventRules.exportRuleSet(this.rules)], { type: 'application/json' });
+        window.DashcamHelpers.downloadBlob(blob, 'event-rules.json');
+    }
+
+    emitChange() {
+        if (this.callbacks.onChange) {
+            this.callbacks.onChange(this.rules.map(rule => ({ ...rule })));
+        }
+    }
+
+    reportError(error) {
+        if (this.callbacks.onError) {
+            this.callbacks.onError(error);
+        } else {
+            console.warn('Event rules:', error.message);
+        }
+    }
+
+    /**
+     * Register callback for rule set changes
+     */
+    onChange(callback) {
+        this.callbacks.onChange = callback;
+    }
+
+    /**
+     * Register callback for invalid edits or imports
+     */
+    onError(callback) {
+        this.callbacks.onError = callback;
+    }
+}
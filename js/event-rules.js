@@ -0,0 +1,377 @@
+/**
+ * Event Rules Module
+ * Configurable event detection: each rule compares one telemetry field against a threshold
+ * and produces timeline events spanning the time the condition held.
+ * The defaults reproduce the built-in event types.
+ */
+
+// Telemetry fields rules can test (paths into TelemetryDecoder entries)
+export const EVENT_FIELDS = {
+    'speed.mph': 'Speed (mph)',
+    'speed.kph': 'Speed (km/h)',
+    'acceleration.x': 'Longitudinal accel (m/s²)',
+    'acceleration.y': 'Lateral accel (m/s²)',
+    'acceleration.z': 'Vertical accel (m/s²)',
+    'steeringAngle': 'Steering angle (°)',
+    'accelerator': 'Accelerator (%)',
+    'brake': 'Brake applied',
+    'regenBraking': 'Regen braking',
+    'autopilot.state': 'Autopilot state',
+    'gear.state': 'Gear',
+    'turnSignals.left': 'Left blinker',
+    'turnSignals.right': 'Right blinker'
+};
+
+// Comparators; 'change' fires whenever the value differs from the previous sample
+export const COMPARATORS = {
+    '>': 'greater than',
+    '>=': 'at least',
+    '<': 'less than',
+    '<=': 'at most',
+    '==': 'equal to',
+    '!=': 'not equal to',
+    'abs>': 'magnitude above',
+    'change': 'changes'
+};
+
+// How a rule reports an episode: 'edge' as one event spanning it, 'level' as one event per MERGE_GAP while it holds
+export const TRIGGERS = ['edge', 'level'];
+
+// Episodes of the same rule separated by a shorter gap are merged into one event;
+// 'level' rules repeat their event at this interval
+export const MERGE_GAP = 0.5; // seconds
+
+export const DEFAULT_EVENT_RULES = [
+    {
+        id: 'hardBraking', label: 'Hard Braking', enabled: true,
+        field: 'acceleration.x', comparator: '<', threshold: -4.0,
+        minDuration: 0, minSpeed: 5.0, trigger: 'edge',
+        color: '#dc3545', icon: '🛑'
+    },
+    {
+        id: 'brakeUsed', label: 'Brake Applied', enabled: true,
+        field: 'brake', comparator: '==', threshold: 1,
+        minDuration: 0, minSpeed: 5.0, trigger: 'edge',
+        color: '#ff8c00', icon: '🔴'
+    },
+    {
+        id: 'sharpTurn', label: 'Sharp Turn', enabled: true,
+        field: 'steeringAngle', comparator: 'abs>', threshold: 180,
+        minDuration: 0, minSpeed: 10.0, trigger: 'edge',
+        color: '#ffc107', icon: '↻'
+    },
+    {
+        id: 'autopilotChange', label: 'Autopilot Change', enabled: true,
+        field: 'autopilot.state', comparator: 'change', threshold: 0,
+        minDuration: 0, minSpeed: 0, trigger: 'edge',
+        color: '#0066cc', icon: '🤖',
+        icons: { engage: '🤖', disengage: '✋' },
+        labels: { engage: 'Autopilot Engaged', disengage: 'Autopilot Disengaged' }
+    },
+    {
+        id: 'rapidAcceleration', label: 'Rapid Acceleration', enabled: true,
+        field: 'acceleration.x', comparator: '>', threshold: 3.0,
+        minDuration: 0, minSpeed: 5.0, trigger: 'edge',
+        color: '#28a745', icon: '⚡'
+    },
+    {
+        id: 'speedThreshold', label: 'High Speed', enabled: true,
+        field: 'speed.kph', comparator: '>', threshold: 120,
+        minDuration: 0, minSpeed: 0, trigger: 'edge',
+        color: '#ff6b6b', icon: '⚠'
+    }
+];
+
+const RULE_SET_FORMAT = 'tesla-dashcam-event-rules';
+
+export class EventRules {
+    /**
+     * Check a rule and return a normalized copy; throws an Error describing the first problem
+     */
+    static validateRule(rule) {
+        if (!rule || typeof rule !== 'object') throw new Error('Rule must be an object');
+
+        const { id, label, field, comparator } = rule;
+        const trigger = rule.trigger ?? 'edge';
+        if (typeof id !== 'string' || !id) throw new Error('Rule is missing an id');
+        if (typeof label !== 'string' || !label) throw new Error(`Rule "${id}" is missing a label`);
+        if (!(field in EVENT_FIELDS)) throw new Error(`Rule "${label}": unknown field "${field}"`);
+        if (!(comparator in COMPARATORS)) throw new Error(`Rule "${label}": unknown comparator "${comparator}"`);
+        if (!TRIGGERS.includes(trigger)) throw new Error(`Rule "${label}": trigger must be "edge" or "level"`);
+
+        const numbers = {};
+        for (const key of ['threshold', 'minDuration', 'minSpeed']) {
+            const value = rule[key] ?? 0;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Rule "${label}": ${key} must be a number`);
+            }
+            numbers[key] = value;
+        }
+        if (numbers.minDuration < 0 || numbers.minSpeed < 0) {
+            throw new Error(`Rule "${label}": minimum duration and speed cannot be negative`);
+        }
+
+        const normalized = {
+            id, label, enabled: rule.enabled !== false,
+            field, comparator, ...numbers, trigger,
+            color: typeof rule.color === 'string' && /^#[0-9a-f]{6}$/i.test(rule.color) ? rule.color : '#6c757d',
+            icon: typeof rule.icon === 'string' && rule.icon ? rule.icon : '●'
+        };
+        if (rule.icons && rule.labels) {
+            normalized.icons = EventRules.validateStringMap(rule.icons, `Rule "${label}": icons`);
+            normalized.labels = EventRules.validateStringMap(rule.labels, `Rule "${label}": labels`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Check a per-subtype map ({ engage: '…', disengage: '…' }) holds only strings; returns a copy
+     */
+    static validateStringMap(map, name) {
+        if (typeof map !== 'object' || Array.isArray(map)) throw new Error(`${name} must be an object`);
+        for (const value of Object.values(map)) {
+            if (typeof value !== 'string') throw new Error(`${name} must only contain text`);
+        }
+        return { ...map };
+    }
+
+    /**
+     * Validate a list of rules (unique ids); returns normalized copies or throws
+     */
+    static validateRuleSet(rules) {
+        if (!Array.isArray(rules)) throw new Error('Rule set must be a list of rules');
+
+        const ids = new Set();
+        return rules.map(rule => {
+            const normalized = EventRules.validateRule(rule);
+            if (ids.has(normalized.id)) throw new Error(`Duplicate rule id "${normalized.id}"`);
+            ids.add(normalized.id);
+            return normalized;
+        });
+    }
+
+    static isValidRuleSet(rules) {
+        try {
+            EventRules.validateRuleSet(rules);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Serialize a rule set for download
+     */
+    static exportRuleSet(rules) {
+        return JSON.stringify({ format: RULE_SET_FORMAT, version: 1, rules }, null, 2);
+    }
+
+    /**
+     * Parse a rule set file (the exported document or a bare array of rules)
+     */
+    static importRuleSet(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Rule set is not valid JSON: ' + error.message);
+        }
+        if (!Array.isArray(parsed) && parsed?.format !== RULE_SET_FORMAT) {
+            throw new Error('Not an event rule set file');
+        }
+        return EventRules.validateRuleSet(Array.isArray(parsed) ? parsed : parsed.rules);
+    }
+
+    /**
+     * Event type definitions ({ color, icon, label, field, icons?, labels? }) keyed by rule id, for drawing
+     */
+    static toEventTypes(rules) {
+        const types = {};
+        for (const rule of rules) {
+            types[rule.id] = { color: rule.color, icon: rule.icon, label: rule.label, field: rule.field };
+            if (rule.icons) {
+                types[rule.id].icons = rule.icons;
+                types[rule.id].labels = rule.labels;
+            }
+        }
+        return types;
+    }
+
+    /**
+     * Read a rule field from a telemetry entry as a number (booleans become 0/1)
+     */
+    static getValue(telemetry, field) {
+        const value = field.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), telemetry);
+        return value == null ? null : Number(value);
+    }
+
+    static compare(value, comparator, threshold) {
+        switch (comparator) {
+            case '>': return value > threshold;
+            case '>=': return value >= threshold;
+            case '<': return value < threshold;
+            case '<=': return value <= threshold;
+            case '==': return value === threshold;
+            case '!=': return value !== threshold;
+            case 'abs>': return Math.abs(value) > threshold;
+            default: return false;
+        }
+    }
+
+    /**
+     * Run enabled rules over time-ordered telemetry ({ timestamp, segmentIndex, ... }).
+     * Returns interval events { type, timestamp, start, end, peak, peakTime, mean, samples, severity }
+     * (timestamp is the start), unsorted. 'level' rules split an episode, from the point it has lasted
+     * minDuration, into events of up to MERGE_GAP each; 'change' rules give instant events with a subtype.
+     */
+    static detect(telemetry, rules) {
+        const events = [];
+
+        for (const rule of rules) {
+            if (!rule.enabled) continue;
+
+            let previous = null;
+            let current = null;
+            let segmentIndex = null;
+
+            const finish = () => {
+                if (current && current.end - current.start >= rule.minDuration) {
+                    if (rule.trigger === 'level') {
+                        let window = [];
+                        for (const point of current.points) {
+                            if (point.timestamp - current.start < rule.minDuration) continue;
+                            if (window.length > 0 && point.timestamp - window[0].timestamp >= MERGE_GAP) {
+                                events.push(EventRules.createWindowEvent(rule, window));
+                                window = [];
+                            }
+                            window.push(point);
+                        }
+                        if (window.length > 0) events.push(EventRules.createWindowEvent(rule, window));
+                    } else {
+                        current.mean = current.sum / current.samples;
+                        current.severity = EventRules.getSeverity(current.peak, rule.threshold);
+                        delete current.sum;
+                        delete current.points;
+                        events.push(current);
+                    }
+                }
+                current = null;
+            };
+
+            for (const data of telemetry) {
+                // Episodes do not continue across drive session clips
+                if (data.segmentIndex !== segmentIndex) {
+                    finish();
+                    segmentIndex = data.segmentIndex;
+                    previous = null;
+                }
+
+                const value = EventRules.getValue(data, rule.field);
+                if (value === null || Number.isNaN(value)) continue;
+
+                const fastEnough = rule.minSpeed <= 0 || data.speed.mph > rule.minSpeed;
+
+                if (rule.comparator === 'change') {
+                    if (previous !== null && value !== previous && fastEnough) {
+                        events.push({
+                            type: rule.id,
+                            subtype: value !== 0 ? 'engage' : 'disengage',
+                            timestamp: data.timestamp,
+                            start: data.timestamp,
+                            end: data.timestamp,
+                            peak: value,
+                            peakTime: data.timestamp,
+                            mean: value,
+                            samples: 1,
+                            severity: 1.0
+                        });
+                    }
+                    previous = value;
+                    continue;
+                }
+
+                if (!fastEnough || !EventRules.compare(value, rule.comparator, rule.threshold)) continue;
+
+                // Extend the current episode across short dropouts, otherwise start a new one
+                if (current && data.timestamp - current.end <= MERGE_GAP) {
+                    current.end = data.timestamp;
+                    current.sum += value;
+                    current.samples++;
+                    current.points.push({ timestamp: data.timestamp, value });
+                    if (EventRules.isMoreExtreme(value, current.peak, rule.comparator)) {
+                        current.peak = value;
+                        current.peakTime = data.timestamp;
+                    }
+                } else {
+                    finish();
+                    current = {
+                        type: rule.id,
+                        timestamp: data.timestamp,
+                        start: data.timestamp,
+                        end: data.timestamp,
+                        peak: value,
+                        peakTime: data.timestamp,
+                        sum: value,
+                        samples: 1,
+                        points: [{ timestamp: data.timestamp, value }]
+                    };
+                }
+            }
+            finish();
+        }
+        return events;
+    }
+
+    /**
+     * One event of a 'level' rule from consecutive { timestamp, value } samples
+     */
+    static createWindowEvent(rule, points) {
+        let peak = points[0];
+        let sum = 0;
+        for (const point of points) {
+            if (EventRules.isMoreExtreme(point.value, peak.value, rule.comparator)) peak = point;
+            sum += point.value;
+        }
+        return {
+            type: rule.id,
+            timestamp: points[0].timestamp,
+            start: points[0].timestamp,
+            end: points[points.length - 1].timestamp,
+            peak: peak.value,
+            peakTime: peak.timestamp,
+            mean: sum / points.length,
+            samples: points.length,
+            severity: EventRules.getSeverity(peak.value, rule.threshold)
+        };
+    }
+
+    /**
+     * Whether value goes further past the threshold than peak, in the comparator's direction
+     */
+    static isMoreExtreme(value, peak, comparator) {
+        switch (comparator) {
+            case '>':
+            case '>=': return value > peak;
+            case '<':
+            case '<=': return value < peak;
+            default: return Math.abs(value) > Math.abs(peak);
+        }
+    }
+
+    /**
+     * A field value with the unit from its EVENT_FIELDS label ("-5.2 m/s²"), or '' for on/off and state fields
+     */
+    static formatValue(field, value) {
+        const unit = (EVENT_FIELDS[field] || '').match(/\(([^)]+)\)$/);
+        if (!unit || value == null) return '';
+        return `${Number.isInteger(value) ? value : value.toFixed(1)} ${unit[1]}`;
+    }
+
+    /**
+     * 0-1 marker height: how far past the threshold the peak went (0.5 at the threshold)
+     */
+    static getSeverity(value, threshold) {
+        if (threshold === 0) return 0.7;
+        return Math.min(Math.abs(value) / (Math.abs(threshold) * 2), 1.0);
+    }
+}
@@ -7,20 +7,40 @@ const TESLA_FILENAME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})-(\d{2})-(\d{2})
 const MAX_SAFE_FILE_SIZE = 2 * 1024 * 1024 * 1024; // 2GB
 const MAX_FILE_SIZE = 5 * 1024 * 1024 * 1024; // 5GB
 
+// TeslaCam subfolders and the library category they map to
+const CLIP_FOLDER_PATTERN = /^(Recent|Saved|Sentry)Clips$/i;
+
+// RecentClips are split into separate events where recording stopped for longer than this
+const RECENT_SESSION_GAP = 90 * 1000; // ms
+
+// Display names for the camera identifiers used in Tesla filenames
+export const CAMERA_NAMES = {
+    'front': 'Front',
+    'rear': 'Rear',
+    'left_repeater': 'Left Repeater',
+    'right_repeater': 'Right Repeater',
+    'left_pillar': 'Left B-Pillar',
+    'right_pillar': 'Right B-Pillar'
+};
+
 export class FileLoader {
     constructor() {
         this.fileInput = null;
+        this.folderInput = null;
         this.dropZone = null;
         this.onFileSelectedCallback = null;
-        this.currentObjectURL = null;
+        this.onLibraryLoadedCallback = null;
+        this.objectURLs = [];
+        this.library = null;
     }
 
     /**
-     * Initialize file input and drag-and-drop handlers
+     * Initialize file input, folder input and drag-and-drop handlers
      */
-    initialize(fileInputId, dropZoneId) {
+    initialize(fileInputId, dropZoneId, folderInputId = null) {
         this.fileInput = document.getElementById(fileInputId);
         this.dropZone = document.getElementById(dropZoneId);
+        this.folderInput = folderInputId ? document.getElementById(folderInputId) : null;
 
         if (!this.fileInput || !this.dropZone) {
             throw new Error('File input or drop zone element not found');
@@ -36,18 +56,36 @@ export class FileLoader {
         this.onFileSelectedCallback = callback;
     }
 
+    /**
+     * Set callback for when a TeslaCam folder has been indexed into an event library
+     */
+    onLibraryLoaded(callback) {
+        this.onLibraryLoadedCallback = callback;
+    }
+
     /**
      * Setup event listeners for file input and drag-and-drop
      */
     setupEventListeners() {
         // File input change event
         this.fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.handleFileSelection(file);
+            const files = Array.from(e.target.files);
+            if (files.length > 0) {
+                this.handleFilesSelection(files);
             }
         });
 
+        // Folder input change event (webkitdirectory)
+        if (this.folderInput) {
+            this.folderInput.addEventListener('change', (e) => {
+                const entries = Array.from(e.target.files)
+                    .map(file => ({ file, path: file.webkitRelativePath || file.name }));
+                if (entries.length > 0) {
+                    this.handleDirectorySelection(entries);
+                }
+            });
+        }
+
         // Drag-and-drop events
         this.dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -66,15 +104,22 @@ export class FileLoader {
             e.stopPropagation();
             this.dropZone.classList.remove('drag-over');
 
-            const file = e.dataTransfer.files[0];
-            if (file) {
-                this.handleFileSelection(file);
+            // Directories are indexed into an event library instead of played directly
+            const items = Array.from(e.dataTransfer.items || []);
+            if (items.some(item => item.webkitGetAsEntry?.()?.isDirectory)) {
+                this.handleDirectoryDrop(e.dataTransfer.items);
+                return;
+            }
+
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length > 0) {
+                this.handleFilesSelection(files);
             }
         });
 
         // Click on drop zone to trigger file input
         this.dropZone.addEventListener('click', (e) => {
-            // Don't trigger if clicking on the file input itself
+            // Don't trigger if clicking on the file/folder inputs or their labels
             if (e.target !== this.fileInput && !e.target.closest('.file-label')) {
                 this.fileInput.click();
             }
@@ -100,22 +145,136 @@ export class FileLoader {
                 console.warn(`Large file detected (${this.formatFileSize(file.size)}). Performance may be impacted.`);
             }
 
-            // Clean up previous object URL
-            this.cleanupObjectURL();
-
-            // Create object URL for video playback
-            this.currentObjectURL = URL.createObjectURL(file);
+            // Clean up previous object URLs
+            this.cleanupObjectURLs();
 
             // Call callback with file info
             if (this.onFileSelectedCallback) {
-                this.onFileSelectedCallback({
-                    file,
-                    objectURL: this.currentObjectURL,
-                    ...fileInfo,
-                    size: file.size,
-                    type: file.type
+                this.onFileSelectedCallback(this.createFileData(file, fileInfo));
+            }
+        } catch (error) {
+            if (this.onFileSelectedCallback) {
+                this.onFileSelectedCallback({ error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Handle selection of one or more files.
+     * Multiple clips sharing a timestamp prefix are loaded as one multi-camera event;
+     * consecutive timestamps are stitched into a drive session.
+     * Files spanning several recordings open in the event library instead.
+     */
+    async handleFilesSelection(files) {
+        if (files.length === 1) {
+            return this.handleFileSelection(files[0]);
+        }
+
+        try {
+            const groups = this.groupFilesByTimestamp(files);
+            if (groups.length === 0) {
+                throw new Error('No Tesla dashcam clips found. Expected files named YYYY-MM-DD_HH-MM-SS-<camera>.mp4');
+            }
+
+            const sessions = this.splitIntoSessions(groups);
+            if (sessions.length > 1 && this.onLibraryLoadedCallback) {
+                const events = sessions.map(session => this.createLibraryEvent('other', null, session, null));
+                events.sort((a, b) => b.timestamp - a.timestamp);
+                this.library = { events };
+                this.onLibraryLoadedCallback(this.library);
+                return;
+            }
+
+            this.selectSession(sessions[0]);
+        } catch (error) {
+            if (this.onFileSelectedCallback) {
+                this.onFileSelectedCallback({ error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Group valid Tesla clips by their timestamp prefix, sorted chronologically.
+     * Each group maps camera id to { file, fileInfo }.
+     */
+    groupFilesByTimestamp(files) {
+        const groups = new Map();
+
+        for (const file of files) {
+            const validation = this.validateFile(file);
+            if (!validation.valid) {
+                console.warn(`Skipping ${file.name}: ${validation.error}`);
+                continue;
+            }
+
+            const fileInfo = this.parseFilename(file.name);
+            if (!fileInfo.isTeslaFormat) continue;
+
+            if (!groups.has(fileInfo.timestampKey)) {
+                groups.set(fileInfo.timestampKey, {
+                    key: fileInfo.timestampKey,
+                    timestamp: fileInfo.timestamp,
+                    cameras: {}
                 });
             }
+            groups.get(fileInfo.timestampKey).cameras[fileInfo.cameraId] = { file, fileInfo };
+        }
+
+        return Array.from(groups.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Build file data for a multi-camera event.
+     * The front clip (or the first available angle) is the primary file that drives telemetry.
+     */
+    createEventData(group) {
+        const cameraIds = Object.keys(CAMERA_NAMES).filter(id => group.cameras[id]);
+        const primaryId = group.cameras.front ? 'front' : cameraIds[0];
+
+        const cameras = {};
+        for (const id of cameraIds) {
+            const { file, fileInfo } = group.cameras[id];
+            cameras[id] = this.createFileData(file, fileInfo);
+        }
+
+        return {
+            ...cameras[primaryId],
+            cameras
+        };
+    }
+
+    /**
+     * Handle a dropped directory tree (e.g. a whole TeslaCam folder)
+     */
+    async handleDirectoryDrop(items) {
+        try {
+            // Must be called before the first await: DataTransfer items expire after the drop event
+            const { files, eventFiles, paths } = await window.DashcamHelpers.getFilesFromDataTransfer(items);
+            const entries = [...files, ...eventFiles].map(file => ({ file, path: paths.get(file) || file.name }));
+            await this.handleDirectorySelection(entries);
+        } catch (error) {
+            if (this.onFileSelectedCallback) {
+                this.onFileSelectedCallback({ error: `Failed to read folder: ${error.message}` });
+            }
+        }
+    }
+
+    /**
+     * Index files from a directory tree into an event library
+     * entries: [{ file, path }] where path is relative to the selected/dropped folder
+     */
+    async handleDirectorySelection(entries) {
+        try {
+            const library = await this.buildEventLibrary(entries);
+            if (library.events.length === 0) {
+                throw new Error('No Tesla dashcam clips found in the selected folder');
+            }
+
+            this.library = library;
+
+            if (this.onLibraryLoadedCallback) {
+                this.onLibraryLoadedCallback(library);
+            }
         } catch (error) {
             if (this.onFileSelectedCallback) {
                 this.onFileSelectedCallback({ error: error.message });
@@ -123,6 +282,187 @@ export class FileLoader {
         }
     }
 
+    /**
+     * Build event library from directory entries.
+     * SavedClips/SentryClips subfolders become one event each (with their event.json);
+     * RecentClips (and loose clips) are split into continuous recording sessions.
+     */
+    async buildEventLibrary(entries) {
+        const filesByDir = new Map();
+        const metadataByDir = new Map();
+
+        for (const { file, path } of entries) {
+            const parts = path.split('/').filter(Boolean);
+            const dir = parts.slice(0, -1).join('/');
+
+            if (file.name.toLowerCase() === 'event.json') {
+                metadataByDir.set(dir, await this.readEventMetadata(file));
+                continue;
+            }
+
+            if (!file.name.toLowerCase().endsWith('.mp4')) continue;
+
+            if (!filesByDir.has(dir)) {
+                filesByDir.set(dir, []);
+            }
+            filesByDir.get(dir).push(file);
+        }
+
+        const events = [];
+
+        for (const [dir, files] of filesByDir) {
+            const parts = dir.split('/');
+            const category = this.categorizePath(parts);
+            const groups = this.groupFilesByTimestamp(files);
+            if (groups.length === 0) continue;
+
+            if (category === 'saved' || category === 'sentry') {
+                events.push(this.createLibraryEvent(category, parts[parts.length - 1], groups, metadataByDir.get(dir)));
+            } else {
+                for (const session of this.splitIntoSessions(groups)) {
+                    events.push(this.createLibraryEvent(category, null, session, null));
+                }
+            }
+        }
+
+        // Newest first
+        events.sort((a, b) => b.timestamp - a.timestamp);
+
+        return { events };
+    }
+
+    /**
+     * Determine library category from the folder path
+     */
+    categorizePath(parts) {
+        const folder = parts.find(part => CLIP_FOLDER_PATTERN.test(part));
+        if (!folder) return 'other';
+        return folder.match(CLIP_FOLDER_PATTERN)[1].toLowerCase();
+    }
+
+    /**
+     * Split chronologically sorted clip groups wherever recording paused
+     */
+    splitIntoSessions(groups) {
+        const sessions = [];
+        let current = [];
+
+        for (const group of groups) {
+            const previous = current[current.length - 1];
+            if (previous && group.timestamp - previous.timestamp > RECENT_SESSION_GAP) {
+                sessions.push(current);
+                current = [];
+            }
+            current.push(group);
+        }
+
+        if (current.length > 0) {
+            sessions.push(current);
+        }
+        return sessions;
+    }
+
+    /**
+     * Create library event entry from its clip groups
+     */
+    createLibraryEvent(category, folderName, groups, metadata) {
+        const cameraIds = new Set();
+        for (const group of groups) {
+            Object.keys(group.cameras).forEach(id => cameraIds.add(id));
+        }
+
+        return {
+            id: `${category}/${folderName || groups[0].key}`,
+            category,
+            name: folderName || groups[0].key,
+            timestamp: groups[0].timestamp,
+            clips: groups,
+            cameraIds: Object.keys(CAMERA_NAMES).filter(id => cameraIds.has(id)),
+            metadata: metadata || null
+        };
+    }
+
+    /**
+     * Read and normalize a TeslaCam event.json file
+     */
+    async readEventMetadata(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const timestamp = data.timestamp ? new Date(data.timestamp) : null;
+            const latitude = parseFloat(data.est_lat);
+            const longitude = parseFloat(data.est_lon);
+
+            return {
+                timestamp: timestamp && !isNaN(timestamp) ? timestamp : null,
+                city: data.city || null,
+                reason: data.reason || null,
+                latitude: isFinite(latitude) ? latitude : null,
+                longitude: isFinite(longitude) ? longitude : null,
+                camera: data.camera ?? null
+            };
+        } catch (error) {
+            console.warn(`Failed to read ${file.name}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load a clip group chosen from the event library
+     */
+    selectClipGroup(group) {
+        this.cleanupObjectURLs();
+
+        if (this.onFileSelectedCallback) {
+            this.onFileSelectedCallback(this.createEventData(group));
+        }
+    }
+
+    /**
+     * Load consecutive clip groups as one drive session.
+     * The returned file data describes the first clip; segments lists every clip in order.
+     */
+    selectSession(groups) {
+        if (groups.length === 1) {
+            this.selectClipGroup(groups[0]);
+            return;
+        }
+
+        this.cleanupObjectURLs();
+        const segments = groups.map(group => this.createEventData(group));
+
+        if (this.onFileSelectedCallback) {
+            this.onFileSelectedCallback({
+                ...segments[0],
+                segments
+            });
+        }
+    }
+
+    /**
+     * Create an object URL for a file and bundle it with its parsed filename info
+     */
+    createFileData(file, fileInfo) {
+        const objectURL = URL.createObjectURL(file);
+        this.objectURLs.push(objectURL);
+
+        return {
+            file,
+            objectURL,
+            ...fileInfo,
+            size: file.size,
+            type: file.type
+        };
+    }
+
+    /**
+     * Create an object URL for a derived blob (e.g. a recovered clip), released with the others
+     */
+    registerObjectURL(blob) {
+        const objectURL = URL.createObjectURL(blob);
+        this.objectURLs.push(objectURL);
+        return objectURL;
+    }
+
     /**
      * Validate file
      */
@@ -189,7 +529,9 @@ export class FileLoader {
             filename,
             isTeslaFormat: true,
             timestamp,
+            timestampKey: `${year}-${month}-${day}_${hour}-${minute}-${second}`,
             camera: this.normalizeCameraName(camera),
+            cameraId: camera.toLowerCase(),
             year,
             month,
             day,
@@ -203,16 +545,7 @@ export class FileLoader {
      * Normalize camera name for display
      */
     normalizeCameraName(camera) {
-        const cameraNames = {
-            'front': 'Front',
-            'rear': 'Rear',
-            'left_repeater': 'Left Repeater',
-            'right_repeater': 'Right Repeater',
-            'left_pillar': 'Left B-Pillar',
-            'right_pillar': 'Right B-Pillar'
-        };
-
-        return cameraNames[camera.toLowerCase()] || camera;
+        return CAMERA_NAMES[camera.toLowerCase()] || camera;
     }
 
     /**
@@ -229,13 +562,13 @@ export class FileLoader {
     }
 
     /**
-     * Clean up object URL to free memory
+     * Clean up object URLs to free memory
      */
-    cleanupObjectURL() {
-        if (this.currentObjectURL) {
-            URL.revokeObjectURL(this.currentObjectURL);
-            this.currentObjectURL = null;
+    cleanupObjectURLs() {
+        for (const url of this.objectURLs) {
+            URL.revokeObjectURL(url);
         }
+        this.objectURLs = [];
     }
 
     /**
@@ -245,6 +578,6 @@ export class FileLoader {
         if (this.fileInput) {
             this.fileInput.value = '';
         }
-        this.cleanupObjectURL();
+        this.cleanupObjectURLs();
     }
 }
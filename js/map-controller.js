@@ -3,6 +3,55 @@
  * Handles map initialization, route display, and position updates
  */
 
+import { VideoPlayer } from './video-player.js';
+import { TileSources, DEFAULT_TILE_CONFIG } from './tile-sources.js';
+
+// Route coloring modes offered in the map legend
+const ROUTE_COLOR_MODES = {
+    speed: 'Speed',
+    autopilot: 'Autopilot',
+    acceleration: 'Accel / braking'
+};
+
+// Lower bounds of the speed bands, per display unit, and their colors (slow = blue, fast = red)
+const SPEED_BANDS = {
+    mph: [0, 15, 30, 45, 60, 75],
+    kph: [0, 25, 50, 75, 100, 125]
+};
+const SPEED_COLORS = ['#2c7bb6', '#00a6ca', '#00ccbc', '#90eb9d', '#f9d057', '#d7191c'];
+
+// Autopilot state colors (match the dashboard badges and trip summary)
+const AUTOPILOT_COLORS = {
+    OFF: '#6c757d',
+    FSD: '#28a745',
+    AUTOSTEER: '#0066cc',
+    TACC: '#17a2b8'
+};
+
+// Longitudinal g bands (upper bounds), braking to accelerating
+const ACCELERATION_BANDS = [
+    { max: -0.3, color: '#b2182b', label: 'Hard braking (< -0.3 g)' },
+    { max: -0.1, color: '#ef8a62', label: 'Braking' },
+    { max: 0.1, color: '#999999', label: 'Steady' },
+    { max: 0.3, color: '#67a9cf', label: 'Accelerating' },
+    { max: Infinity, color: '#2166ac', label: 'Hard acceleration (> 0.3 g)' }
+];
+
+const STANDARD_GRAVITY = 9.80665;
+
+// Width (pixels) of the invisible line that catches clicks and hovers on the route
+const ROUTE_HIT_WEIGHT = 16;
+
+// Failed tiles, with none loaded yet, after which an online tile server counts as unreachable.
+// Single errors are normal: regional servers answer 404 outside their coverage.
+const TILE_ERROR_LIMIT = 8;
+
+// Vehicle marker: an arrow pointing north, rotated to the GPS heading
+const VEHICLE_ICON_SIZE = 28;
+const VEHICLE_ICON_SVG = `<svg viewBox="0 0 24 24" width="${VEHICLE_ICON_SIZE}" height="${VEHICLE_ICON_SIZE}" aria-hidden="true">
+    <path d="M12 2 L20 21 L12 16.5 L4 21 Z" fill="#0066cc" stroke="#fff" stroke-width="2" stroke-linejoin="round"/>
+</svg>`;
+
 export class MapController {
     static isValidCoordinate(lat, lon) {
         return isFinite(lat) && isFinite(lon) &&
@@ -16,10 +65,58 @@ export class MapController {
         this.currentPositionMarker = null;
         this.routePath = null;
         this.routeCoordinates = [];
+        this.routeSamples = [];
+        this.highlightPath = null;
+
+        // Recorded GPS fixes (before outlier rejection, filling and smoothing), drawn under the route on request
+        this.showRawTrack = false;
+        this.rawTrackLayer = null;
+        this.rawTrack = [];
+
+        // Base map tiles (see TileSources.resolve)
+        this.tileSource = TileSources.resolve(DEFAULT_TILE_CONFIG);
+        this.tileLayer = null;
+        this.localTileURLs = new Map();
+
+        // Route coloring
+        this.colorMode = 'speed';
+        this.speedUnit = 'mph';
+        this.legendControl = null;
+        this.legendElement = null;
+        this.legendSelect = null;
+
+        // Vehicle tracking: follow keeps the marker centered, course-up turns the map so the heading points up
+        this.follow = false;
+        this.courseUp = false;
+        this.heading = 0;
+        this.bearing = 0; // current map rotation, degrees clockwise
+        this.rotated = false; // map element enlarged and turned for course-up
+        this.savedPosition = '';
+        this.controlsOverlay = null;
+        this.viewInputs = {};
+
+        // Route seeking: nearest sample lookup works on pixel positions cached per zoom level
+        this.projectedRoute = null;
+        this.routeTooltip = null;
+        this.isRouteDragging = false;
+        this.lastHoverUpdate = 0;
+        this.hoverThrottle = 16; // ~60fps
+
+        this.callbacks = {
+            onColorModeChange: null,
+            onFollowChange: null,
+            onCourseUpChange: null,
+            onRawTrackChange: null,
+            onSeek: null
+        };
+
+        this._handleResizeBound = this.handleResize.bind(this);
+        this._handleRouteDragBound = this.handleRouteDrag.bind(this);
+        this._handleMouseUpBound = this._handleMouseUp.bind(this);
     }
 
     /**
-     * Initialize Leaflet map with OpenStreetMap tiles
+     * Initialize Leaflet map with the current tile source
      */
     initialize(centerLat, centerLon, zoom = 13) {
         // Check if Leaflet is loaded
@@ -32,17 +129,42 @@ export class MapController {
             // Initialize map
             this.map = L.map(this.containerId).setView([centerLat, centerLon], zoom);
 
-            // Add OpenStreetMap tile layer
-            L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
-            }).addTo(this.map);
+            this.applyTileLayer();
 
-            // Add current position marker
+            // Add current position marker (an arrow turned to the vehicle heading)
             this.currentPositionMarker = L.marker([centerLat, centerLon], {
-                title: 'Current Position'
+                title: 'Current Position',
+                icon: L.divIcon({
+                    className: 'vehicle-marker',
+                    html: VEHICLE_ICON_SVG,
+                    iconSize: [VEHICLE_ICON_SIZE, VEHICLE_ICON_SIZE],
+                    iconAnchor: [VEHICLE_ICON_SIZE / 2, VEHICLE_ICON_SIZE / 2]
+                })
             }).addTo(this.map);
 
+            // Follow vehicle and course-up toggles
+            const viewControl = L.control({ position: 'topright' });
+            viewControl.onAdd = () => this.createViewControl();
+            viewControl.addTo(this.map);
+
+            // Panning by hand stops following the vehicle
+            this.map.on('dragstart', () => {
+                if (this.follow) {
+                    this.setFollow(false);
+                }
+            });
+
+            // While the map is turned, mouse positions must be turned back to find the point under the cursor
+            const mouseEventToContainerPoint = this.map.mouseEventToContainerPoint.bind(this.map);
+            this.map.mouseEventToContainerPoint = (e) => (this.bearing ? this.unrotateMousePoint(e) : mouseEventToContainerPoint(e));
+
+            window.addEventListener('resize', this._handleResizeBound);
+
+            // Legend with the route coloring selector
+            this.legendControl = L.control({ position: 'bottomright' });
+            this.legendControl.onAdd = () => this.createLegend();
+            this.legendControl.addTo(this.map);
+
             return true;
         } catch (error) {
             console.error('Failed to initialize map:', error);
@@ -51,37 +173,551 @@ export class MapController {
     }
 
     /**
-     * Build route path from telemetry array
+     * Switch the base map ({ type: 'url' | 'local' | 'none', ... } from TileSources.resolve)
+     */
+    setTileSource(source) {
+        this.tileSource = source;
+        if (this.map) {
+            this.applyTileLayer();
+        }
+    }
+
+    applyTileLayer() {
+        if (this.tileLayer) {
+            this.tileLayer.remove();
+        }
+        this.revokeLocalTileURLs();
+
+        const source = this.tileSource;
+        if (source.type === 'url') {
+            this.tileLayer = this.createOnlineTileLayer(source);
+        } else if (source.type === 'local') {
+            this.tileLayer = this.createLocalTileLayer(source);
+        } else {
+            this.tileLayer = this.createGridLayer(source.attribution);
+        }
+
+        this.map.setMaxZoom(source.maxZoom || DEFAULT_TILE_CONFIG.maxZoom);
+        this.tileLayer.addTo(this.map);
+    }
+
+    /**
+     * Tiles from a URL template. If the server looks unreachable (offline, wrong URL: TILE_ERROR_LIMIT failed
+     * tiles before any loads) the route is drawn on the grid instead.
      */
-    buildRouteFromTelemetry(telemetryArray) {
+    createOnlineTileLayer(source) {
+        const layer = L.tileLayer(source.url, {
+            attribution: source.attribution,
+            maxZoom: source.maxZoom
+        });
+
+        let loaded = false;
+        let errors = 0;
+        layer.on('tileload', () => {
+            loaded = true;
+        });
+        layer.on('tileerror', () => {
+            errors++;
+            if (loaded || errors < TILE_ERROR_LIMIT || this.tileLayer !== layer) return;
+            console.warn('Map tiles unavailable, showing grid:', source.url);
+            this.tileLayer.remove();
+            this.tileLayer = this.createGridLayer('Map tiles unavailable (offline?)').addTo(this.map);
+        });
+        return layer;
+    }
+
+    /**
+     * Tiles read from disk: a {z}/{x}/{y} folder or an .mbtiles file (source.getTile gives a Blob, or a promise of one)
+     */
+    createLocalTileLayer(source) {
+        const layer = L.tileLayer('', {
+            attribution: source.attribution,
+            maxZoom: source.maxZoom,
+            minNativeZoom: source.minNativeZoom,
+            maxNativeZoom: source.maxNativeZoom
+        });
+
+        layer.createTile = ({ z, x, y }, done) => {
+            const tile = document.createElement('img');
+            tile.alt = '';
+            tile.addEventListener('load', () => done(null, tile));
+            tile.addEventListener('error', () => done(new Error(`Local tile ${z}/${x}/${y} could not be shown`), tile));
+
+            this.getLocalTileURL(source, z, x, y)
+                .then(url => { tile.src = url || L.Util.emptyImageUrl; })
+                .catch(error => done(error, tile));
+            return tile;
+        };
+        return layer;
+    }
+
+    /**
+     * Object URL for a local tile (created once per tile), or null where there is none
+     */
+    async getLocalTileURL(source, z, x, y) {
+        const key = `${z}/${x}/${y}`;
+        if (!this.localTileURLs.has(key)) {
+            const blob = await source.getTile(z, x, y);
+            // The tile source may have changed (and its URLs been revoked) while the tile was read
+            if (!blob || this.tileSource !== source) return null;
+            if (!this.localTileURLs.has(key)) {
+                this.localTileURLs.set(key, URL.createObjectURL(blob));
+            }
+        }
+        return this.localTileURLs.get(key);
+    }
+
+    /**
+     * Plain grid in place of map tiles, so the route still has a background that pans and zooms
+     */
+    createGridLayer(attribution) {
+        const layer = L.gridLayer({ attribution });
+
+        layer.createTile = () => {
+            const tile = document.createElement('canvas');
+            const size = layer.getTileSize();
+            tile.width = size.x;
+            tile.height = size.y;
+
+            const ctx = tile.getContext('2d');
+            ctx.fillStyle = '#f4f4f4';
+            ctx.fillRect(0, 0, size.x, size.y);
+            ctx.strokeStyle = '#d8d8d8';
+            ctx.strokeRect(0.5, 0.5, size.x, size.y);
+            return tile;
+        };
+        return layer;
+    }
+
+    revokeLocalTileURLs() {
+        for (const url of this.localTileURLs.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.localTileURLs.clear();
+    }
+
+    /**
+     * Build route path from telemetry array (the cleaned track in gps; the recorded one in gpsRaw)
+     */
+    buildRouteFromTelemetry(telemetryArray, { fitBounds = true } = {}) {
         if (!this.map) {
             console.warn('Map not initialized, cannot build route');
             return;
         }
 
 
-        // Extract valid GPS coordinates
-        this.routeCoordinates = telemetryArray
+        // Extract valid GPS coordinates (samples keep their timestamps for range highlighting)
+        this.routeSamples = telemetryArray
             .filter(t => t.gps && t.gps.isValid &&
-                MapController.isValidCoordinate(t.gps.latitude, t.gps.longitude))
-            .map(t => [t.gps.latitude, t.gps.longitude]);
+                MapController.isValidCoordinate(t.gps.latitude, t.gps.longitude));
+        this.routeCoordinates = this.routeSamples.map(t => [t.gps.latitude, t.gps.longitude]);
+        this.projectedRoute = null;
 
+        this.rawTrack = telemetryArray
+            .filter(t => t.gpsRaw && t.gpsRaw.isValid &&
+                MapController.isValidCoordinate(t.gpsRaw.latitude, t.gpsRaw.longitude))
+            .map(t => ({ latlng: [t.gpsRaw.latitude, t.gpsRaw.longitude], rejected: t.gps.rejected }));
+        this.drawRawTrack();
 
         if (this.routeCoordinates.length === 0) {
             console.warn('No valid GPS coordinates found');
             return;
         }
 
-        // Create polyline for route
-        this.routePath = L.polyline(this.routeCoordinates, {
-            color: '#0080ff',
-            weight: 3,
-            opacity: 0.7
-        }).addTo(this.map);
+        this.drawRoute();
 
         // Fit map bounds to show entire route
-        this.map.fitBounds(this.routePath.getBounds(), { padding: [50, 50] });
+        if (fitBounds) {
+            this.map.fitBounds(this.routePath.getBounds(), { padding: [50, 50] });
+        }
+    }
+
+    /**
+     * Draw the recorded GPS track as a dashed line, with the fixes the cleaning stage rejected marked in red
+     */
+    drawRawTrack() {
+        if (this.rawTrackLayer) {
+            this.rawTrackLayer.remove();
+            this.rawTrackLayer = null;
+        }
+        if (!this.map || !this.showRawTrack || this.rawTrack.length === 0) return;
+
+        this.rawTrackLayer = L.featureGroup().addTo(this.map);
+        L.polyline(this.rawTrack.map(point => point.latlng), {
+            color: '#6c757d',
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '4 4',
+            interactive: false
+        }).addTo(this.rawTrackLayer);
+
+        // A rejected fix repeats for every frame until the next GPS update; mark each position once
+        const marked = new Set();
+        for (const { latlng, rejected } of this.rawTrack) {
+            const key = latlng.join(',');
+            if (!rejected || marked.has(key)) continue;
+            marked.add(key);
+            L.circleMarker(latlng, {
+                radius: 4,
+                color: '#dc3545',
+                weight: 1,
+                fillOpacity: 0.7
+            }).bindTooltip(rejected === 'frozen' ? 'Rejected: stale fix' : 'Rejected: impossible jump')
+                .addTo(this.rawTrackLayer);
+        }
+
+        // Keep the cleaned route on top
+        this.rawTrackLayer.bringToBack();
+    }
+
+    /**
+     * Show or hide the recorded GPS track
+     */
+    setShowRawTrack(enabled) {
+        this.showRawTrack = enabled;
+        if (this.viewInputs.rawTrack) {
+            this.viewInputs.rawTrack.checked = enabled;
+        }
+        this.drawRawTrack();
+    }
+
+    /**
+     * Draw the route as polylines colored by the current mode (one per run of samples in the same band)
+     */
+    drawRoute() {
+        if (this.routePath) {
+            this.routePath.remove();
+        }
+        this.routePath = L.featureGroup().addTo(this.map);
+
+        let run = null;
+        for (let i = 0; i < this.routeSamples.length; i++) {
+            const band = this.getRouteBand(this.routeSamples[i]);
+            const point = this.routeCoordinates[i];
+
+            if (run && run.color === band.color) {
+                run.points.push(point);
+                continue;
+            }
+            // End the previous run at this point so the colored pieces join up
+            if (run) {
+                run.points.push(point);
+                this.addRouteRun(run);
+            }
+            run = { color: band.color, points: [point] };
+        }
+        if (run) {
+            this.addRouteRun(run);
+        }
+
+        // One invisible, wider line on top handles clicks, drags and hovers for the whole route
+        const hitLine = L.polyline(this.routeCoordinates, {
+            weight: ROUTE_HIT_WEIGHT,
+            opacity: 0,
+            className: 'route-hit-line'
+        }).addTo(this.routePath);
+        hitLine.on('mousedown', (e) => this.handleRouteMouseDown(e));
+        hitLine.on('mousemove', (e) => this.handleRouteHover(e));
+        hitLine.on('mouseout', () => {
+            if (!this.isRouteDragging) this.hideRouteTooltip();
+        });
+
+        // Keep the clip highlight above the newly drawn route (it is not interactive, so the hit line still works)
+        if (this.highlightPath) {
+            this.highlightPath.bringToFront();
+        }
+
+        this.renderLegend();
+    }
+
+    addRouteRun({ color, points }) {
+        L.polyline(points, {
+            color,
+            weight: 4,
+            opacity: 0.85,
+            interactive: false
+        }).addTo(this.routePath);
+    }
+
+    /**
+     * Start seeking along the route: seek to the sample under the cursor and follow the mouse until release
+     */
+    handleRouteMouseDown(e) {
+        // Keep Leaflet from panning the map while the route is dragged
+        this.map.dragging.disable();
+        this.isRouteDragging = true;
+        this.map.on('mousemove', this._handleRouteDragBound);
+        document.addEventListener('mouseup', this._handleMouseUpBound);
+
+        this.seekToLatLng(e.latlng);
+    }
+
+    handleRouteDrag(e) {
+        const now = Date.now();
+        if (now - this.lastHoverUpdate < this.hoverThrottle) return;
+        this.lastHoverUpdate = now;
+
+        this.seekToLatLng(e.latlng);
+    }
+
+    /**
+     * Handle document mouseup (bound for cleanup): end a route drag
+     */
+    _handleMouseUp() {
+        this.isRouteDragging = false;
+        document.removeEventListener('mouseup', this._handleMouseUpBound);
+        if (!this.map) return;
+
+        this.map.off('mousemove', this._handleRouteDragBound);
+        // Panning stays off while the map is turned course-up
+        if (!this.rotated) {
+            this.map.dragging.enable();
+        }
+    }
+
+    /**
+     * Seek to the route sample nearest a map position and show its details
+     */
+    seekToLatLng(latlng) {
+        const sample = this.findNearestSample(latlng);
+        if (!sample) return;
+
+        this.showRouteTooltip(sample);
+        if (this.callbacks.onSeek) {
+            this.callbacks.onSeek(sample.timestamp);
+        }
+    }
+
+    handleRouteHover(e) {
+        if (this.isRouteDragging) return;
+
+        const now = Date.now();
+        if (now - this.lastHoverUpdate < this.hoverThrottle) return;
+        this.lastHoverUpdate = now;
+
+        const sample = this.findNearestSample(e.latlng);
+        if (sample) {
+            this.showRouteTooltip(sample);
+        }
+    }
+
+    /**
+     * Route sample nearest a map position, compared in pixels at the current zoom
+     */
+    findNearestSample(latlng) {
+        if (this.routeSamples.length === 0) return null;
+
+        const zoom = this.map.getZoom();
+        if (!this.projectedRoute || this.projectedRoute.zoom !== zoom) {
+            this.projectedRoute = {
+                zoom,
+                points: this.routeCoordinates.map(coordinate => this.map.project(coordinate, zoom))
+            };
+        }
+
+        const target = this.map.project(latlng, zoom);
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        this.projectedRoute.points.forEach((point, i) => {
+            const distance = (point.x - target.x) ** 2 + (point.y - target.y) ** 2;
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+        return this.routeSamples[nearest];
+    }
+
+    /**
+     * Popup at a route sample with its time, speed and Autopilot state
+     */
+    showRouteTooltip(sample) {
+        if (!this.routeTooltip) {
+            this.routeTooltip = L.tooltip({ direction: 'top', offset: [0, -8], className: 'route-tooltip' });
+        }
 
+        this.routeTooltip
+            .setLatLng([sample.gps.latitude, sample.gps.longitude])
+            .setContent(
+                `<strong>${VideoPlayer.formatTime(sample.timestamp)}</strong><br>` +
+                `${Math.round(sample.speed[this.speedUnit])} ${this.speedUnit} · ${sample.autopilot.name}`
+            );
+        if (!this.map.hasLayer(this.routeTooltip)) {
+            this.routeTooltip.addTo(this.map);
+        }
+    }
+
+    hideRouteTooltip() {
+        if (this.routeTooltip && this.map) {
+            this.routeTooltip.remove();
+        }
+    }
+
+    /**
+     * Band ({ color }) a telemetry sample falls in for the current color mode
+     */
+    getRouteBand(sample) {
+        switch (this.colorMode) {
+            case 'autopilot':
+                return { color: AUTOPILOT_COLORS[sample.autopilot.name] || AUTOPILOT_COLORS.OFF };
+            case 'acceleration': {
+                const g = sample.acceleration.x / STANDARD_GRAVITY;
+                return ACCELERATION_BANDS.find(band => g < band.max);
+            }
+            default: {
+                const speed = sample.speed[this.speedUnit];
+                const bands = SPEED_BANDS[this.speedUnit];
+                let index = 0;
+                while (index < bands.length - 1 && speed >= bands[index + 1]) index++;
+                return { color: SPEED_COLORS[index] };
+            }
+        }
+    }
+
+    /**
+     * Legend entries ({ color, label }) for the current color mode
+     */
+    getLegendEntries() {
+        switch (this.colorMode) {
+            case 'autopilot':
+                return Object.entries(AUTOPILOT_COLORS).map(([label, color]) => ({ color, label }));
+            case 'acceleration':
+                return ACCELERATION_BANDS.map(({ color, label }) => ({ color, label }));
+            default: {
+                const bands = SPEED_BANDS[this.speedUnit];
+                return bands.map((low, i) => ({
+                    color: SPEED_COLORS[i],
+                    label: i < bands.length - 1 ? `${low}–${bands[i + 1]} ${this.speedUnit}` : `${low}+ ${this.speedUnit}`
+                }));
+            }
+        }
+    }
+
+    /**
+     * Create the legend control's element: a mode selector above the color key
+     */
+    createLegend() {
+        const container = L.DomUtil.create('div', 'map-legend');
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        this.legendSelect = L.DomUtil.create('select', '', container);
+        this.legendSelect.setAttribute('aria-label', 'Color route by');
+        for (const [mode, label] of Object.entries(ROUTE_COLOR_MODES)) {
+            this.legendSelect.appendChild(new Option(label, mode, false, mode === this.colorMode));
+        }
+        this.legendSelect.addEventListener('change', () => {
+            this.setColorMode(this.legendSelect.value);
+            if (this.callbacks.onColorModeChange) {
+                this.callbacks.onColorModeChange(this.colorMode);
+            }
+        });
+
+        this.legendElement = L.DomUtil.create('ul', 'map-legend-list', container);
+        this.renderLegend();
+        return container;
+    }
+
+    renderLegend() {
+        if (!this.legendElement) return;
+
+        this.legendElement.innerHTML = '';
+        for (const { color, label } of this.getLegendEntries()) {
+            const item = L.DomUtil.create('li', '', this.legendElement);
+            const swatch = L.DomUtil.create('span', 'map-legend-swatch', item);
+            swatch.style.backgroundColor = color;
+            item.appendChild(document.createTextNode(label));
+        }
+    }
+
+    /**
+     * Color the route by 'speed', 'autopilot' or 'acceleration'
+     */
+    setColorMode(mode) {
+        if (!(mode in ROUTE_COLOR_MODES)) {
+            console.warn('Invalid route color mode:', mode);
+            return;
+        }
+
+        this.colorMode = mode;
+        if (this.legendSelect) {
+            this.legendSelect.value = mode;
+        }
+        this.redrawRoute();
+    }
+
+    /**
+     * Set the unit of the speed bands ('mph' or 'kph')
+     */
+    setSpeedUnit(unit) {
+        this.speedUnit = unit;
+        this.redrawRoute();
+    }
+
+    redrawRoute() {
+        if (this.map && this.routeSamples.length > 0) {
+            this.drawRoute();
+        } else {
+            this.renderLegend();
+        }
+    }
+
+    /**
+     * Register callback for route color mode changes made in the legend
+     */
+    onColorModeChange(callback) {
+        this.callbacks.onColorModeChange = callback;
+    }
+
+    /**
+     * Register callback for seeks made by clicking or dragging along the route (video time in seconds)
+     */
+    onSeek(callback) {
+        this.callbacks.onSeek = callback;
+    }
+
+    /**
+     * Register callback for the follow toggle (not called when panning turns it off)
+     */
+    onFollowChange(callback) {
+        this.callbacks.onFollowChange = callback;
+    }
+
+    /**
+     * Register callback for the course-up toggle
+     */
+    onCourseUpChange(callback) {
+        this.callbacks.onCourseUpChange = callback;
+    }
+
+    /**
+     * Register callback for the raw GPS track toggle
+     */
+    onRawTrackChange(callback) {
+        this.callbacks.onRawTrackChange = callback;
+    }
+
+    /**
+     * Highlight the part of the route recorded between two video times
+     * (used to mark the current clip of a drive session)
+     */
+    highlightTimeRange(startTime, endTime) {
+        if (!this.map) return;
+
+        const coordinates = this.routeSamples
+            .filter(t => t.timestamp >= startTime && t.timestamp < endTime)
+            .map(t => [t.gps.latitude, t.gps.longitude]);
+
+        if (!this.highlightPath) {
+            this.highlightPath = L.polyline([], {
+                color: '#ff8c00',
+                weight: 5,
+                opacity: 0.9,
+                interactive: false
+            }).addTo(this.map);
+        }
+
+        this.highlightPath.setLatLngs(coordinates);
     }
 
     /**
@@ -98,9 +734,178 @@ export class MapController {
         // Update marker position
         this.currentPositionMarker.setLatLng([latitude, longitude]);
 
-        // Optional: Rotate marker based on heading
-        // This would require a custom icon with rotation support
-        // For now, we just update the position
+        // Point the arrow along the heading (degrees clockwise from north); keep the last one when missing
+        if (Number.isFinite(heading)) {
+            this.heading = heading;
+            const arrow = this.currentPositionMarker.getElement()?.firstElementChild;
+            if (arrow) {
+                arrow.style.transform = `rotate(${heading}deg)`;
+            }
+        }
+
+        // Do not move the map under the cursor while seeking along the route
+        if (this.follow && !this.isRouteDragging) {
+            this.map.panTo([latitude, longitude], { animate: false });
+            this.updateRotation();
+        }
+    }
+
+    /**
+     * Create the follow / course-up / raw GPS toggles control
+     */
+    createViewControl() {
+        const container = L.DomUtil.create('div', 'map-view-options');
+        L.DomEvent.disableClickPropagation(container);
+
+        this.viewInputs.follow = this.createViewOption(container, 'Follow vehicle', this.follow, (checked) => {
+            this.setFollow(checked);
+            if (this.callbacks.onFollowChange) {
+                this.callbacks.onFollowChange(checked);
+            }
+        });
+        this.viewInputs.courseUp = this.createViewOption(container, 'Course up', this.courseUp, (checked) => {
+            this.setCourseUp(checked);
+            if (this.callbacks.onCourseUpChange) {
+                this.callbacks.onCourseUpChange(checked);
+            }
+        });
+        this.viewInputs.courseUp.disabled = !this.follow;
+        this.viewInputs.courseUp.title = 'Turn the map so the direction of travel points up (while following)';
+        this.viewInputs.rawTrack = this.createViewOption(container, 'Raw GPS', this.showRawTrack, (checked) => {
+            this.setShowRawTrack(checked);
+            if (this.callbacks.onRawTrackChange) {
+                this.callbacks.onRawTrackChange(checked);
+            }
+        });
+        this.viewInputs.rawTrack.title = 'Show the GPS track as recorded, with rejected fixes in red';
+        return container;
+    }
+
+    createViewOption(container, label, checked, onChange) {
+        const option = L.DomUtil.create('label', '', container);
+        const input = L.DomUtil.create('input', '', option);
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+        option.appendChild(document.createTextNode(label));
+        return input;
+    }
+
+    /**
+     * Keep the vehicle centered as it moves (turned off again when the user pans)
+     */
+    setFollow(enabled) {
+        this.follow = enabled;
+        if (this.viewInputs.follow) {
+            this.viewInputs.follow.checked = enabled;
+            this.viewInputs.courseUp.disabled = !enabled;
+        }
+
+        if (this.map) {
+            if (enabled && this.currentPositionMarker) {
+                this.map.panTo(this.currentPositionMarker.getLatLng(), { animate: false });
+            }
+            this.updateRotation();
+        }
+    }
+
+    /**
+     * Turn the map so the heading points up while following
+     */
+    setCourseUp(enabled) {
+        this.courseUp = enabled;
+        if (this.viewInputs.courseUp) {
+            this.viewInputs.courseUp.checked = enabled;
+        }
+
+        if (this.map) {
+            this.updateRotation();
+        }
+    }
+
+    /**
+     * Apply the course-up rotation (or north-up when not following)
+     */
+    updateRotation() {
+        const rotate = this.follow && this.courseUp;
+        if (rotate !== this.rotated) {
+            this.setRotatedLayout(rotate);
+        }
+
+        this.bearing = rotate ? this.heading : 0;
+        this.map.getContainer().style.transform = this.bearing ? `rotate(${-this.bearing}deg)` : '';
+    }
+
+    /**
+     * Leaflet cannot rotate, so the map element itself is turned. It is enlarged to the frame's diagonal
+     * so no corner is left without tiles, and the controls move to an upright overlay in the frame.
+     * Dragging is off while turned: Leaflet would pan in the unrotated direction.
+     */
+    setRotatedLayout(rotated) {
+        const container = this.map.getContainer();
+        const frame = container.parentElement;
+        const controls = (rotated ? container : this.controlsOverlay)?.querySelector(':scope > .leaflet-control-container');
+        this.rotated = rotated;
+
+        if (rotated) {
+            this.savedPosition = container.style.position;
+            this.controlsOverlay = L.DomUtil.create('div', 'map-controls-overlay', frame);
+            if (controls) this.controlsOverlay.appendChild(controls);
+            this.resizeRotatedMap();
+            this.map.dragging.disable();
+        } else {
+            Object.assign(container.style, {
+                position: this.savedPosition, width: '', height: '', left: '', top: '', transform: ''
+            });
+            if (controls) container.appendChild(controls);
+            this.controlsOverlay?.remove();
+            this.controlsOverlay = null;
+            this.map.dragging.enable();
+        }
+
+        this.map.invalidateSize({ pan: false });
+        if (this.currentPositionMarker) {
+            this.map.panTo(this.currentPositionMarker.getLatLng(), { animate: false });
+        }
+    }
+
+    resizeRotatedMap() {
+        const container = this.map.getContainer();
+        const { clientWidth: width, clientHeight: height } = container.parentElement;
+        const size = Math.ceil(Math.hypot(width, height));
+        Object.assign(container.style, {
+            position: 'absolute',
+            width: `${size}px`,
+            height: `${size}px`,
+            left: `${(width - size) / 2}px`,
+            top: `${(height - size) / 2}px`
+        });
+    }
+
+    /**
+     * Container point under a mouse event while the map is turned by this.bearing
+     */
+    unrotateMousePoint(e) {
+        const rect = this.map.getContainer().parentElement.getBoundingClientRect();
+        const dx = e.clientX - (rect.left + rect.width / 2);
+        const dy = e.clientY - (rect.top + rect.height / 2);
+        const angle = this.bearing * Math.PI / 180;
+        const size = this.map.getSize();
+        return L.point(
+            size.x / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+            size.y / 2 + dx * Math.sin(angle) + dy * Math.cos(angle)
+        );
+    }
+
+    /**
+     * Handle window resize (the turned map is sized from its frame)
+     */
+    handleResize() {
+        if (this.map && this.rotated) {
+            this.resizeRotatedMap();
+            this.map.invalidateSize({ pan: false });
+            this.map.panTo(this.currentPositionMarker.getLatLng(), { animate: false });
+        }
     }
 
     /**
@@ -128,12 +933,32 @@ export class MapController {
      * Clean up map instance
      */
     destroy() {
+        window.removeEventListener('resize', this._handleResizeBound);
+        document.removeEventListener('mouseup', this._handleMouseUpBound);
         if (this.map) {
+            // The map element outlives the map; put it back the way Leaflet found it
+            if (this.rotated) {
+                this.setRotatedLayout(false);
+            }
             this.map.remove();
             this.map = null;
         }
+        this.revokeLocalTileURLs();
+        this.tileLayer = null;
         this.currentPositionMarker = null;
         this.routePath = null;
+        this.rawTrackLayer = null;
+        this.rawTrack = [];
+        this.legendControl = null;
+        this.legendElement = null;
+        this.legendSelect = null;
+        this.viewInputs = {};
+        this.bearing = 0;
+        this.projectedRoute = null;
+        this.routeTooltip = null;
+        this.isRouteDragging = false;
         this.routeCoordinates = [];
+        this.routeSamples = [];
+        this.highlightPath = null;
     }
 }
@@ -0,0 +1,348 @@
+/**
+ * MBTiles Module
+ * Raster map tiles from an .mbtiles file (an SQLite database) chosen on disk. A minimal read-only
+ * SQLite table reader indexes the tiles once and reads each tile's bytes from the file on demand,
+ * so the file is never loaded whole.
+ */
+
+const SQLITE_MAGIC = 'SQLite format 3\0';
+const SQLITE_HEADER_SIZE = 100;
+const TABLE_INTERIOR_PAGE = 0x05;
+const TABLE_LEAF_PAGE = 0x0d;
+
+// Tile formats a browser can show as an image (vector "pbf" tiles cannot be drawn by Leaflet alone)
+const TILE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+// Table constraints that start a column-list entry without naming a column
+const TABLE_CONSTRAINTS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'CHECK', 'FOREIGN'];
+
+const textDecoder = new TextDecoder();
+
+export class MBTiles {
+    constructor(file, pageSize, usableSize) {
+        this.file = file;
+        this.pageSize = pageSize;
+        this.usableSize = usableSize;
+        this.metadata = {};
+        this.format = 'png';
+        this.tiles = new Map(); // 'z/x/y' (XYZ scheme) -> payload location of the tile data
+        this.minZoom = Infinity;
+        this.maxZoom = -Infinity;
+    }
+
+    /**
+     * Open and index an .mbtiles file; throws if it is not a raster MBTiles database
+     */
+    static async open(file) {
+        const header = new Uint8Array(await file.slice(0, SQLITE_HEADER_SIZE).arrayBuffer());
+        if (header.length < SQLITE_HEADER_SIZE || textDecoder.decode(header.subarray(0, 16)) !== SQLITE_MAGIC) {
+            throw new Error(`${file.name} is not an MBTiles (SQLite) file`);
+        }
+
+        const view = new DataView(header.buffer);
+        const pageSize = view.getUint16(16) === 1 ? 65536 : view.getUint16(16);
+        if (view.getUint32(56) > 1) {
+            throw new Error('Only UTF-8 MBTiles files are supported');
+        }
+
+        const mbtiles = new MBTiles(file, pageSize, pageSize - view.getUint8(20));
+        await mbtiles.index();
+        return mbtiles;
+    }
+
+    /**
+     * Read the metadata table and locate every tile. Tiles live either in a "tiles" table or,
+     * in de-duplicated files, in "map" (coordinates) and "images" (data) tables behind a "tiles" view.
+     */
+    async index() {
+        const schema = new Map();
+        for await (const row of this.readRows({ rootPage: 1, columns: MBTiles.parseColumns('(type, name, tbl_name, rootpage, sql)') })) {
+            if (row.type === 'table' && row.sql) {
+                schema.set(row.name, { rootPage: row.rootpage, columns: MBTiles.parseColumns(row.sql) });
+            }
+        }
+
+        if (schema.has('metadata')) {
+            for await (const { name, value } of this.readRows(schema.get('metadata'))) {
+                this.metadata[name] = value;
+            }
+        }
+
+        this.format = String(this.metadata.format || 'png').toLowerCase();
+        if (!(this.format in TILE_MIME_TYPES)) {
+            throw new Error(`MBTiles tile format "${this.format}" is not supported (PNG, JPEG or WebP raster tiles only)`);
+        }
+
+        if (schema.has('tiles')) {
+            for await (const row of this.readRows(schema.get('tiles'), ['tile_data'])) {
+                this.addTile(row.zoom_level, row.tile_column, row.tile_row, row.tile_data);
+            }
+        } else if (schema.has('map') && schema.has('images')) {
+            const images = new Map();
+            for await (const row of this.readRows(schema.get('images'), ['tile_data'])) {
+                images.set(row.tile_id, row.tile_data);
+            }
+            for await (const row of this.readRows(schema.get('map'))) {
+                this.addTile(row.zoom_level, row.tile_column, row.tile_row, images.get(row.tile_id));
+            }
+        } else {
+            throw new Error('No tiles table found in the MBTiles file');
+        }
+
+        if (this.tiles.size === 0) {
+            throw new Error('The MBTiles file contains no tiles');
+        }
+    }
+
+    addTile(z, x, tmsY, location) {
+        if (!location || !Number.isInteger(z) || !Number.isInteger(x) || !Number.isInteger(tmsY)) return;
+
+        // MBTiles rows count from the bottom (TMS); Leaflet's y counts from the top
+        const y = 2 ** z - 1 - tmsY;
+        this.tiles.set(`${z}/${x}/${y}`, location);
+        this.minZoom = Math.min(this.minZoom, z);
+        this.maxZoom = Math.max(this.maxZoom, z);
+    }
+
+    /**
+     * Name and attribution from the metadata table (attribution as plain text)
+     */
+    get name() {
+        return this.metadata.name || this.file.name.replace(/\.mbtiles$/i, '');
+    }
+
+    get attribution() {
+        return (this.metadata.attribution || '').replace(/<[^>]*>/g, '').trim();
+    }
+
+    /**
+     * Tile image as a Blob, or null where the file has no tile
+     */
+    async getTile(z, x, y) {
+        const location = this.tiles.get(`${z}/${x}/${y}`);
+        if (!location) return null;
+
+        const bytes = await this.readPayload(location.cell, location.offset, location.offset + location.length);
+        return new Blob([bytes], { type: TILE_MIME_TYPES[this.format] });
+    }
+
+    // -------------------------------------------------------------
+    // SQLite reading
+    // -------------------------------------------------------------
+
+    async readPage(pageNumber) {
+        const start = (pageNumber - 1) * this.pageSize;
+        return new DataView(await this.file.slice(start, start + this.pageSize).arrayBuffer());
+    }
+
+    /**
+     * Rows of a table b-tree as objects keyed by column name. Columns named in lazyColumns are not read:
+     * they hold { cell, offset, length } for a later readPayload instead (used for tile images).
+     */
+    async *readRows({ rootPage, columns }, lazyColumns = []) {
+        for await (const cell of this.readCells(rootPage)) {
+            yield await this.readRecord(cell, columns, lazyColumns);
+        }
+    }
+
+    /**
+     * Walk a table b-tree and yield its leaf cells
+     * ({ pageNumber, localStart, localSize, payloadSize, overflowPage, rowid, view })
+     */
+    async *readCells(rootPage) {
+        const pending = [rootPage];
+        while (pending.length > 0) {
+            const pageNumber = pending.pop();
+            const view = await this.readPage(pageNumber);
+            const headerStart = pageNumber === 1 ? SQLITE_HEADER_SIZE : 0;
+            const pageType = view.getUint8(headerStart);
+            const cellCount = view.getUint16(headerStart + 3);
+
+            if (pageType === TABLE_INTERIOR_PAGE) {
+                pending.push(view.getUint32(headerStart + 8)); // right-most child
+                for (let i = 0; i < cellCount; i++) {
+                    pending.push(view.getUint32(view.getUint16(headerStart + 12 + i * 2)));
+                }
+                continue;
+            }
+            if (pageType !== TABLE_LEAF_PAGE) {
+                throw new Error(`MBTiles file is damaged (unexpected page type ${pageType} on page ${pageNumber})`);
+            }
+
+            for (let i = 0; i < cellCount; i++) {
+                yield this.parseLeafCell(view, pageNumber, view.getUint16(headerStart + 8 + i * 2));
+            }
+        }
+    }
+
+    /**
+     * Locate a table leaf cell's payload: the part stored on the page and the first overflow page
+     */
+    parseLeafCell(view, pageNumber, offset) {
+        const payload = MBTiles.readVarint(view, offset);
+        const rowid = MBTiles.readVarint(view, offset + payload.length);
+        const localStart = offset + payload.length + rowid.length;
+        const payloadSize = payload.value;
+
+        // Payload split rules from the SQLite file format
+        const maxLocal = this.usableSize - 35;
+        let localSize = payloadSize;
+        if (payloadSize > maxLocal) {
+            const minLocal = Math.floor((this.usableSize - 12) * 32 / 255) - 23;
+            const size = minLocal + (payloadSize - minLocal) % (this.usableSize - 4);
+            localSize = size <= maxLocal ? size : minLocal;
+        }
+
+        return {
+            pageNumber,
+            localStart,
+            localSize,
+            payloadSize,
+            overflowPage: localSize < payloadSize ? view.getUint32(localStart + localSize) : 0,
+            rowid: rowid.value,
+            view
+        };
+    }
+
+    /**
+     * Bytes [from, to) of a cell's payload, following its overflow pages where needed
+     */
+    async readPayload(cell, from, to) {
+        const bytes = new Uint8Array(to - from);
+        const view = cell.view || await this.readPage(cell.pageNumber);
+
+        let written = 0;
+        if (from < cell.localSize) {
+            const end = Math.min(to, cell.localSize);
+            bytes.set(new Uint8Array(view.buffer, view.byteOffset + cell.localStart + from, end - from));
+            written = end - from;
+        }
+
+        // Each overflow page holds a 4-byte next-page number and usableSize - 4 bytes of payload
+        const chunkSize = this.usableSize - 4;
+        let pageNumber = cell.overflowPage;
+        let chunkStart = cell.localSize;
+        while (written < bytes.length && pageNumber !== 0) {
+            const page = await this.readPage(pageNumber);
+            const chunkEnd = Math.min(chunkStart + chunkSize, cell.payloadSize);
+            const start = Math.max(from, chunkStart);
+            const end = Math.min(to, chunkEnd);
+            if (start < end) {
+                bytes.set(new Uint8Array(page.buffer, page.byteOffset + 4 + start - chunkStart, end - start), start - from);
+                written += end - start;
+            }
+            pageNumber = page.getUint32(0);
+            chunkStart = chunkEnd;
+        }
+
+        if (written < bytes.length) {
+            throw new Error('MBTiles file is damaged (record runs past its overflow pages)');
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode a record into an object keyed by column name
+     */
+    async readRecord(cell, columns, lazyColumns) {
+        const headerStart = await this.readPayload(cell, 0, Math.min(9, cell.payloadSize));
+        const headerSize = MBTiles.readVarint(new DataView(headerStart.buffer), 0);
+        const header = new DataView((await this.readPayload(cell, 0, headerSize.value)).buffer);
+
+        const row = {};
+        let pos = headerSize.length;
+        let offset = headerSize.value;
+        for (const column of columns) {
+            if (pos >= header.byteLength) {
+                // Columns added after the row was written read as NULL
+                row[column.name] = column.rowidAlias ? cell.rowid : null;
+                continue;
+            }
+            const serialType = MBTiles.readVarint(header, pos);
+            pos += serialType.length;
+            const length = MBTiles.serialTypeLength(serialType.value);
+
+            if (lazyColumns.includes(column.name)) {
+                const { view, ...location } = cell;
+                row[column.name] = { cell: location, offset, length };
+            } else if (serialType.value === 0 && column.rowidAlias) {
+                row[column.name] = cell.rowid;
+            } else {
+                const bytes = length > 0 ? await this.readPayload(cell, offset, offset + length) : new Uint8Array(0);
+                row[column.name] = MBTiles.decodeValue(serialType.value, bytes);
+            }
+            offset += length;
+        }
+        return row;
+    }
+
+    /**
+     * Column names (and which one aliases the rowid) from a CREATE TABLE statement
+     */
+    static parseColumns(sql) {
+        const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+
+        // Split on top-level commas (types such as DECIMAL(10,2) contain commas)
+        const definitions = [];
+        let depth = 0;
+        let current = '';
+        for (const char of body) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === ',' && depth === 0) {
+                definitions.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        definitions.push(current);
+
+        return definitions
+            .map(definition => definition.trim())
+            .filter(definition => definition && !TABLE_CONSTRAINTS.includes(definition.split(/\s+/)[0].toUpperCase()))
+            .map(definition => ({
+                name: definition.match(/^["`[]?([^"`\]\s]+)/)[1],
+                rowidAlias: /^\S+\s+INTEGER\s+PRIMARY\s+KEY/i.test(definition)
+            }));
+    }
+
+    /**
+     * SQLite variable-length integer: { value, length }
+     */
+    static readVarint(view, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = view.getUint8(offset + i);
+            value = value * 128 + (byte & 0x7f);
+            if ((byte & 0x80) === 0) return { value, length: i + 1 };
+        }
+        return { value: value * 256 + view.getUint8(offset + 8), length: 9 };
+    }
+
+    static serialTypeLength(serialType) {
+        if (serialType >= 12) return Math.floor((serialType - 12) / 2);
+        return [0, 1, 2, 3, 4, 6, 8, 8, 0, 0][serialType] ?? 0;
+    }
+
+    static decodeValue(serialType, bytes) {
+        if (serialType === 0) return null;
+        if (serialType === 8) return 0;
+        if (serialType === 9) return 1;
+        if (serialType === 7) return new DataView(bytes.buffer, bytes.byteOffset).getFloat64(0);
+        if (serialType >= 13 && serialType % 2 === 1) return textDecoder.decode(bytes);
+        if (serialType >= 12) return bytes;
+
+        // Big-endian two's complement integer of 1-8 bytes
+        let value = bytes[0] & 0x80 ? -1 : 0;
+        for (const byte of bytes) {
+            value = value * 256 + byte;
+        }
+        return value;
+    }
+}
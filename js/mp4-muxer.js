@@ -0,0 +1,237 @@
+/**
+ * MP4 Muxer Module
+ * Writes a single-track video MP4 (ftyp, mdat, moov) around existing sample data
+ */
+
+const UINT32_MAX = 0xFFFFFFFF;
+
+// Identity transformation matrix (mvhd, tkhd)
+const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+export class MP4Muxer {
+    /**
+     * Build an MP4 file as a Blob (sample data is referenced, not copied).
+     * track: { width, height, timescale, sps, pps } for a new H.264 sample description,
+     * { width, height, timescale, codecType: 'hevc', vps, sps, pps, hevcSps } for a new H.265 one
+     * (hevcSps from DashcamMP4.parseHevcSps), or { width, height, timescale, codecType, stsd } to reuse
+     * an existing stsd box unchanged
+     * samples: [{ size, duration, keyframe, compositionOffset }] in decode order, duration in timescale ticks
+     * data: Blob/BufferSource parts whose concatenation is the samples' bytes in order
+     */
+    static build(track, samples, data) {
+        if (samples.length === 0) {
+            throw new Error('No samples to write');
+        }
+        if (!track.stsd && (!track.sps || !track.pps)) {
+            throw new Error('Missing SPS/PPS for the video track');
+        }
+        if (!track.stsd && track.codecType === 'hevc' && (!track.vps || !track.hevcSps)) {
+            throw new Error('Missing VPS for the H.265 video track');
+        }
+
+        const codecBrand = track.codecType === 'hevc' ? 'hvc1' : 'avc1';
+        const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isom'), ascii('iso2'), ascii(codecBrand), ascii('mp41'));
+
+        // mdat comes before moov so the chunk offset is known; 64-bit size for large payloads
+        const dataSize = samples.reduce((sum, sample) => sum + sample.size, 0);
+        const mdatHeader = dataSize + 8 > UINT32_MAX
+            ? concat(u32(1), ascii('mdat'), u64(dataSize + 16))
+            : concat(u32(dataSize + 8), ascii('mdat'));
+
+        const moov = MP4Muxer.buildMoov(track, samples, ftyp.length + mdatHeader.length);
+        return new Blob([ftyp, mdatHeader, ...data, moov], { type: 'video/mp4' });
+    }
+
+    /**
+     * Build the moov box for one video track stored as a single chunk at chunkOffset
+     */
+    static buildMoov(track, samples, chunkOffset) {
+        const { width, height, timescale } = track;
+        const duration = samples.reduce((sum, sample) => sum + sample.duration, 0);
+
+        const mvhd = fullBox('mvhd', 0, 0,
+            u32(0), u32(0), u32(timescale), u32(duration),
+            u32(0x00010000), u16(0x0100), zeros(10),
+            ...MATRIX.map(u32), zeros(24),
+            u32(2) // next_track_ID
+        );
+
+        const tkhd = fullBox('tkhd', 0, 0x3, // enabled, in movie
+            u32(0), u32(0), u32(1), zeros(4), u32(duration), zeros(8),
+            u16(0), u16(0), u16(0), zeros(2),
+            ...MATRIX.map(u32),
+            u32(width * 0x10000), u32(height * 0x10000)
+        );
+
+        const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(timescale), u32(duration), u16(0x55C4), u16(0)); // 'und'
+        const hdlr = fullBox('hdlr', 0, 0, u32(0), ascii('vide'), zeros(12), ascii('VideoHandler\0'));
+        const vmhd = fullBox('vmhd', 0, 0x1, zeros(8));
+        const dinf = box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 0x1)));
+
+        const stbl = box('stbl',
+            track.stsd || MP4Muxer.buildStsd(track),
+            MP4Muxer.buildStts(samples),
+            ...MP4Muxer.buildCtts(samples),
+            ...MP4Muxer.buildStss(samples),
+            fullBox('stsc', 0, 0, u32(1), u32(1), u32(samples.length), u32(1)),
+            fullBox('stsz', 0, 0, u32(0), u32(samples.length), ...samples.map(sample => u32(sample.size))),
+            chunkOffset > UINT32_MAX
+                ? fullBox('co64', 0, 0, u32(1), u64(chunkOffset))
+                : fullBox('stco', 0, 0, u32(1), u32(chunkOffset))
+        );
+
+        return box('moov', mvhd,
+            box('trak', tkhd,
+                box('mdia', mdhd, hdlr,
+                    box('minf', vmhd, dinf, stbl))));
+    }
+
+    /**
+     * Sample description with avcC built from the SPS/PPS, or hvcC from the VPS/SPS/PPS for H.265
+     */
+    static buildStsd(track) {
+        const { width, height, sps, pps } = track;
+        const configBox = track.codecType === 'hevc'
+            ? MP4Muxer.buildHvcC(track)
+            : box('avcC',
+                u8(1), u8(sps[1]), u8(sps[2]), u8(sps[3]),
+                u8(0xFF), // 4-byte NAL lengths
+                u8(0xE1), u16(sps.length), sps,
+                u8(1), u16(pps.length), pps
+            );
+
+        const sampleEntry = box(track.codecType === 'hevc' ? 'hvc1' : 'avc1',
+            zeros(6), u16(1), // data_reference_index
+            zeros(16),
+            u16(width), u16(height),
+            u32(0x00480000), u32(0x00480000), // 72 dpi
+            zeros(4), u16(1), // frame_count
+            zeros(32), // compressorname
+            u16(0x0018), u16(0xFFFF),
+            configBox
+        );
+
+        return fullBox('stsd', 0, 0, u32(1), sampleEntry);
+    }
+
+    /**
+     * HEVCDecoderConfigurationRecord (ISO/IEC 14496-15) with one VPS, SPS and PPS
+     */
+    static buildHvcC({ vps, sps, pps, hevcSps }) {
+        const parameterSets = [[32, vps], [33, sps], [34, pps]].map(([nalType, nal]) =>
+            concat(u8(0x80 | nalType), u16(1), u16(nal.length), nal) // complete array of one NAL unit
+        );
+
+        return box('hvcC',
+            u8(1), // configurationVersion
+            hevcSps.profileTierLevel,
+            u16(0xF000), // min_spatial_segmentation_idc unknown
+            u8(0xFC), // parallelismType unknown
+            u8(0xFC | hevcSps.chromaFormat),
+            u8(0xF8 | hevcSps.bitDepthLumaMinus8),
+            u8(0xF8 | hevcSps.bitDepthChromaMinus8),
+            u16(0), // avgFrameRate unspecified
+            u8((hevcSps.temporalLayers << 3) | (hevcSps.temporalIdNesting << 2) | 0x3), // 4-byte NAL lengths
+            u8(parameterSets.length),
+            ...parameterSets
+        );
+    }
+
+    /**
+     * Decode time deltas, run-length encoded
+     */
+    static buildStts(samples) {
+        const runs = [];
+        for (const { duration } of samples) {
+            const last = runs[runs.length - 1];
+            if (last && last.duration === duration) last.count++;
+            else runs.push({ count: 1, duration });
+        }
+        return fullBox('stts', 0, 0, u32(runs.length), ...runs.flatMap(run => [u32(run.count), u32(run.duration)]));
+    }
+
+    /**
+     * Composition offsets (version 1, signed); omitted when every frame is shown in decode order
+     */
+    static buildCtts(samples) {
+        if (!samples.some(sample => sample.compositionOffset)) return [];
+
+        const runs = [];
+        for (const sample of samples) {
+            const offset = sample.compositionOffset || 0;
+            const last = runs[runs.length - 1];
+            if (last && last.offset === offset) last.count++;
+            else runs.push({ count: 1, offset });
+        }
+        return [fullBox('ctts', 1, 0, u32(runs.length), ...runs.flatMap(run => [u32(run.count), i32(run.offset)]))];
+    }
+
+    /**
+     * Sync sample (keyframe) numbers; omitted when every sample is a keyframe
+     */
+    static buildStss(samples) {
+        const keyframes = [];
+        samples.forEach((sample, i) => {
+            if (sample.keyframe) keyframes.push(i + 1);
+        });
+        if (keyframes.length === samples.length) return [];
+        return [fullBox('stss', 0, 0, u32(keyframes.length), ...keyframes.map(u32))];
+    }
+}
+
+// -------------------------------------------------------------
+// Byte helpers
+// -------------------------------------------------------------
+
+function concat(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function box(type, ...payload) {
+    const body = concat(...payload);
+    return concat(u32(body.length + 8), ascii(type), body);
+}
+
+function fullBox(type, version, flags, ...payload) {
+    return box(type, u8(version), u8(flags >> 16), u16(flags & 0xFFFF), ...payload);
+}
+
+function u8(value) {
+    return Uint8Array.of(value & 0xFF);
+}
+
+function u16(value) {
+    return Uint8Array.of((value >> 8) & 0xFF, value & 0xFF);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+}
+
+function i32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setInt32(0, value);
+    return bytes;
+}
+
+function u64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value));
+    return bytes;
+}
+
+function zeros(length) {
+    return new Uint8Array(length);
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0));
+}
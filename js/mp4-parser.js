@@ -4,12 +4,17 @@
  * Handles MP4 parsing and SEI extraction using Web Worker for performance
  */
 
+import { TelemetryCache } from './telemetry-cache.js';
+import { MP4Muxer } from './mp4-muxer.js';
+
 export class MP4Parser {
     constructor() {
+        this.cache = new TelemetryCache();
         this.worker = null;
-        this.currentReader = null;
+        this.currentStream = null;
         this.SeiMetadata = null;
         this.enumFields = null;
+        this.seiDecoder = null;
     }
 
     /**
@@ -17,7 +22,7 @@ export class MP4Parser {
      */
     async initializeProtobuf() {
         if (this.SeiMetadata) {
-            return { SeiMetadata: this.SeiMetadata, enumFields: this.enumFields };
+            return window.DashcamHelpers.getProtobuf();
         }
 
         try {
@@ -25,6 +30,9 @@ export class MP4Parser {
             const result = await window.DashcamHelpers.initProtobuf('lib/dashcam.proto');
             this.SeiMetadata = result.SeiMetadata;
             this.enumFields = result.enumFields;
+            this.seiDecoder = result.seiDecoder;
+            // Cached results depend on which schemas were available when they were decoded
+            this.cache.schemaTag = result.schemaVersions.join(',');
             return result;
         } catch (error) {
             console.error('Failed to initialize protobuf:', error);
@@ -34,34 +42,61 @@ export class MP4Parser {
 
     /**
      * Parse MP4 file and extract SEI messages
-     * Uses Web Worker for performance on large files
+     * Streams the file in chunks (in a Web Worker when available) so memory stays bounded.
+     * onBatch receives { seiMessages, frameIndices, config } as telemetry is found.
+     * If the worker cannot load, the file is re-parsed in the main thread; onRestart is
+     * called first so batches already streamed can be discarded. Parse errors are not retried.
+     * Results are cached in IndexedDB, so repeat opens of the same file skip parsing.
      */
     async parseFile(file, options = {}) {
-        const { useWorker = true, onProgress = null } = options;
+        const { useWorker = true, useCache = true, onProgress = null, onBatch = null, onRestart = null } = options;
 
         // Initialize protobuf first
         await this.initializeProtobuf();
 
+        if (useCache) {
+            const cached = await this.cache.get(file);
+            if (cached) {
+                if (onProgress) onProgress({ percentage: 100, message: 'Loaded from cache' });
+                return cached;
+            }
+        }
+
+        let result;
         if (useWorker && typeof Worker !== 'undefined') {
             try {
-                return await this.parseFileWithWorker(file, onProgress);
+                result = await this.parseFileWithWorker(file, onProgress, onBatch);
             } catch (error) {
+                // A corrupt file fails the same way in the main thread; only retry when the worker itself failed
+                if (!error.workerUnavailable) throw error;
                 console.warn('Worker parsing failed, falling back to direct parsing:', error.message);
-                return this.parseFileDirectly(file, onProgress);
+                if (onRestart) onRestart();
+                result = await this.parseFileDirectly(file, onProgress, onBatch);
             }
         } else {
-            return this.parseFileDirectly(file, onProgress);
+            result = await this.parseFileDirectly(file, onProgress, onBatch);
         }
+
+        if (useCache) {
+            // Not awaited: a slow or failing cache write should not delay playback
+            this.cache.put(file, result);
+        }
+        return result;
     }
 
     /**
      * Parse file using Web Worker (non-blocking)
      */
-    async parseFileWithWorker(file, onProgress) {
+    async parseFileWithWorker(file, onProgress, onBatch) {
         return new Promise((resolve, reject) => {
             // Create worker
             this.worker = new Worker('js/mp4-worker.js');
 
+            // SEI batches are accumulated here as the worker streams them
+            const seiMessages = [];
+            const frameIndices = [];
+            let config = null;
+
             // Handle messages from worker
             this.worker.onmessage = (e) => {
                 const { type, data } = e.data;
@@ -73,10 +108,22 @@ export class MP4Parser {
                         }
                         break;
 
+                    case 'config':
+                        config = data;
+                        break;
+
+                    case 'sei':
+                        seiMessages.push(...data.seiMessages);
+                        frameIndices.push(...data.frameIndices);
+                        if (onBatch) {
+                            onBatch({ ...data, config });
+                        }
+                        break;
+
                     case 'complete':
                         this.worker.terminate();
                         this.worker = null;
-                        resolve(data);
+                        resolve({ ...data, seiMessages, frameIndices });
                         break;
 
                     case 'error':
@@ -94,109 +141,132 @@ export class MP4Parser {
                     this.worker.terminate();
                     this.worker = null;
                 }
-                reject(new Error('Worker failed to load - will try direct parsing'));
+                const loadError = new Error('Worker failed to load - will try direct parsing');
+                loadError.workerUnavailable = true;
+                reject(loadError);
             };
 
-            // Read file as ArrayBuffer
-            const reader = new FileReader();
-            this.currentReader = reader;
+            // Files are cloned by reference; the worker reads them in Blob.slice chunks
+            this.worker.postMessage({
+                type: 'parse',
+                file,
+                protoPath: 'lib/dashcam.proto'
+            });
+        });
+    }
 
-            reader.onload = (e) => {
-                this.currentReader = null;
+    /**
+     * Parse file directly in main thread (chunked, yields between chunks)
+     */
+    async parseFileDirectly(file, onProgress, onBatch) {
+        const stream = new window.DashcamMP4Stream(file);
+        this.currentStream = stream;
 
-                // Check if worker is still available
-                if (!this.worker) {
-                    reject(new Error('Worker was terminated before file was read'));
-                    return;
+        try {
+            if (onProgress) onProgress({ percentage: 0, message: 'Reading MP4 structure...' });
+
+            // Get video config
+            const config = await stream.getConfig();
+
+            const seiMessages = [];
+            const frameIndices = [];
+            for await (const batch of stream.streamSei(this.seiDecoder)) {
+                if (batch.seiMessages.length > 0) {
+                    seiMessages.push(...batch.seiMessages);
+                    frameIndices.push(...batch.frameIndices);
+                    if (onBatch) {
+                        onBatch({ seiMessages: batch.seiMessages, frameIndices: batch.frameIndices, config });
+                    }
                 }
 
-                // Send data to worker
-                this.worker.postMessage({
-                    type: 'parse',
-                    buffer: e.target.result,
-                    protoPath: 'lib/dashcam.proto'
-                }, [e.target.result]); // Transfer ownership of buffer to worker
-            };
-
-            reader.onerror = () => {
-                this.currentReader = null;
-                if (this.worker) {
-                    this.worker.terminate();
-                    this.worker = null;
+                if (onProgress) {
+                    const percentage = Math.round((batch.bytesRead / batch.totalBytes) * 100);
+                    onProgress({ percentage, message: 'Extracting telemetry data...' });
                 }
-                reject(new Error('Failed to read file'));
-            };
+            }
 
-            reader.onabort = () => {
-                this.currentReader = null;
-                reject(new Error('File reading was aborted'));
-            };
+            if (stream.cancelled) {
+                throw new Error('Parsing was cancelled');
+            }
 
-            // Start reading file
-            reader.readAsArrayBuffer(file);
-        });
+            return {
+                seiMessages,
+                frameIndices,
+                config,
+                hasTelemetry: seiMessages.length > 0
+            };
+        } catch (error) {
+            console.error('MP4 parsing error:', error);
+            throw new Error('Failed to parse MP4 file. ' + error.message);
+        } finally {
+            if (this.currentStream === stream) {
+                this.currentStream = null;
+            }
+        }
     }
 
     /**
-     * Parse file directly in main thread (blocking, but simpler)
+     * Build a diagnostics report for a file (see DashcamMP4Stream.diagnose).
+     * Always reads the file itself, bypassing the telemetry cache.
      */
-    async parseFileDirectly(file, onProgress) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            this.currentReader = reader;
-
-            reader.onload = async (e) => {
-                this.currentReader = null;
-                try {
-                    if (onProgress) onProgress({ percentage: 25, message: 'Reading file...' });
-
-                    const buffer = e.target.result;
-                    const parser = new window.DashcamMP4(buffer);
-
-                    if (onProgress) onProgress({ percentage: 50, message: 'Parsing MP4...' });
-
-                    // Extract SEI messages
-                    const seiMessages = parser.extractSeiMessages(this.SeiMetadata);
-
-                    if (onProgress) onProgress({ percentage: 75, message: 'Processing telemetry...' });
-
-                    // Get video config
-                    const config = parser.getConfig();
+    async diagnose(file, onProgress = null) {
+        await this.initializeProtobuf();
 
-                    if (onProgress) onProgress({ percentage: 100, message: 'Complete' });
+        const report = await new window.DashcamMP4Stream(file).diagnose(this.seiDecoder, onProgress);
+        return {
+            fileName: file.name,
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            ...report
+        };
+    }
 
-                    resolve({
-                        seiMessages,
-                        config,
-                        hasTelemetry: seiMessages.length > 0
-                    });
-                } catch (error) {
-                    console.error('MP4 parsing error:', error);
-                    reject(new Error('Failed to parse MP4 file. ' + error.message));
-                }
-            };
+    /**
+     * Check whether a file was cut off before its moov box was written (e.g. by power loss)
+     */
+    static async needsRecovery(file) {
+        try {
+            const boxes = await new window.DashcamMP4Stream(file).getTopLevelBoxes();
+            return boxes.some(box => box.type === 'mdat') && !boxes.some(box => box.type === 'moov');
+        } catch {
+            return false;
+        }
+    }
 
-            reader.onerror = () => {
-                this.currentReader = null;
-                reject(new Error('Failed to read file'));
-            };
+    /**
+     * Rebuild a playable MP4 from a file without moov: frames are recovered from mdat,
+     * the sample entry (avcC or hvcC) from the in-band parameter sets, and timing is the nominal 36 fps.
+     * Resolves with a Blob that references the original file's data.
+     */
+    async recoverFile(file, onProgress = null) {
+        const stream = new window.DashcamMP4Stream(file);
+        this.currentStream = stream;
 
-            reader.onabort = () => {
-                this.currentReader = null;
-                reject(new Error('File reading was aborted'));
-            };
+        try {
+            const config = await stream.getConfig();
+            const { samples, dataStart, dataEnd } = await stream.recoverSamples(onProgress);
+            if (stream.cancelled) {
+                throw new Error('Recovery was cancelled');
+            }
+            if (samples.length === 0) {
+                throw new Error('No complete frames found');
+            }
 
-            reader.readAsArrayBuffer(file);
-        });
+            return MP4Muxer.build(config, samples, [file.slice(dataStart, dataEnd)]);
+        } finally {
+            if (this.currentStream === stream) {
+                this.currentStream = null;
+            }
+        }
     }
 
     /**
      * Cancel ongoing parsing
      */
     cancel() {
-        if (this.currentReader) {
-            this.currentReader.abort();
-            this.currentReader = null;
+        if (this.currentStream) {
+            this.currentStream.cancel();
+            this.currentStream = null;
         }
         if (this.worker) {
             this.worker.terminate();
@@ -219,13 +289,13 @@ export class MP4Parser {
                     const buffer = e.target.result;
                     const view = new DataView(buffer);
 
-                    // Quick scan for SEI NAL units (type 6)
+                    // Quick scan for SEI NAL units (H.264 type 6, H.265 prefix SEI type 39)
                     let hasSei = false;
                     for (let i = 0; i < buffer.byteLength - 4; i++) {
                         const nalSize = view.getUint32(i);
                         if (nalSize > 0 && nalSize < 100000 && i + 4 + nalSize <= buffer.byteLength) {
-                            const nalType = view.getUint8(i + 4) & 0x1F;
-                            if (nalType === 6) {
+                            const header = view.getUint8(i + 4);
+                            if ((header & 0x1F) === 6 || ((header >> 1) & 0x3F) === 39) {
                                 hasSei = true;
                                 break;
                             }
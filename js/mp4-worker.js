@@ -9,55 +9,53 @@
 const _basePath = self.location.href.replace(/\/js\/mp4-worker\.js/, '/');
 importScripts(_basePath + 'lib/protobuf.min.js', _basePath + 'lib/dashcam-mp4.js');
 
-let SeiMetadata = null;
+let seiDecoder = null;
 
 /**
- * Initialize protobuf in worker context
+ * Initialize protobuf in worker context (base schema plus any newer registered schemas)
  */
 async function initializeProtobuf(protoPath) {
-    if (SeiMetadata) return;
+    if (seiDecoder) return;
 
     try {
-        const response = await fetch(protoPath);
-        const protoText = await response.text();
-        const root = protobuf.parse(protoText).root;
-        SeiMetadata = root.lookupType('SeiMetadata');
+        seiDecoder = (await DashcamHelpers.initProtobuf(protoPath)).seiDecoder;
     } catch (error) {
         throw new Error('Failed to load protobuf: ' + error.message);
     }
 }
 
 /**
- * Parse MP4 buffer and extract SEI messages
+ * Parse MP4 file in chunks and stream SEI messages back as they are found.
+ * Only the moov box and one mdat chunk are held in memory at a time.
  */
-function parseMP4(buffer) {
+async function parseMP4(file) {
     try {
-        // Update progress
-        postMessage({ type: 'progress', data: { percentage: 25, message: 'Parsing MP4 structure...' } });
-
-        // Create parser
-        const parser = new DashcamMP4(buffer);
-
-        // Update progress
-        postMessage({ type: 'progress', data: { percentage: 50, message: 'Extracting telemetry data...' } });
-
-        // Extract SEI messages
-        const seiMessages = parser.extractSeiMessages(SeiMetadata);
-
-        // Update progress
-        postMessage({ type: 'progress', data: { percentage: 75, message: 'Processing metadata...' } });
-
-        // Get video config
-        const config = parser.getConfig();
-
-        // Update progress
-        postMessage({ type: 'progress', data: { percentage: 100, message: 'Complete' } });
+        postMessage({ type: 'progress', data: { percentage: 0, message: 'Reading MP4 structure...' } });
+
+        const stream = new DashcamMP4Stream(file);
+
+        // Video config first: it is needed to time the SEI batches that follow
+        const config = await stream.getConfig();
+        postMessage({ type: 'config', data: config });
+
+        let seiCount = 0;
+        for await (const batch of stream.streamSei(seiDecoder)) {
+            if (batch.seiMessages.length > 0) {
+                seiCount += batch.seiMessages.length;
+                postMessage({
+                    type: 'sei',
+                    data: { seiMessages: batch.seiMessages, frameIndices: batch.frameIndices }
+                });
+            }
+
+            // Byte-based progress through mdat
+            const percentage = Math.round((batch.bytesRead / batch.totalBytes) * 100);
+            postMessage({ type: 'progress', data: { percentage, message: 'Extracting telemetry data...' } });
+        }
 
-        // Return results
         return {
-            seiMessages,
             config,
-            hasTelemetry: seiMessages.length > 0
+            hasTelemetry: seiCount > 0
         };
     } catch (error) {
         throw new Error('MP4 parsing failed: ' + error.message);
@@ -68,16 +66,16 @@ function parseMP4(buffer) {
  * Handle messages from main thread
  */
 self.onmessage = async function(e) {
-    const { type, buffer, protoPath } = e.data;
+    const { type, file, protoPath } = e.data;
 
     if (type === 'parse') {
         try {
             // Initialize protobuf
-            postMessage({ type: 'progress', data: { percentage: 10, message: 'Initializing decoder...' } });
+            postMessage({ type: 'progress', data: { percentage: 0, message: 'Initializing decoder...' } });
             await initializeProtobuf(protoPath || (_basePath + 'lib/dashcam.proto'));
 
             // Parse MP4
-            const result = parseMP4(buffer);
+            const result = await parseMP4(file);
 
             // Send results back
             postMessage({ type: 'complete', data: result });
@@ -0,0 +1,107 @@
+/**
+ * Raw Fields Panel Module
+ * Lists every SEI field of the current frame as stored in the file, using the schema the
+ * message was decoded with, plus fields that no loaded schema knows about
+ */
+
+export class RawFieldsPanel {
+    constructor(panelId) {
+        this.panel = document.getElementById(panelId);
+        if (!this.panel) {
+            throw new Error(`Raw fields panel element with id "${panelId}" not found`);
+        }
+
+        this.list = null;
+        this.telemetry = null;
+        this.layoutKey = null;
+        this.rows = [];
+    }
+
+    /**
+     * Cache elements and render when the panel is expanded
+     */
+    initialize() {
+        this.list = this.panel.querySelector('.raw-fields-list');
+
+        this.panel.addEventListener('toggle', () => {
+            if (this.panel.open && this.telemetry) {
+                this.render(this.telemetry);
+            }
+        });
+    }
+
+    /**
+     * Show the fields of a telemetry entry (rendering is skipped while collapsed)
+     */
+    update(telemetry) {
+        this.telemetry = telemetry;
+        if (this.panel.open) {
+            this.render(telemetry);
+        }
+    }
+
+    render(telemetry) {
+        const raw = telemetry._raw || {};
+        const schema = window.DashcamHelpers.getSchema(telemetry.version.schema ?? telemetry.version.sei);
+        if (!schema) return;
+
+        const unknownFields = raw.$unknownFields || {};
+        const layoutKey = `${schema.version}|${Object.keys(unknownFields).join(',')}`;
+        if (layoutKey !== this.layoutKey) {
+            this.buildRows(schema, Object.keys(unknownFields));
+            this.layoutKey = layoutKey;
+        }
+
+        for (const row of this.rows) {
+            row.detail.textContent = row.read(raw);
+        }
+    }
+
+    /**
+     * Create one row per schema field (via deriveFieldInfo) and per unknown field number
+     */
+    buildRows(schema, unknownFieldNumbers) {
+        const { deriveFieldInfo, formatValue } = window.DashcamHelpers;
+        const type = schema.SeiMetadata;
+
+        this.rows = deriveFieldInfo(type, schema.enumFields, { useLabels: true }).map(({ propName, label, enumMap }) => ({
+            label,
+            read: raw => String(formatValue(raw[propName] ?? type.fields[propName].typeDefault, enumMap))
+        }));
+
+        for (const fieldNumber of unknownFieldNumbers) {
+            this.rows.push({
+                label: `Field ${fieldNumber}`,
+                unknown: true,
+                read: raw => {
+                    const field = raw.$unknownFields?.[fieldNumber];
+                    if (!field) return '--';
+                    const values = [].concat(field.value).map(value => formatValue(value));
+                    return `${values.join(', ')} (${field.wireType})`;
+                }
+            });
+        }
+
+        this.list.innerHTML = '';
+        for (const row of this.rows) {
+            const term = document.createElement('dt');
+            term.textContent = row.label;
+            if (row.unknown) {
+                term.className = 'raw-field-unknown';
+                term.title = 'Not in any loaded SEI schema; value interpreted from the wire type';
+            }
+            row.detail = document.createElement('dd');
+            this.list.append(term, row.detail);
+        }
+    }
+
+    /**
+     * Forget the current clip's fields
+     */
+    clear() {
+        this.telemetry = null;
+        this.layoutKey = null;
+        this.rows = [];
+        if (this.list) this.list.innerHTML = '';
+    }
+}
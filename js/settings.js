@@ -3,18 +3,36 @@
  * Manages user settings with localStorage persistence
  */
 
+import { EventRules, DEFAULT_EVENT_RULES } from './event-rules.js';
+import { TileSources, TILE_SOURCES, DEFAULT_TILE_CONFIG } from './tile-sources.js';
+
 const DEFAULT_SETTINGS = {
     speedUnit: 'mph',
     overlayVisible: true,
     overlayStyle: 'detailed',
-    timelineVisible: true
+    timelineVisible: true,
+    interpolateTelemetry: false,
+    smoothGps: false,
+    routeColorMode: 'speed',
+    mapFollow: false,
+    mapCourseUp: false,
+    mapRawGps: false,
+    mapTiles: DEFAULT_TILE_CONFIG,
+    eventRules: DEFAULT_EVENT_RULES
 };
 
 const ALLOWED_SETTINGS_KEYS = new Set(Object.keys(DEFAULT_SETTINGS));
 
 const VALID_VALUES = {
     speedUnit: ['mph', 'kph'],
-    overlayStyle: ['detailed', 'minimal']
+    overlayStyle: ['detailed', 'minimal'],
+    routeColorMode: ['speed', 'autopilot', 'acceleration']
+};
+
+// Structured values are checked with a validator instead of a list of values
+const VALIDATORS = {
+    eventRules: EventRules.isValidRuleSet,
+    mapTiles: TileSources.isValidConfig
 };
 
 export class Settings {
@@ -25,7 +43,14 @@ export class Settings {
             onSpeedUnitChange: null,
             onOverlayVisibilityChange: null,
             onOverlayStyleChange: null,
-            onTimelineVisibilityChange: null
+            onTimelineVisibilityChange: null,
+            onInterpolationChange: null,
+            onGpsSmoothingChange: null,
+            onEventRulesChange: null,
+            onMapTilesChange: null,
+            onTileFolderChange: null,
+            onTileFileChange: null,
+            onClearCache: null
         };
     }
 
@@ -38,7 +63,23 @@ export class Settings {
             speedUnitSelect: document.getElementById('speedUnitSelect'),
             overlayVisibleToggle: document.getElementById('overlayVisibleToggle'),
             overlayStyleSelect: document.getElementById('overlayStyleSelect'),
-            timelineVisibleToggle: document.getElementById('timelineVisibleToggle')
+            timelineVisibleToggle: document.getElementById('timelineVisibleToggle'),
+            interpolateToggle: document.getElementById('interpolateToggle'),
+            smoothGpsToggle: document.getElementById('smoothGpsToggle'),
+            mapTileSourceSelect: document.getElementById('mapTileSourceSelect'),
+            customTileFields: document.getElementById('customTileFields'),
+            mapTileUrlInput: document.getElementById('mapTileUrlInput'),
+            mapTileAttributionInput: document.getElementById('mapTileAttributionInput'),
+            mapTileMaxZoomInput: document.getElementById('mapTileMaxZoomInput'),
+            localTileFields: document.getElementById('localTileFields'),
+            chooseTileFolderBtn: document.getElementById('chooseTileFolderBtn'),
+            tileFolderInput: document.getElementById('tileFolderInput'),
+            chooseMBTilesBtn: document.getElementById('chooseMBTilesBtn'),
+            mbtilesFileInput: document.getElementById('mbtilesFileInput'),
+            tileFolderStatus: document.getElementById('tileFolderStatus'),
+            mapTileError: document.getElementById('mapTileError'),
+            cacheUsageValue: document.getElementById('cacheUsageValue'),
+            clearCacheBtn: document.getElementById('clearCacheBtn')
         };
 
         // Load settings from localStorage
@@ -67,6 +108,7 @@ export class Settings {
                         if (typeof value !== typeof DEFAULT_SETTINGS[key]) continue;
                         // Enum check: if key has a set of valid values, enforce it
                         if (key in VALID_VALUES && !VALID_VALUES[key].includes(value)) continue;
+                        if (key in VALIDATORS && !VALIDATORS[key](value)) continue;
                         filtered[key] = value;
                     }
                 }
@@ -120,6 +162,74 @@ export class Settings {
                 this.setTimelineVisible(e.target.checked);
             });
         }
+
+        // Telemetry interpolation toggle
+        if (this.elements.interpolateToggle) {
+            this.elements.interpolateToggle.addEventListener('change', (e) => {
+                this.setInterpolateTelemetry(e.target.checked);
+            });
+        }
+
+        // GPS track smoothing toggle
+        if (this.elements.smoothGpsToggle) {
+            this.elements.smoothGpsToggle.addEventListener('change', (e) => {
+                this.setSmoothGps(e.target.checked);
+            });
+        }
+
+        // Map tile source and its custom server fields (applied once they form a valid setting)
+        if (this.elements.mapTileSourceSelect) {
+            for (const [source, label] of Object.entries(TILE_SOURCES)) {
+                this.elements.mapTileSourceSelect.appendChild(new Option(label, source));
+            }
+            for (const input of [
+                this.elements.mapTileSourceSelect,
+                this.elements.mapTileUrlInput,
+                this.elements.mapTileAttributionInput,
+                this.elements.mapTileMaxZoomInput
+            ]) {
+                input.addEventListener('change', () => {
+                    this.applyMapTilesFromUI();
+                });
+            }
+        }
+
+        // Local tile folder
+        if (this.elements.chooseTileFolderBtn) {
+            this.elements.chooseTileFolderBtn.addEventListener('click', () => {
+                this.elements.tileFolderInput.click();
+            });
+            this.elements.tileFolderInput.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files);
+                e.target.value = '';
+                if (files.length > 0 && this.callbacks.onTileFolderChange) {
+                    this.callbacks.onTileFolderChange(files);
+                }
+            });
+        }
+
+        // Local .mbtiles file
+        if (this.elements.chooseMBTilesBtn) {
+            this.elements.chooseMBTilesBtn.addEventListener('click', () => {
+                this.elements.mbtilesFileInput.click();
+            });
+            this.elements.mbtilesFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file && this.callbacks.onTileFileChange) {
+                    this.callbacks.onTileFileChange(file);
+                }
+            });
+        }
+
+        // Clear telemetry cache button
+        if (this.elements.clearCacheBtn) {
+            this.elements.clearCacheBtn.addEventListener('click', () => {
+                if (this.callbacks.onClearCache) {
+                    this.callbacks.onClearCache();
+                }
+            });
+        }
     }
 
     /**
@@ -146,6 +256,26 @@ export class Settings {
             this.elements.timelineVisibleToggle.checked = this.settings.timelineVisible;
         }
 
+        // Telemetry interpolation
+        if (this.elements.interpolateToggle) {
+            this.elements.interpolateToggle.checked = this.settings.interpolateTelemetry;
+        }
+
+        // GPS track smoothing
+        if (this.elements.smoothGpsToggle) {
+            this.elements.smoothGpsToggle.checked = this.settings.smoothGps;
+        }
+
+        // Map tiles
+        if (this.elements.mapTileSourceSelect) {
+            const { source, url, attribution, maxZoom } = this.settings.mapTiles;
+            this.elements.mapTileSourceSelect.value = source;
+            this.elements.mapTileUrlInput.value = url;
+            this.elements.mapTileAttributionInput.value = attribution;
+            this.elements.mapTileMaxZoomInput.value = maxZoom;
+            this.updateTileFields();
+        }
+
         // Apply dashboard visibility
         this.applyDashboardVisibility();
 
@@ -295,6 +425,131 @@ export class Settings {
         }
     }
 
+    /**
+     * Set telemetry interpolation (blend values between SEI samples)
+     */
+    setInterpolateTelemetry(enabled) {
+        this.settings.interpolateTelemetry = enabled;
+        this.saveSettings();
+
+        // Trigger callback
+        if (this.callbacks.onInterpolationChange) {
+            this.callbacks.onInterpolationChange(enabled);
+        }
+    }
+
+    /**
+     * Set Kalman smoothing of the cleaned GPS track
+     */
+    setSmoothGps(enabled) {
+        this.settings.smoothGps = enabled;
+        this.saveSettings();
+
+        // Trigger callback
+        if (this.callbacks.onGpsSmoothingChange) {
+            this.callbacks.onGpsSmoothingChange(enabled);
+        }
+    }
+
+    /**
+     * Set how the map route is colored (chosen in the map legend)
+     */
+    setRouteColorMode(mode) {
+        if (!VALID_VALUES.routeColorMode.includes(mode)) {
+            console.warn('Invalid route color mode:', mode);
+            return;
+        }
+
+        this.settings.routeColorMode = mode;
+        this.saveSettings();
+    }
+
+    /**
+     * Set whether the map follows the vehicle (toggled on the map)
+     */
+    setMapFollow(enabled) {
+        this.settings.mapFollow = enabled;
+        this.saveSettings();
+    }
+
+    /**
+     * Set whether the map turns course-up while following (toggled on the map)
+     */
+    setMapCourseUp(enabled) {
+        this.settings.mapCourseUp = enabled;
+        this.saveSettings();
+    }
+
+    /**
+     * Set whether the map shows the recorded GPS track next to the cleaned route (toggled on the map)
+     */
+    setMapRawGps(enabled) {
+        this.settings.mapRawGps = enabled;
+        this.saveSettings();
+    }
+
+    /**
+     * Set the map tile source (validated; throws on an invalid setting)
+     */
+    setMapTiles(config) {
+        this.settings.mapTiles = TileSources.validateConfig(config);
+        this.saveSettings();
+
+        // Trigger callback
+        if (this.callbacks.onMapTilesChange) {
+            this.callbacks.onMapTilesChange(this.settings.mapTiles);
+        }
+    }
+
+    /**
+     * Read the tile controls and apply them, or show why they cannot be used yet
+     */
+    applyMapTilesFromUI() {
+        this.updateTileFields();
+        try {
+            this.setMapTiles({
+                source: this.elements.mapTileSourceSelect.value,
+                url: this.elements.mapTileUrlInput.value,
+                attribution: this.elements.mapTileAttributionInput.value,
+                maxZoom: Number(this.elements.mapTileMaxZoomInput.value)
+            });
+            this.elements.mapTileError.textContent = '';
+        } catch (error) {
+            this.elements.mapTileError.textContent = error.message;
+        }
+    }
+
+    /**
+     * Show the custom server or local folder fields for the selected source
+     */
+    updateTileFields() {
+        const source = this.elements.mapTileSourceSelect.value;
+        this.elements.customTileFields.classList.toggle('hidden', source !== 'custom');
+        this.elements.localTileFields.classList.toggle('hidden', source !== 'local');
+    }
+
+    /**
+     * Show which local tiles (folder or .mbtiles file) are loaded
+     */
+    showTileFolderStatus(text) {
+        if (this.elements.tileFolderStatus) {
+            this.elements.tileFolderStatus.textContent = text;
+        }
+    }
+
+    /**
+     * Set event detection rules (validated; throws on an invalid rule set)
+     */
+    setEventRules(rules) {
+        this.settings.eventRules = EventRules.validateRuleSet(rules);
+        this.saveSettings();
+
+        // Trigger callback
+        if (this.callbacks.onEventRulesChange) {
+            this.callbacks.onEventRulesChange(this.settings.eventRules);
+        }
+    }
+
     /**
      * Apply timeline visibility
      */
@@ -309,6 +564,18 @@ export class Settings {
         }
     }
 
+    /**
+     * Show telemetry cache usage in the settings panel
+     */
+    showCacheUsage(text, isEmpty = false) {
+        if (this.elements.cacheUsageValue) {
+            this.elements.cacheUsageValue.textContent = text;
+        }
+        if (this.elements.clearCacheBtn) {
+            this.elements.clearCacheBtn.disabled = isEmpty;
+        }
+    }
+
     /**
      * Get current settings
      */
@@ -323,6 +590,27 @@ export class Settings {
         return { ...this.settings };
     }
 
+    /**
+     * Register callback for map tile source changes
+     */
+    onMapTilesChange(callback) {
+        this.callbacks.onMapTilesChange = callback;
+    }
+
+    /**
+     * Register callback for a chosen local tile folder (receives the picked files)
+     */
+    onTileFolderChange(callback) {
+        this.callbacks.onTileFolderChange = callback;
+    }
+
+    /**
+     * Register callback for an .mbtiles file chosen for local map tiles
+     */
+    onTileFileChange(callback) {
+        this.callbacks.onTileFileChange = callback;
+    }
+
     /**
      * Register callback for speed unit changes
      */
@@ -351,6 +639,34 @@ export class Settings {
         this.callbacks.onTimelineVisibilityChange = callback;
     }
 
+    /**
+     * Register callback for telemetry interpolation changes
+     */
+    onInterpolationChange(callback) {
+        this.callbacks.onInterpolationChange = callback;
+    }
+
+    /**
+     * Register callback for GPS smoothing changes
+     */
+    onGpsSmoothingChange(callback) {
+        this.callbacks.onGpsSmoothingChange = callback;
+    }
+
+    /**
+     * Register callback for event rule changes
+     */
+    onEventRulesChange(callback) {
+        this.callbacks.onEventRulesChange = callback;
+    }
+
+    /**
+     * Register callback for the clear cache button
+     */
+    onClearCache(callback) {
+        this.callbacks.onClearCache = callback;
+    }
+
     /**
      * Reset to default settings
      */
@@ -0,0 +1,152 @@
+/**
+ * Telemetry Cache Module
+ * Persists parsed SEI messages and video config in IndexedDB, keyed by file fingerprint
+ */
+
+const DB_NAME = 'teslaDashcamCache';
+const DB_VERSION = 1;
+const STORE_NAME = 'telemetry';
+
+// Bytes hashed from the start and end of the file for the fingerprint
+const HASH_SAMPLE_SIZE = 64 * 1024;
+
+export class TelemetryCache {
+    constructor() {
+        this.dbPromise = null;
+        // Loaded SEI schema versions, part of the key so new schemas re-decode cached clips
+        this.schemaTag = '';
+    }
+
+    /**
+     * Check if IndexedDB is available
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or create) the cache database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Build cache key from name, size, lastModified, a hash of the first and last 64KB
+     * and the loaded SEI schema versions
+     */
+    async getFingerprint(file) {
+        const head = await file.slice(0, HASH_SAMPLE_SIZE).arrayBuffer();
+        const tail = await file.slice(Math.max(file.size - HASH_SAMPLE_SIZE, 0)).arrayBuffer();
+
+        const sample = new Uint8Array(head.byteLength + tail.byteLength);
+        sample.set(new Uint8Array(head), 0);
+        sample.set(new Uint8Array(tail), head.byteLength);
+
+        const digest = await crypto.subtle.digest('SHA-256', sample);
+        const hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+
+        return `${file.name}|${file.size}|${file.lastModified}|${hash}|schema:${this.schemaTag}`;
+    }
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    async _request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get cached parse result for a file, or null
+     */
+    async get(file) {
+        if (!TelemetryCache.isSupported()) return null;
+
+        try {
+            const key = await this.getFingerprint(file);
+            const entry = await this._request('readonly', store => store.get(key));
+            return entry ? entry.result : null;
+        } catch (error) {
+            console.warn('Telemetry cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store parse result ({ seiMessages, frameIndices, config, hasTelemetry }) for a file
+     */
+    async put(file, result) {
+        if (!TelemetryCache.isSupported()) return false;
+
+        try {
+            const key = await this.getFingerprint(file);
+            await this._request('readwrite', store => store.put({
+                key,
+                fileName: file.name,
+                savedAt: Date.now(),
+                // Approximate stored size, used for the cache usage display
+                byteSize: JSON.stringify(result).length,
+                result
+            }));
+            return true;
+        } catch (error) {
+            console.warn('Telemetry cache write failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get cache usage ({ entries, bytes })
+     */
+    async getUsage() {
+        if (!TelemetryCache.isSupported()) return { entries: 0, bytes: 0 };
+
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const usage = { entries: 0, bytes: 0 };
+            const transaction = db.transaction(STORE_NAME, 'readonly');
+            const request = transaction.objectStore(STORE_NAME).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    usage.entries++;
+                    usage.bytes += cursor.value.byteSize || 0;
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(usage);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove all cached telemetry
+     */
+    async clear() {
+        if (!TelemetryCache.isSupported()) return;
+        await this._request('readwrite', store => store.clear());
+    }
+}
@@ -28,6 +28,24 @@ const REGEN_DECEL_THRESHOLD = -0.5;     // m/s^2
 const REGEN_ACCEL_PEDAL_MAX = 5;        // % pedal position
 const REGEN_MIN_SPEED = 0.5;            // m/s
 
+// Samples further apart than this are not blended (dropouts, clip boundaries)
+const MAX_INTERPOLATION_GAP = 1.0;      // seconds
+
+// Trip statistics
+const MOVING_SPEED_THRESHOLD = 0.5;     // m/s, slower counts as stopped
+const STANDARD_GRAVITY = 9.80665;       // m/s² per g
+const EARTH_RADIUS = 6371000;           // meters
+const SPEED_HISTOGRAM_BIN = 10;         // mph or km/h per bar
+
+// GPS cleaning
+const GPS_JUMP_TOLERANCE = 30;          // meters a fix may stray beyond what the vehicle speed allows
+const GPS_SPEED_MARGIN = 1.5;           // slack on the distance covered at the recorded speed
+const GPS_REJECT_RESET = 3.0;           // seconds of consistent "jumps" after which the new position is accepted
+const GPS_FREEZE_TIMEOUT = 3.0;         // seconds an unchanged fix is trusted while moving (GPS updates ~1 Hz)
+const MAX_GPS_FILL_GAP = 5.0;           // seconds; longer dropouts are left without a position
+const KALMAN_MEASUREMENT_VARIANCE = 25; // m², GPS fix error (~5 m)
+const KALMAN_PROCESS_VARIANCE = 4;      // m² per second of dead reckoning from speed and heading
+
 /**
  * Tesla uses SAE-convention axes for linear acceleration:
  *   X = longitudinal (positive = forward acceleration, negative = braking)
@@ -40,44 +58,126 @@ export class TelemetryDecoder {
         this.sortedTimestamps = [];
         this.frameRate = 30; // Default frame rate
         this.duration = 0;
+        this.interpolate = false;
+        this.smoothGps = false;
+    }
+
+    /**
+     * Enable or disable interpolation between neighbouring samples
+     */
+    setInterpolation(enabled) {
+        this.interpolate = enabled;
     }
 
     /**
-     * Build telemetry index from SEI messages and video config
+     * Enable or disable Kalman smoothing of the cleaned GPS track (re-cleans indexed telemetry)
      */
-    buildIndex(seiMessages, videoConfig, duration) {
+    setGpsSmoothing(enabled) {
+        this.smoothGps = enabled;
+        if (this.hasTelemetry()) {
+            this.cleanGps();
+        }
+    }
+
+    /**
+     * Build telemetry index from SEI messages and video config.
+     * frameIndices (optional) gives the frame each SEI message belongs to.
+     */
+    buildIndex(seiMessages, videoConfig, duration, frameIndices = null) {
+        return this.buildSessionIndex([{ seiMessages, frameIndices, config: videoConfig, offset: 0 }], duration);
+    }
+
+    /**
+     * Build telemetry index for a drive session of consecutive clips.
+     * segments: [{ seiMessages, frameIndices, config, offset }] with offset in seconds from session start.
+     * Each telemetry entry records the segmentIndex of the clip it came from.
+     */
+    buildSessionIndex(segments, duration) {
         this.duration = duration;
         this.telemetryIndex.clear();
         this.sortedTimestamps = [];
 
+        segments.forEach((segment, segmentIndex) => {
+            this._indexSegment(segment, segmentIndex);
+        });
+
+        this.sortedTimestamps = Array.from(this.telemetryIndex.keys()).sort((a, b) => a - b);
+        this.cleanGps();
+
+        return this.telemetryIndex.size;
+    }
+
+    /**
+     * Add a batch of SEI messages streamed while a clip is still being parsed.
+     * startIndex is the number of messages of this clip already added.
+     */
+    appendBatch(segment, segmentIndex, startIndex = 0) {
+        const lastTimestamp = this.sortedTimestamps[this.sortedTimestamps.length - 1];
+        const added = this._indexSegment(segment, segmentIndex, startIndex);
+
+        this.sortedTimestamps.push(...added);
+        // Batches normally arrive in time order; re-sort only if frames were reordered
+        if (added.length > 0 && added.some(t => t < lastTimestamp)) {
+            this.sortedTimestamps.sort((a, b) => a - b);
+        }
+        return added.length;
+    }
+
+    /**
+     * Remove everything indexed for one clip (e.g. before it is parsed again)
+     */
+    removeSegment(segmentIndex) {
+        this.sortedTimestamps = this.sortedTimestamps.filter(timestamp => {
+            if (this.telemetryIndex.get(timestamp).segmentIndex !== segmentIndex) return true;
+            this.telemetryIndex.delete(timestamp);
+            return false;
+        });
+    }
+
+    /**
+     * Add one clip's SEI messages to the index and return the new timestamps
+     */
+    _indexSegment({ seiMessages, frameIndices, config, offset }, segmentIndex, startIndex = 0) {
+        if (!seiMessages || seiMessages.length === 0) return [];
+
+        // Frame-accurate timing: presentation time of the frame each SEI message precedes
+        const presentationTimes = config && config.presentationTimes;
+        const frameAccurate = !!(presentationTimes && frameIndices && frameIndices.length === seiMessages.length);
+
         // Calculate frame rate from video config.
         // Three guards ensure safe division: (1) videoConfig.durations exists,
         // (2) it's non-empty, (3) avgFrameDuration > 0. Falls back to 30 fps default.
-        if (videoConfig && videoConfig.durations && videoConfig.durations.length > 0) {
-            const avgFrameDuration = videoConfig.durations.reduce((a, b) => a + b, 0) / videoConfig.durations.length;
+        if (config && config.durations && config.durations.length > 0) {
+            const avgFrameDuration = config.durations.reduce((a, b) => a + b, 0) / config.durations.length;
             this.frameRate = avgFrameDuration > 0 ? 1000 / avgFrameDuration : 30;
         }
 
+        const added = [];
+
         // Process each SEI message
         for (let i = 0; i < seiMessages.length; i++) {
             const seiData = seiMessages[i];
 
             // Decode and convert units
-            const telemetry = this.decodeSEIMessage(seiData, i);
+            const telemetry = this.decodeSEIMessage(seiData, startIndex + i);
+            telemetry.segmentIndex = segmentIndex;
 
-            // Calculate video timestamp from array index
+            // Calculate video timestamp from the frame's presentation time, falling back to
+            // frame index (or array index) / average frame rate for results without per-frame timing
+            // (e.g. files recovered without a moov box).
             // NOTE: frameSeqNo is a cumulative counter from the entire recording session,
             // not the frame number within this specific video clip.
-            // We must use the array index (i) to get timestamps that align with video playback.
-            const timestamp = i / this.frameRate;
+            const frameTime = frameAccurate ? presentationTimes[frameIndices[i]] : undefined;
+            const frameNumber = frameIndices && frameIndices.length === seiMessages.length ? frameIndices[i] : startIndex + i;
+            const timestamp = offset + (frameTime !== undefined ? frameTime / 1000 : frameNumber / this.frameRate);
 
             // Add to index
+            if (!this.telemetryIndex.has(timestamp)) {
+                added.push(timestamp);
+            }
             this.telemetryIndex.set(timestamp, telemetry);
         }
-
-        this.sortedTimestamps = Array.from(this.telemetryIndex.keys()).sort((a, b) => a - b);
-
-        return this.telemetryIndex.size;
+        return added;
     }
 
     /**
@@ -116,10 +216,15 @@ export class TelemetryDecoder {
         const gearState = seiData.gearState || 0;
         const gearName = GEAR_STATES[gearState] || 'P';
 
-        // Get GPS coordinates
-        const latitude = seiData.latitudeDeg || null;
-        const longitude = seiData.longitudeDeg || null;
-        const heading = seiData.headingDeg || null;
+        // Get GPS coordinates. Proto3 leaves zero values out, so 0 is a real coordinate (equator, prime
+        // meridian) and only 0/0 together means there is no fix.
+        const rawLatitude = seiData.latitudeDeg ?? 0;
+        const rawLongitude = seiData.longitudeDeg ?? 0;
+        const hasFix = (rawLatitude !== 0 || rawLongitude !== 0) &&
+            Math.abs(rawLatitude) <= 90 && Math.abs(rawLongitude) <= 180;
+        const latitude = hasFix ? rawLatitude : null;
+        const longitude = hasFix ? rawLongitude : null;
+        const heading = hasFix ? (seiData.headingDeg ?? 0) : null;
 
         // Get linear acceleration
         const accelX = seiData.linearAccelerationMps2X || 0;
@@ -129,6 +234,11 @@ export class TelemetryDecoder {
         // Get frame sequence number
         const frameSeqNo = seiData.frameSeqNo || index;
 
+        // SEI version written by the firmware, and the schema version it was decoded with
+        // (results cached before schema negotiation have no $schemaVersion)
+        const seiVersion = seiData.version || 0;
+        const schemaVersion = seiData.$schemaVersion ?? null;
+
         // Detect regenerative braking (engine braking)
         // Occurs when: decelerating, accelerator lifted, brake not applied, vehicle moving
         const isRegenerativeBraking = (
@@ -173,12 +283,20 @@ export class TelemetryDecoder {
                 name: gearName
             },
 
-            // GPS
+            // GPS: gps is the cleaned track (see cleanGps), gpsRaw the position as recorded
             gps: {
                 latitude,
                 longitude,
                 heading,
-                isValid: latitude !== null && longitude !== null
+                isValid: hasFix,
+                status: hasFix ? 'measured' : 'none',
+                rejected: null
+            },
+            gpsRaw: {
+                latitude,
+                longitude,
+                heading,
+                isValid: hasFix
             },
 
             // Acceleration
@@ -191,6 +309,13 @@ export class TelemetryDecoder {
             // Frame info
             frameSeqNo,
 
+            // Schema
+            version: {
+                sei: seiVersion,
+                schema: schemaVersion,
+                hasUnknownFields: !!seiData.$unknownFields
+            },
+
             // Raw data (for debugging)
             _raw: seiData
         };
@@ -200,6 +325,10 @@ export class TelemetryDecoder {
      * Get telemetry data for a specific video time using binary search (O(log n))
      */
     getTelemetryAtTime(time) {
+        if (this.interpolate) {
+            return this._interpolateAtTime(time);
+        }
+
         const closestTime = this._binarySearchClosest(time);
         if (closestTime !== null) {
             return this.telemetryIndex.get(closestTime);
@@ -234,15 +363,312 @@ export class TelemetryDecoder {
     }
 
     /**
-     * Get all telemetry data (for export or analysis)
+     * Binary search for the index of the last timestamp <= time (-1 if none)
+     */
+    _binarySearchFloor(time) {
+        const timestamps = this.sortedTimestamps;
+        let lo = 0;
+        let hi = timestamps.length - 1;
+        let result = -1;
+
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (timestamps[mid] <= time) {
+                result = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Blend continuous fields between the samples around time.
+     * Discrete fields (gear, blinkers, autopilot, brake) come from the preceding sample.
+     */
+    _interpolateAtTime(time) {
+        const timestamps = this.sortedTimestamps;
+        if (timestamps.length === 0) return null;
+
+        const index = this._binarySearchFloor(time);
+        if (index < 0) return this.telemetryIndex.get(timestamps[0]);
+        if (index >= timestamps.length - 1) return this.telemetryIndex.get(timestamps[timestamps.length - 1]);
+
+        const t0 = timestamps[index];
+        const t1 = timestamps[index + 1];
+        const prev = this.telemetryIndex.get(t0);
+        const next = this.telemetryIndex.get(t1);
+
+        if (t1 - t0 > MAX_INTERPOLATION_GAP || prev.segmentIndex !== next.segmentIndex) {
+            return prev;
+        }
+
+        const f = (time - t0) / (t1 - t0);
+        const lerp = (a, b) => a + (b - a) * f;
+
+        let gps = prev.gps;
+        if (prev.gps.isValid && next.gps.isValid) {
+            gps = {
+                ...prev.gps,
+                latitude: lerp(prev.gps.latitude, next.gps.latitude),
+                longitude: lerp(prev.gps.longitude, next.gps.longitude),
+                heading: TelemetryDecoder.lerpHeading(prev.gps.heading, next.gps.heading, f),
+                isValid: true
+            };
+        }
+
+        return {
+            ...prev,
+            speed: {
+                mps: lerp(prev.speed.mps, next.speed.mps),
+                mph: lerp(prev.speed.mph, next.speed.mph),
+                kph: lerp(prev.speed.kph, next.speed.kph)
+            },
+            steeringAngle: lerp(prev.steeringAngle, next.steeringAngle),
+            accelerator: lerp(prev.accelerator, next.accelerator),
+            gps,
+            acceleration: {
+                x: lerp(prev.acceleration.x, next.acceleration.x),
+                y: lerp(prev.acceleration.y, next.acceleration.y),
+                z: lerp(prev.acceleration.z, next.acceleration.z)
+            }
+        };
+    }
+
+    /**
+     * Interpolate compass heading (degrees) along the shortest arc, e.g. 350° -> 10° passes 0°
+     */
+    static lerpHeading(from, to, f) {
+        if (from === null || to === null) return from ?? to;
+        const delta = ((to - from + 540) % 360) - 180;
+        return (from + delta * f + 360) % 360;
+    }
+
+    /**
+     * Rebuild the cleaned GPS track (entry.gps) of the indexed telemetry from the recorded fixes (entry.gpsRaw)
+     */
+    cleanGps() {
+        const entries = this.sortedTimestamps.map(timestamp => {
+            const { segmentIndex, speed, gear, gpsRaw } = this.telemetryIndex.get(timestamp);
+            return { timestamp, segmentIndex, speed, gear, gpsRaw };
+        });
+
+        const track = TelemetryDecoder.cleanGpsTrack(entries, { smooth: this.smoothGps });
+        this.sortedTimestamps.forEach((timestamp, i) => {
+            this.telemetryIndex.get(timestamp).gps = track[i];
+        });
+    }
+
+    /**
+     * Clean the GPS track of time-ordered entries ({ timestamp, segmentIndex, speed, gear, gpsRaw }).
+     * Returns one { latitude, longitude, heading, isValid, status, rejected } per entry: status is 'measured',
+     * 'filled' (bridged across a short dropout) or 'none'; rejected says why a recorded fix was dropped
+     * ('jump' for an impossible move at the recorded speed, 'frozen' for a fix stuck while driving).
+     */
+    static cleanGpsTrack(entries, { smooth = false } = {}) {
+        const track = entries.map(({ gpsRaw }) => ({
+            latitude: gpsRaw.isValid ? gpsRaw.latitude : null,
+            longitude: gpsRaw.isValid ? gpsRaw.longitude : null,
+            heading: gpsRaw.heading,
+            isValid: gpsRaw.isValid,
+            status: gpsRaw.isValid ? 'measured' : 'none',
+            rejected: null
+        }));
+
+        // Clip by clip: positions are not carried across drive session clips
+        let start = 0;
+        while (start < entries.length) {
+            let end = start + 1;
+            while (end < entries.length && entries[end].segmentIndex === entries[start].segmentIndex) end++;
+
+            TelemetryDecoder._rejectFrozenFixes(entries, track, start, end);
+            TelemetryDecoder._rejectJumps(entries, track, start, end);
+            TelemetryDecoder._fillDropouts(entries, track, start, end);
+            if (smooth) {
+                TelemetryDecoder._smoothTrack(entries, track, start, end);
+            }
+            start = end;
+        }
+        return track;
+    }
+
+    static _rejectFix(point, reason) {
+        Object.assign(point, { latitude: null, longitude: null, isValid: false, status: 'none', rejected: reason });
+    }
+
+    /**
+     * The same fix repeats between ~1 Hz GPS updates; repeated for longer while moving, it is stale
+     */
+    static _rejectFrozenFixes(entries, track, start, end) {
+        let runStart = -1;
+        for (let i = start; i < end; i++) {
+            const point = track[i];
+            if (!point.isValid) continue;
+
+            const first = runStart >= 0 ? track[runStart] : null;
+            if (!first || !first.isValid || point.latitude !== first.latitude || point.longitude !== first.longitude) {
+                runStart = i;
+                continue;
+            }
+            if (entries[i].timestamp - entries[runStart].timestamp > GPS_FREEZE_TIMEOUT &&
+                entries[i].speed.mps > MOVING_SPEED_THRESHOLD) {
+                TelemetryDecoder._rejectFix(point, 'frozen');
+            }
+        }
+    }
+
+    /**
+     * Drop fixes further from the last accepted one than the recorded speed could have taken the car.
+     * If the "jump" persists for GPS_REJECT_RESET, tracking restarts from the current fix. Nothing is
+     * rewritten retroactively: fixes accepted before the jump stay, and those rejected while it was
+     * pending stay rejected (short gaps are bridged by _fillDropouts).
+     */
+    static _rejectJumps(entries, track, start, end) {
+        let anchor = -1; // first sample of the last accepted fix
+        let rejectedSince = null;
+
+        for (let i = start; i < end; i++) {
+            const point = track[i];
+            if (!point.isValid) continue;
+            if (anchor < 0) {
+                anchor = i;
+                continue;
+            }
+
+            const last = track[anchor];
+            if (point.latitude === last.latitude && point.longitude === last.longitude) continue;
+
+            const dt = entries[i].timestamp - entries[anchor].timestamp;
+            const speed = Math.max(entries[i].speed.mps, entries[anchor].speed.mps);
+            const allowed = speed * dt * GPS_SPEED_MARGIN + GPS_JUMP_TOLERANCE;
+
+            if (TelemetryDecoder.haversineDistance(last, point) <= allowed) {
+                anchor = i;
+                rejectedSince = null;
+                continue;
+            }
+
+            if (rejectedSince === null) rejectedSince = entries[i].timestamp;
+            if (entries[i].timestamp - rejectedSince >= GPS_REJECT_RESET) {
+                anchor = i;
+                rejectedSince = null;
+                continue;
+            }
+            TelemetryDecoder._rejectFix(point, 'jump');
+        }
+    }
+
+    /**
+     * Interpolate position and heading across gaps between valid fixes of up to MAX_GPS_FILL_GAP
+     */
+    static _fillDropouts(entries, track, start, end) {
+        let last = -1;
+        for (let i = start; i < end; i++) {
+            if (track[i].status !== 'measured') continue;
+
+            const t0 = last >= 0 ? entries[last].timestamp : 0;
+            const t1 = entries[i].timestamp;
+            if (last >= 0 && i - last > 1 && t1 - t0 <= MAX_GPS_FILL_GAP) {
+                const from = track[last];
+                const to = track[i];
+                for (let j = last + 1; j < i; j++) {
+                    const f = (entries[j].timestamp - t0) / (t1 - t0);
+                    Object.assign(track[j], {
+                        latitude: from.latitude + (to.latitude - from.latitude) * f,
+                        longitude: from.longitude + (to.longitude - from.longitude) * f,
+                        heading: TelemetryDecoder.lerpHeading(from.heading, to.heading, f),
+                        isValid: true,
+                        status: 'filled'
+                    });
+                }
+            }
+            last = i;
+        }
+    }
+
+    /**
+     * Kalman filter (per axis, in meters east/north of the clip's first fix): predict by dead reckoning
+     * with vehicle speed and heading, correct with each new GPS fix. Filled samples are predicted only.
+     */
+    static _smoothTrack(entries, track, start, end) {
+        let origin = null;
+        for (let i = start; i < end && !origin; i++) {
+            if (track[i].isValid) origin = { latitude: track[i].latitude, longitude: track[i].longitude };
+        }
+        if (!origin) return;
+
+        const metersPerDegreeLat = EARTH_RADIUS * Math.PI / 180;
+        const metersPerDegreeLon = metersPerDegreeLat * Math.cos(origin.latitude * Math.PI / 180);
+
+        let state = null; // { x, y, variance }
+        let lastFix = null;
+        let heading = null;
+
+        for (let i = start; i < end; i++) {
+            const point = track[i];
+            heading = point.heading ?? heading;
+
+            if (state) {
+                const dt = entries[i].timestamp - entries[i - 1].timestamp;
+                if (heading !== null) {
+                    // Reversing moves against the heading
+                    const direction = entries[i].gear?.name === 'R' ? -1 : 1;
+                    const distance = direction * entries[i].speed.mps * dt;
+                    state.x += distance * Math.sin(heading * Math.PI / 180);
+                    state.y += distance * Math.cos(heading * Math.PI / 180);
+                }
+                state.variance += KALMAN_PROCESS_VARIANCE * dt;
+            }
+
+            // A gap too long to fill restarts the filter at the next fix
+            if (!point.isValid) {
+                state = null;
+                continue;
+            }
+
+            const x = (point.longitude - origin.longitude) * metersPerDegreeLon;
+            const y = (point.latitude - origin.latitude) * metersPerDegreeLat;
+            const isNewFix = point.status === 'measured' &&
+                (!lastFix || point.latitude !== lastFix.latitude || point.longitude !== lastFix.longitude);
+            if (isNewFix) {
+                lastFix = { latitude: point.latitude, longitude: point.longitude };
+            }
+
+            if (!state) {
+                state = { x, y, variance: KALMAN_MEASUREMENT_VARIANCE };
+            } else if (isNewFix) {
+                const gain = state.variance / (state.variance + KALMAN_MEASUREMENT_VARIANCE);
+                state.x += gain * (x - state.x);
+                state.y += gain * (y - state.y);
+                state.variance *= 1 - gain;
+            }
+
+            point.latitude = origin.latitude + state.y / metersPerDegreeLat;
+            point.longitude = origin.longitude + state.x / metersPerDegreeLon;
+        }
+    }
+
+    /**
+     * Get all telemetry data in time order (for export or analysis). The index itself is in decode
+     * order, which differs from presentation order on clips with reordered frames.
      */
     getAllTelemetry() {
-        return Array.from(this.telemetryIndex.entries()).map(([timestamp, data]) => ({
+        return this.sortedTimestamps.map(timestamp => ({
             timestamp,
-            ...data
+            ...this.telemetryIndex.get(timestamp)
         }));
     }
 
+    /**
+     * Clear all indexed telemetry
+     */
+    clear() {
+        this.telemetryIndex.clear();
+        this.sortedTimestamps = [];
+        this.duration = 0;
+    }
+
     /**
      * Check if telemetry data exists
      */
@@ -251,38 +677,123 @@ export class TelemetryDecoder {
     }
 
     /**
-     * Get telemetry statistics
+     * Get trip statistics: distance, moving/stopped time, time per Autopilot state,
+     * speed histogram (in speedUnit, seconds per bin), brake use, g-force peaks and event counts.
+     * events are the detected timeline events ({ type }) to count.
      */
-    getStatistics() {
+    getStatistics({ events = [], speedUnit = 'mph' } = {}) {
         if (!this.hasTelemetry()) {
             return null;
         }
 
         const allData = this.getAllTelemetry();
+        const unitKey = speedUnit === 'kph' ? 'kph' : 'mph';
+
+        const time = { moving: 0, stopped: 0 };
+        const autopilotTime = Object.fromEntries(Object.values(AUTOPILOT_STATES).map(name => [name, 0]));
+        const histogram = [];
+        const peaks = { acceleration: 0, braking: 0, lateral: 0 };
+        let gpsDistance = 0;
+        let speedDistance = 0;
+        let maxSpeed = 0;
+        let brakeTime = 0;
+        let brakeApplications = 0;
+        let autopilotFrames = 0;
+
+        for (let i = 0; i < allData.length; i++) {
+            const data = allData[i];
+            const prev = allData[i - 1];
+            const next = allData[i + 1];
+
+            // Each sample lasts until the next one in the same clip (dropouts capped; duplicate times count 0)
+            const dt = next && next.segmentIndex === data.segmentIndex
+                ? Math.max(0, Math.min(next.timestamp - data.timestamp, MAX_INTERPOLATION_GAP))
+                : 1 / this.frameRate;
+
+            if (data.speed.mps > MOVING_SPEED_THRESHOLD) {
+                time.moving += dt;
+                const bin = Math.floor(data.speed[unitKey] / SPEED_HISTOGRAM_BIN);
+                while (histogram.length <= bin) histogram.push(0);
+                histogram[bin] += dt;
+            } else {
+                time.stopped += dt;
+            }
+            speedDistance += data.speed.mps * dt;
+            maxSpeed = Math.max(maxSpeed, data.speed.mps);
+
+            const stateName = AUTOPILOT_STATES[data.autopilot.state];
+            if (stateName) autopilotTime[stateName] += dt;
+            if (data.autopilot.isActive) autopilotFrames++;
+
+            if (data.brake) {
+                brakeTime += dt;
+                if (!prev || !prev.brake) brakeApplications++;
+            }
+
+            peaks.acceleration = Math.max(peaks.acceleration, data.acceleration.x);
+            peaks.braking = Math.max(peaks.braking, -data.acceleration.x);
+            peaks.lateral = Math.max(peaks.lateral, Math.abs(data.acceleration.y));
+
+            if (prev && prev.segmentIndex === data.segmentIndex && prev.gps.isValid && data.gps.isValid &&
+                data.timestamp - prev.timestamp <= MAX_INTERPOLATION_GAP) {
+                gpsDistance += TelemetryDecoder.haversineDistance(prev.gps, data.gps);
+            }
+        }
 
-        // Calculate statistics
-        const speeds = allData.map(d => d.speed.mph).filter(s => s > 0);
-        const maxSpeed = speeds.length > 0 ? Math.max(...speeds) : 0;
-        const avgSpeed = speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : 0;
+        const eventCounts = {};
+        for (const event of events) {
+            eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+        }
 
-        const autopilotFrames = allData.filter(d => d.autopilot.isActive).length;
-        const autopilotPercentage = (autopilotFrames / allData.length) * 100;
+        const hasGps = allData.some(d => d.gps.isValid);
+        const distance = hasGps ? gpsDistance : speedDistance;
 
         return {
             frameCount: allData.length,
             duration: this.duration,
             frameRate: this.frameRate,
+            distance: {
+                meters: distance,
+                source: hasGps ? 'gps' : 'speed'
+            },
+            time,
             speed: {
-                max: maxSpeed,
-                average: avgSpeed
+                max: maxSpeed * MPS_TO_MPH,
+                average: time.moving > 0 ? (speedDistance / time.moving) * MPS_TO_MPH : 0,
+                maxMps: maxSpeed,
+                averageMps: time.moving > 0 ? speedDistance / time.moving : 0,
+                histogram: { unit: unitKey, binSize: SPEED_HISTOGRAM_BIN, seconds: histogram }
             },
             autopilot: {
                 framesActive: autopilotFrames,
-                percentageActive: autopilotPercentage
-            }
+                percentageActive: (autopilotFrames / allData.length) * 100,
+                timeByState: autopilotTime
+            },
+            brake: {
+                applications: brakeApplications,
+                time: brakeTime
+            },
+            gForce: {
+                acceleration: peaks.acceleration / STANDARD_GRAVITY,
+                braking: peaks.braking / STANDARD_GRAVITY,
+                lateral: peaks.lateral / STANDARD_GRAVITY
+            },
+            eventCounts
         };
     }
 
+    /**
+     * Great-circle distance in meters between two { latitude, longitude } points
+     */
+    static haversineDistance(from, to) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(to.latitude - from.latitude);
+        const dLon = toRad(to.longitude - from.longitude);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+    }
+
     /**
      * Format telemetry for display
      */
@@ -0,0 +1,221 @@
+/**
+ * Telemetry Exporter Module
+ * Writes decoded telemetry as CSV, JSON or GPX (optionally limited to a time range)
+ */
+
+// Columns of the CSV / JSON export (propName = row key, protoName = CSV header)
+const EXPORT_FIELDS = [
+    { propName: 'videoTime', protoName: 'video_time_s' },
+    { propName: 'time', protoName: 'time_utc' },
+    { propName: 'speed', protoName: 'speed' },
+    { propName: 'gear', protoName: 'gear' },
+    { propName: 'autopilot', protoName: 'autopilot' },
+    { propName: 'acceleratorPct', protoName: 'accelerator_pct' },
+    { propName: 'brake', protoName: 'brake' },
+    { propName: 'regenBraking', protoName: 'regen_braking' },
+    { propName: 'steeringDeg', protoName: 'steering_deg' },
+    { propName: 'blinkerLeft', protoName: 'blinker_left' },
+    { propName: 'blinkerRight', protoName: 'blinker_right' },
+    { propName: 'latitude', protoName: 'latitude' },
+    { propName: 'longitude', protoName: 'longitude' },
+    { propName: 'headingDeg', protoName: 'heading_deg' },
+    { propName: 'accelX', protoName: 'accel_x_mps2' },
+    { propName: 'accelY', protoName: 'accel_y_mps2' },
+    { propName: 'accelZ', protoName: 'accel_z_mps2' }
+];
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    gpx: 'application/gpx+xml'
+};
+
+export class TelemetryExporter {
+    constructor(telemetryDecoder) {
+        this.telemetryDecoder = telemetryDecoder;
+    }
+
+    /**
+     * Get telemetry entries, optionally limited to { start, end } (seconds of video time)
+     */
+    getEntries(range = null) {
+        const entries = this.telemetryDecoder.getAllTelemetry();
+        if (!range) return entries;
+        return entries.filter(entry => entry.timestamp >= range.start && entry.timestamp <= range.end);
+    }
+
+    /**
+     * Flatten a telemetry entry into an export row.
+     * startTime is the recording start (Date) used for absolute timestamps, if known.
+     */
+    toRow(entry, speedUnit, startTime) {
+        return {
+            videoTime: Number(entry.timestamp.toFixed(3)),
+            time: startTime ? this.toAbsoluteTime(entry.timestamp, startTime) : null,
+            speed: Number((speedUnit === 'kph' ? entry.speed.kph : entry.speed.mph).toFixed(2)),
+            gear: entry.gear.name,
+            autopilot: entry.autopilot.name,
+            acceleratorPct: Number(entry.accelerator.toFixed(1)),
+            brake: entry.brake,
+            regenBraking: entry.regenBraking,
+            steeringDeg: Number(entry.steeringAngle.toFixed(1)),
+            blinkerLeft: entry.turnSignals.left,
+            blinkerRight: entry.turnSignals.right,
+            latitude: entry.gps.isValid ? entry.gps.latitude : null,
+            longitude: entry.gps.isValid ? entry.gps.longitude : null,
+            headingDeg: entry.gps.heading,
+            accelX: Number(entry.acceleration.x.toFixed(3)),
+            accelY: Number(entry.acceleration.y.toFixed(3)),
+            accelZ: Number(entry.acceleration.z.toFixed(3))
+        };
+    }
+
+    /**
+     * Convert video time to an ISO 8601 timestamp
+     */
+    toAbsoluteTime(videoTime, startTime) {
+        return new Date(startTime.getTime() + videoTime * 1000).toISOString();
+    }
+
+    /**
+     * Build CSV of unit-converted telemetry
+     */
+    toCsv(entries, { speedUnit = 'mph', startTime = null } = {}) {
+        const rows = entries.map(entry => this.toRow(entry, speedUnit, startTime));
+        const fieldInfo = EXPORT_FIELDS.map(field =>
+            field.propName === 'speed' ? { ...field, protoName: `speed_${speedUnit}` } : field
+        );
+        return DashcamHelpers.buildCsv(rows, fieldInfo);
+    }
+
+    /**
+     * Build CSV of the raw SEI fields as stored in the file (no unit conversion)
+     */
+    toRawCsv(entries) {
+        const protobuf = DashcamHelpers.getProtobuf();
+        if (!protobuf) {
+            throw new Error('Protobuf schema not loaded');
+        }
+
+        const fieldInfo = [
+            { propName: 'videoTime', protoName: 'video_time_s' },
+            ...DashcamHelpers.deriveFieldInfo(protobuf.SeiMetadata, protobuf.enumFields, { useSnakeCase: true })
+        ];
+        const rows = entries.map(entry => ({ videoTime: Number(entry.timestamp.toFixed(3)), ...entry._raw }));
+        return DashcamHelpers.buildCsv(rows, fieldInfo);
+    }
+
+    /**
+     * Build JSON document of unit-converted telemetry
+     */
+    toJson(entries, { speedUnit = 'mph', startTime = null, source = null } = {}) {
+        return JSON.stringify({
+            source,
+            recordedAt: startTime ? startTime.toISOString() : null,
+            speedUnit,
+            frameCount: entries.length,
+            frames: entries.map(entry => this.toRow(entry, speedUnit, startTime))
+        }, null, 2);
+    }
+
+    /**
+     * Build GPX 1.1 track of valid GPS points.
+     * Speed and course go into the Garmin TrackPointExtension (speed in m/s).
+     */
+    toGpx(entries, { startTime = null, source = null } = {}) {
+        const points = entries.filter(entry => entry.gps.isValid);
+        if (points.length === 0) {
+            throw new Error('No GPS data in the selected range');
+        }
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Tesla Dashcam Viewer"',
+            '     xmlns="http://www.topografix.com/GPX/1/1"',
+            '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">'
+        ];
+
+        if (startTime) {
+            lines.push(`  <metadata><time>${this.toAbsoluteTime(points[0].timestamp, startTime)}</time></metadata>`);
+        }
+
+        lines.push('  <trk>');
+        if (source) {
+            lines.push(`    <name>${this.escapeXml(source)}</name>`);
+        }
+        lines.push('    <trkseg>');
+
+        for (const point of points) {
+            lines.push(`      <trkpt lat="${point.gps.latitude.toFixed(7)}" lon="${point.gps.longitude.toFixed(7)}">`);
+            if (startTime) {
+                lines.push(`        <time>${this.toAbsoluteTime(point.timestamp, startTime)}</time>`);
+            }
+
+            let extension = `<gpxtpx:speed>${point.speed.mps.toFixed(2)}</gpxtpx:speed>`;
+            if (point.gps.heading !== null) {
+                extension += `<gpxtpx:course>${point.gps.heading.toFixed(1)}</gpxtpx:course>`;
+            }
+            lines.push(`        <extensions><gpxtpx:TrackPointExtension>${extension}</gpxtpx:TrackPointExtension></extensions>`);
+            lines.push('      </trkpt>');
+        }
+
+        lines.push('    </trkseg>', '  </trk>', '</gpx>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Export telemetry in the given format and download it
+     */
+    export(format, { range = null, speedUnit = 'mph', startTime = null, source = null } = {}) {
+        const entries = this.getEntries(range);
+        if (entries.length === 0) {
+            throw new Error('No telemetry in the selected range');
+        }
+
+        const options = { speedUnit, startTime, source };
+        let content;
+        let extension = format;
+
+        switch (format) {
+            case 'csv':
+                content = this.toCsv(entries, options);
+                break;
+            case 'raw':
+                content = this.toRawCsv(entries);
+                extension = 'csv';
+                break;
+            case 'json':
+                content = this.toJson(entries, options);
+                break;
+            case 'gpx':
+                content = this.toGpx(entries, options);
+                break;
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const filename = this.buildFilename(source, range, format === 'raw' ? 'raw.' + extension : extension);
+        DashcamHelpers.downloadBlob(new Blob([content], { type: MIME_TYPES[extension] }), filename);
+        return entries.length;
+    }
+
+    /**
+     * Build download filename from the source name and optional range
+     */
+    buildFilename(source, range, extension) {
+        const base = (source || 'telemetry').replace(/\.mp4$/i, '');
+        const suffix = range ? `_${Math.floor(range.start)}-${Math.ceil(range.end)}s` : '';
+        return `${base}${suffix}.${extension}`;
+    }
+
+    /**
+     * Escape text for XML content
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
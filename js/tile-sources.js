@@ -0,0 +1,171 @@
+/**
+ * Tile Sources Module
+ * Map tile providers: online presets, a custom URL template, tiles from a local folder or .mbtiles file,
+ * or none (plain grid)
+ */
+
+import { MBTiles } from './mbtiles.js';
+
+// Online presets (no API key required)
+export const TILE_PRESETS = {
+    osm: {
+        label: 'OpenStreetMap',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '© OpenStreetMap contributors',
+        maxZoom: 19
+    },
+    satellite: {
+        label: 'Satellite (Esri World Imagery)',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+        maxZoom: 19
+    },
+    dark: {
+        label: 'Dark (CARTO)',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: '© OpenStreetMap contributors © CARTO',
+        maxZoom: 20
+    }
+};
+
+export const TILE_SOURCES = {
+    ...Object.fromEntries(Object.entries(TILE_PRESETS).map(([id, preset]) => [id, preset.label])),
+    custom: 'Custom tile server',
+    local: 'Local tiles (folder or .mbtiles file)',
+    none: 'No tiles (grid only)'
+};
+
+export const DEFAULT_TILE_CONFIG = {
+    source: 'osm',
+    url: '',
+    attribution: '',
+    maxZoom: 19
+};
+
+// Highest zoom Leaflet is asked to show (tiles are upscaled past the source's own maximum)
+const MAX_ZOOM_LIMIT = 22;
+
+// Tile files in a {z}/{x}/{y} folder layout, anywhere below the chosen folder
+const TILE_FILE_PATTERN = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/i;
+
+export class TileSources {
+    /**
+     * Check a tile setting ({ source, url, attribution, maxZoom }) and return a normalized copy; throws on problems
+     */
+    static validateConfig(config) {
+        if (!config || typeof config !== 'object') throw new Error('Tile setting must be an object');
+
+        const { source } = config;
+        if (!(source in TILE_SOURCES)) throw new Error(`Unknown tile source "${source}"`);
+
+        const maxZoom = config.maxZoom ?? DEFAULT_TILE_CONFIG.maxZoom;
+        if (!Number.isInteger(maxZoom) || maxZoom < 1 || maxZoom > MAX_ZOOM_LIMIT) {
+            throw new Error(`Max zoom must be a whole number from 1 to ${MAX_ZOOM_LIMIT}`);
+        }
+
+        const url = typeof config.url === 'string' ? config.url.trim() : '';
+        if (source === 'custom') {
+            if (!/^https?:\/\//i.test(url)) throw new Error('Tile URL must start with http:// or https://');
+            if (!url.includes('{z}') || !url.includes('{x}') || !/\{-?y\}/.test(url)) {
+                throw new Error('Tile URL must contain {z}, {x} and {y}');
+            }
+        }
+
+        return {
+            source,
+            url,
+            attribution: typeof config.attribution === 'string' ? config.attribution.trim() : '',
+            maxZoom
+        };
+    }
+
+    static isValidConfig(config) {
+        try {
+            TileSources.validateConfig(config);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Index tiles picked from a folder (File objects with webkitRelativePath).
+     * Returns a local tile set { name, tileCount, minZoom, maxZoom, attribution, getTile(z, x, y) -> File | null };
+     * throws if the folder holds no tiles.
+     */
+    static indexFolder(files) {
+        const tiles = new Map();
+        let minZoom = Infinity;
+        let maxZoom = -Infinity;
+
+        for (const file of files) {
+            const match = (file.webkitRelativePath || file.name).match(TILE_FILE_PATTERN);
+            if (!match) continue;
+
+            const [, z, x, y] = match.map(Number);
+            tiles.set(`${z}/${x}/${y}`, file);
+            minZoom = Math.min(minZoom, z);
+            maxZoom = Math.max(maxZoom, z);
+        }
+
+        if (tiles.size === 0) {
+            throw new Error('No map tiles found. The folder should contain {z}/{x}/{y}.png (or .jpg/.webp) files');
+        }
+
+        const name = (files[0].webkitRelativePath || '').split('/')[0] || 'tiles';
+        return {
+            name,
+            tileCount: tiles.size,
+            minZoom,
+            maxZoom,
+            attribution: '',
+            getTile: (z, x, y) => tiles.get(`${z}/${x}/${y}`) || null
+        };
+    }
+
+    /**
+     * Open an .mbtiles file as a local tile set (getTile resolves to a Blob or null); throws if it cannot be read
+     */
+    static async openMBTiles(file) {
+        const mbtiles = await MBTiles.open(file);
+        return {
+            name: mbtiles.name,
+            tileCount: mbtiles.tiles.size,
+            minZoom: mbtiles.minZoom,
+            maxZoom: mbtiles.maxZoom,
+            attribution: mbtiles.attribution,
+            getTile: (z, x, y) => mbtiles.getTile(z, x, y)
+        };
+    }
+
+    /**
+     * What the map should draw for a tile setting:
+     * { type: 'url', url, attribution, maxZoom } | { type: 'local', getTile, minNativeZoom, maxNativeZoom, attribution, maxZoom }
+     * | { type: 'none', attribution }. localTiles is the tile set from indexFolder or openMBTiles this session, if any.
+     */
+    static resolve(config, localTiles = null) {
+        const { source, url, attribution, maxZoom } = config;
+
+        if (source in TILE_PRESETS) {
+            return { type: 'url', ...TILE_PRESETS[source] };
+        }
+        if (source === 'custom') {
+            return { type: 'url', url, attribution, maxZoom };
+        }
+        if (source === 'local') {
+            // Files and folders cannot be remembered between visits; draw the grid until one is chosen again
+            if (!localTiles) {
+                return { type: 'none', attribution: 'Choose the local tiles again in Settings' };
+            }
+            return {
+                type: 'local',
+                getTile: localTiles.getTile,
+                minNativeZoom: localTiles.minZoom,
+                maxNativeZoom: localTiles.maxZoom,
+                attribution: attribution || localTiles.attribution || `Local tiles: ${localTiles.name}`,
+                maxZoom: Math.max(maxZoom, localTiles.maxZoom)
+            };
+        }
+        return { type: 'none', attribution: 'No map tiles' };
+    }
+}
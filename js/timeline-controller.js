@@ -1,8 +1,16 @@
 /**
  * Timeline Controller Module
- * Manages video timeline with speed graph and event markers
+ * Manages video timeline with speed graph and event spans
  */
 
+import { EventRules, DEFAULT_EVENT_RULES } from './event-rules.js';
+
+// Hover distance (pixels) within which an event span counts as under the cursor
+const EVENT_HOVER_SLACK = 4;
+
+// Narrowest drawn span, so instant and very short events stay visible
+const MIN_SPAN_WIDTH = 4;
+
 export class TimelineController {
     constructor() {
         this.canvas = null;
@@ -17,6 +25,7 @@ export class TimelineController {
         this.events = [];
         this.duration = 0;
         this.currentTime = 0;
+        this.segmentBoundaries = []; // drive session clip start times (seconds)
 
         // Canvas dimensions
         this.width = 0;
@@ -26,51 +35,21 @@ export class TimelineController {
         // Interaction state
         this.isHovering = false;
         this.hoverX = 0;
+        this.hoveredEvents = [];
         this.isDragging = false;
+        this.isSelecting = false;
+        this.selectionAnchor = 0;
+        this.selection = null; // { start, end } in seconds (shift+drag)
 
-        // Event type definitions
-        this.EVENT_TYPES = {
-            hardBraking: {
-                threshold: -4.0,        // m/s² deceleration
-                minSpeed: 5.0,          // mph
-                color: '#dc3545',       // red
-                icon: '🛑',
-                label: 'Hard Braking'
-            },
-            brakeUsed: {
-                minSpeed: 5.0,          // mph
-                color: '#ff8c00',       // dark orange
-                icon: '🔴',
-                label: 'Brake Applied'
-            },
-            sharpTurn: {
-                threshold: 180,         // degrees steering angle
-                minSpeed: 10.0,         // mph
-                color: '#ffc107',       // yellow
-                icon: '↻',
-                label: 'Sharp Turn'
-            },
-            autopilotChange: {
-                detectTransition: true,
-                color: '#0066cc',       // blue
-                icons: { engage: '🤖', disengage: '✋' },
-                labels: { engage: 'Autopilot Engaged', disengage: 'Autopilot Disengaged' }
-            },
-            rapidAcceleration: {
-                threshold: 3.0,         // m/s² acceleration
-                minSpeed: 5.0,          // mph
-                color: '#28a745',       // green
-                icon: '⚡',
-                label: 'Rapid Acceleration'
-            },
-            speedThreshold: {
-                threshold: 120,         // km/h
-                color: '#ff6b6b',       // orange-red
-                icon: '⚠',
-                label: 'High Speed'
-            }
+        this.callbacks = {
+            onRangeChange: null,
+            onEventsChange: null
         };
 
+        // Event detection rules and the marker definitions derived from them
+        this.rules = DEFAULT_EVENT_RULES;
+        this.EVENT_TYPES = EventRules.toEventTypes(this.rules);
+
         // Throttle hover events
         this.lastHoverUpdate = 0;
         this.hoverThrottle = 16; // ~60fps
@@ -78,6 +57,10 @@ export class TimelineController {
         // Bound handlers for proper cleanup
         this._handleResizeBound = this.handleResize.bind(this);
         this._handleMouseUpBound = this._handleMouseUp.bind(this);
+        this._handleMouseMoveBound = this.handleMouseMove.bind(this);
+        this._handleMouseLeaveBound = this._handleMouseLeave.bind(this);
+        this._handleClickBound = this.handleClick.bind(this);
+        this._handleMouseDownBound = this._handleMouseDown.bind(this);
     }
 
     /**
@@ -93,6 +76,7 @@ export class TimelineController {
         this.telemetryDecoder = telemetryDecoder;
         this.container = container;
         this.duration = videoPlayer.duration;
+        this.segmentBoundaries = videoPlayer.segments.slice(1).map(segment => segment.offset);
 
         // Get canvas and tooltip elements
         this.canvas = container.querySelector('#timelineCanvas');
@@ -174,120 +158,41 @@ export class TimelineController {
     }
 
     /**
-     * Detect events from telemetry data
+     * Detect events from telemetry data using the event rules
      */
     detectEvents() {
         if (!this.telemetryDecoder.hasTelemetry()) {
             return;
         }
 
-        const allTelemetry = this.telemetryDecoder.getAllTelemetry();
-        const events = [];
-        let lastAutopilotState = null;
-        let lastBrakeState = false;
-
-        for (let i = 0; i < allTelemetry.length; i++) {
-            const data = allTelemetry[i];
-
-            // Hard braking: acceleration.x < -4.0 (longitudinal deceleration)
-            if (data.acceleration.x < this.EVENT_TYPES.hardBraking.threshold &&
-                data.speed.mph > this.EVENT_TYPES.hardBraking.minSpeed) {
-                events.push({
-                    type: 'hardBraking',
-                    timestamp: data.timestamp,
-                    severity: Math.abs(data.acceleration.x) / 10 // 0-1 scale
-                });
-            }
-
-            // Brake pedal applied: detect transition from not pressed to pressed
-            if (data.brake && !lastBrakeState &&
-                data.speed.mph > this.EVENT_TYPES.brakeUsed.minSpeed) {
-                events.push({
-                    type: 'brakeUsed',
-                    timestamp: data.timestamp,
-                    severity: 0.7 // moderate severity
-                });
-            }
-            lastBrakeState = data.brake;
-
-            // Sharp turn: |steeringAngle| > 180
-            if (Math.abs(data.steeringAngle) > this.EVENT_TYPES.sharpTurn.threshold &&
-                data.speed.mph > this.EVENT_TYPES.sharpTurn.minSpeed) {
-                events.push({
-                    type: 'sharpTurn',
-                    timestamp: data.timestamp,
-                    severity: Math.abs(data.steeringAngle) / 360 // 0-1 scale
-                });
-            }
-
-            // Autopilot state changes
-            if (lastAutopilotState !== null &&
-                lastAutopilotState !== data.autopilot.state) {
-                const isEngaging = data.autopilot.state !== 0;
-                events.push({
-                    type: 'autopilotChange',
-                    subtype: isEngaging ? 'engage' : 'disengage',
-                    timestamp: data.timestamp,
-                    severity: 1.0
-                });
-            }
-            lastAutopilotState = data.autopilot.state;
-
-            // Rapid acceleration: acceleration.x > 3.0 (longitudinal acceleration)
-            if (data.acceleration.x > this.EVENT_TYPES.rapidAcceleration.threshold &&
-                data.speed.mph > this.EVENT_TYPES.rapidAcceleration.minSpeed) {
-                events.push({
-                    type: 'rapidAcceleration',
-                    timestamp: data.timestamp,
-                    severity: data.acceleration.x / 10 // 0-1 scale
-                });
-            }
+        this.events = EventRules.detect(this.telemetryDecoder.getAllTelemetry(), this.rules)
+            .sort((a, b) => a.start - b.start);
+        this.hoveredEvents = [];
 
-            // High speed: speed > 120 km/h
-            if (data.speed.kph > this.EVENT_TYPES.speedThreshold.threshold) {
-                // Only add every 30 frames to avoid too many markers
-                if (i % 30 === 0) {
-                    events.push({
-                        type: 'speedThreshold',
-                        timestamp: data.timestamp,
-                        severity: Math.min(data.speed.kph / 160, 1.0)
-                    });
-                }
-            }
+        if (this.callbacks.onEventsChange) {
+            this.callbacks.onEventsChange(this.events);
         }
-
-        // Deduplicate nearby events (within 0.5s)
-        this.events = this.deduplicateEvents(events);
-
     }
 
     /**
-     * Deduplicate events that are too close together
+     * Replace the event rules and re-detect events
      */
-    deduplicateEvents(events) {
-        if (events.length === 0) return [];
+    setRules(rules) {
+        this.rules = rules;
+        this.EVENT_TYPES = EventRules.toEventTypes(rules);
 
-        // Sort by timestamp
-        events.sort((a, b) => a.timestamp - b.timestamp);
-
-        const deduplicated = [];
-        const minGap = 0.5; // seconds
-
-        for (let i = 0; i < events.length; i++) {
-            const event = events[i];
-
-            // Check if too close to last event of same type
-            const lastSameType = deduplicated
-                .filter(e => e.type === event.type)
-                .pop();
-
-            if (!lastSameType ||
-                (event.timestamp - lastSameType.timestamp) >= minGap) {
-                deduplicated.push(event);
-            }
+        if (this.telemetryDecoder) {
+            this.detectEvents();
+            this.render();
         }
+    }
 
-        return deduplicated;
+    /**
+     * Events whose span covers a time, with a few pixels of slack so instant events can be hovered
+     */
+    getEventsAtTime(time) {
+        const slack = this.width > 0 ? (EVENT_HOVER_SLACK / this.width) * this.duration : 0;
+        return this.events.filter(event => event.start - slack <= time && time <= event.end + slack);
     }
 
     /**
@@ -295,38 +200,55 @@ export class TimelineController {
      */
     setupInteraction() {
         // Mouse move
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.handleMouseMove(e);
-        });
+        this.canvas.addEventListener('mousemove', this._handleMouseMoveBound);
 
         // Mouse leave
-        this.canvas.addEventListener('mouseleave', () => {
-            this.isHovering = false;
-            this.hideTooltip();
-            this.render();
-        });
+        this.canvas.addEventListener('mouseleave', this._handleMouseLeaveBound);
 
         // Click to seek
-        this.canvas.addEventListener('click', (e) => {
-            this.handleClick(e);
-        });
+        this.canvas.addEventListener('click', this._handleClickBound);
 
         // Mouse down for drag
-        this.canvas.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.handleClick(e);
-        });
+        this.canvas.addEventListener('mousedown', this._handleMouseDownBound);
 
         // Mouse up
         document.addEventListener('mouseup', this._handleMouseUpBound);
     }
 
+    /**
+     * Handle mouse leave
+     */
+    _handleMouseLeave() {
+        this.isHovering = false;
+        this.hoveredEvents = [];
+        this.hideTooltip();
+        this.render();
+    }
+
+    /**
+     * Handle mouse down (start drag)
+     */
+    _handleMouseDown(e) {
+        // Shift+drag selects a time range instead of seeking
+        if (e.shiftKey) {
+            const rect = this.canvas.getBoundingClientRect();
+            this.selectionAnchor = this.xToTime(e.clientX - rect.left);
+            this.selection = { start: this.selectionAnchor, end: this.selectionAnchor };
+            this.isSelecting = true;
+            this.render();
+            return;
+        }
+
+        this.isDragging = true;
+        this.handleClick(e);
+    }
+
     /**
      * Handle mouse move
      */
     handleMouseMove(e) {
         const now = Date.now();
-        if (now - this.lastHoverUpdate < this.hoverThrottle && !this.isDragging) {
+        if (now - this.lastHoverUpdate < this.hoverThrottle && !this.isDragging && !this.isSelecting) {
             return;
         }
         this.lastHoverUpdate = now;
@@ -337,8 +259,16 @@ export class TimelineController {
 
         // Show tooltip
         const time = this.xToTime(this.hoverX);
+        this.hoveredEvents = this.getEventsAtTime(time);
         this.showTooltip(e.clientX, e.clientY, time);
 
+        if (this.isSelecting) {
+            this.selection = {
+                start: Math.min(this.selectionAnchor, time),
+                end: Math.max(this.selectionAnchor, time)
+            };
+        }
+
         // Render with hover indicator
         this.render();
 
@@ -352,6 +282,9 @@ export class TimelineController {
      * Handle click
      */
     handleClick(e) {
+        // Clicks that end a range selection do not seek
+        if (e.shiftKey) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const time = this.xToTime(x);
@@ -382,26 +315,27 @@ export class TimelineController {
         html += `<div>Steering: ${Math.round(telemetry.steeringAngle)}°</div>`;
         html += `<div>Autopilot: ${telemetry.autopilot.name}</div>`;
 
-        // Check for events at this time
-        const nearbyEvents = this.events.filter(e =>
-            Math.abs(e.timestamp - time) < 1.0
-        );
+        this.tooltip.innerHTML = html;
 
-        if (nearbyEvents.length > 0) {
-            html += `<div style="margin-top: 0.5rem; padding-top: 0.5rem; border-top: 1px solid rgba(255,255,255,0.2);">`;
-            html += `<div style="font-weight: bold; margin-bottom: 0.25rem;">Events:</div>`;
-            nearbyEvents.forEach(event => {
+        // Events whose span is under the cursor, with their stats. Rule labels and icons are user-supplied
+        // (and shared in rule set files), so they are set as text, never as HTML.
+        if (this.hoveredEvents.length > 0) {
+            const section = this.createTooltipLine('', 'margin-top: 0.5rem; padding-top: 0.5rem; border-top: 1px solid rgba(255,255,255,0.2);');
+            section.appendChild(this.createTooltipLine('Events:', 'font-weight: bold; margin-bottom: 0.25rem;'));
+            this.hoveredEvents.forEach(event => {
                 const eventType = this.EVENT_TYPES[event.type];
                 if (eventType) {
-                    const icon = event.subtype ? eventType.icons[event.subtype] : eventType.icon;
-                    const label = event.subtype ? eventType.labels[event.subtype] : eventType.label;
-                    html += `<div style="color: ${eventType.color};">${icon} ${label}</div>`;
+                    const icon = (event.subtype && eventType.icons?.[event.subtype]) || eventType.icon;
+                    const label = (event.subtype && eventType.labels?.[event.subtype]) || eventType.label;
+                    section.appendChild(this.createTooltipLine(`${icon} ${label}`, `color: ${eventType.color};`));
+                    for (const line of this.formatEventStats(event, eventType)) {
+                        section.appendChild(this.createTooltipLine(line, 'opacity: 0.8;'));
+                    }
                 }
             });
-            html += `</div>`;
+            this.tooltip.appendChild(section);
         }
 
-        this.tooltip.innerHTML = html;
         this.tooltip.classList.remove('hidden');
 
         // Position tooltip
@@ -417,6 +351,28 @@ export class TimelineController {
         this.tooltip.style.top = `${y + 10}px`;
     }
 
+    createTooltipLine(text, style) {
+        const line = document.createElement('div');
+        line.textContent = text;
+        line.style.cssText = style;
+        return line;
+    }
+
+    /**
+     * Tooltip lines for an event span: time range and duration, peak and mean of the rule's field
+     */
+    formatEventStats(event, eventType) {
+        if (event.subtype) return [];
+
+        const duration = event.end - event.start;
+        const lines = [`${this.formatTime(event.start)}–${this.formatTime(event.end)} (${duration.toFixed(1)}s)`];
+        const peak = EventRules.formatValue(eventType.field, event.peak);
+        if (peak) {
+            lines.push(`Peak ${peak}, mean ${EventRules.formatValue(eventType.field, event.mean)}`);
+        }
+        return lines;
+    }
+
     /**
      * Hide tooltip
      */
@@ -436,11 +392,14 @@ export class TimelineController {
         // Draw background
         this.drawBackground();
 
+        // Draw selected range
+        this.drawSelection();
+
         // Draw speed graph
         this.drawSpeedGraph();
 
-        // Draw event markers
-        this.drawEventMarkers();
+        // Draw event spans
+        this.drawEventSpans();
 
         // Draw progress indicator
         this.drawProgressIndicator();
@@ -463,7 +422,7 @@ export class TimelineController {
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         this.ctx.lineWidth = 1;
 
-        const interval = 10; // seconds
+        const interval = this.duration > 600 ? 60 : 10; // seconds (1 min grid for drive sessions)
         for (let t = 0; t < this.duration; t += interval) {
             const x = this.timeToX(t);
             this.ctx.beginPath();
@@ -471,6 +430,42 @@ export class TimelineController {
             this.ctx.lineTo(x, this.height);
             this.ctx.stroke();
         }
+
+        // Clip boundaries within a drive session
+        if (this.segmentBoundaries.length > 0) {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            this.ctx.setLineDash([2, 4]);
+            for (const offset of this.segmentBoundaries) {
+                const x = this.timeToX(offset);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, 0);
+                this.ctx.lineTo(x, this.height);
+                this.ctx.stroke();
+            }
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Draw selected time range
+     */
+    drawSelection() {
+        if (!this.selection) return;
+
+        const startX = this.timeToX(this.selection.start);
+        const endX = this.timeToX(this.selection.end);
+
+        this.ctx.fillStyle = 'rgba(255, 193, 7, 0.2)';
+        this.ctx.fillRect(startX, 0, endX - startX, this.height);
+
+        this.ctx.strokeStyle = 'rgba(255, 193, 7, 0.9)';
+        this.ctx.lineWidth = 1;
+        for (const x of [startX, endX]) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.height);
+            this.ctx.stroke();
+        }
     }
 
     /**
@@ -522,29 +517,31 @@ export class TimelineController {
     }
 
     /**
-     * Draw event markers
+     * Draw events as shaded spans from start to end; the height shows severity,
+     * hovered events are drawn brighter
      */
-    drawEventMarkers() {
+    drawEventSpans() {
         for (const event of this.events) {
-            const x = this.timeToX(event.timestamp);
             const eventType = this.EVENT_TYPES[event.type];
-
             if (!eventType) continue;
 
-            // Get color
             const color = eventType.color;
+            const startX = this.timeToX(event.start);
+            const width = Math.max(this.timeToX(event.end) - startX, MIN_SPAN_WIDTH);
+            const x = startX - (width > MIN_SPAN_WIDTH ? 0 : MIN_SPAN_WIDTH / 2);
+            const spanHeight = 10 + (event.severity * 30);
+            const top = this.height - spanHeight;
 
-            // Draw vertical bar
-            const barHeight = 10 + (event.severity * 30);
+            this.ctx.globalAlpha = this.hoveredEvents.includes(event) ? 0.6 : 0.3;
             this.ctx.fillStyle = color;
-            this.ctx.fillRect(x - 2, this.height - barHeight, 4, barHeight);
-
-            // Draw icon at top
-            if (event.type === 'autopilotChange' && event.subtype) {
-                const icon = eventType.icons[event.subtype];
-                this.drawIcon(icon, x, 10, color);
-            } else if (eventType.icon) {
-                this.drawIcon(eventType.icon, x, 10, color);
+            this.ctx.fillRect(x, top, width, spanHeight);
+            this.ctx.globalAlpha = 1;
+            this.ctx.fillRect(x, top, width, 2);
+
+            // Icon above the start of the span
+            const icon = (event.subtype && eventType.icons?.[event.subtype]) || eventType.icon;
+            if (icon) {
+                this.drawIcon(icon, x + Math.min(width, MIN_SPAN_WIDTH) / 2, 10, color);
             }
         }
     }
@@ -639,6 +636,52 @@ export class TimelineController {
      */
     _handleMouseUp() {
         this.isDragging = false;
+
+        if (this.isSelecting) {
+            this.isSelecting = false;
+
+            // Treat a shift+click without dragging as clearing the selection
+            if (this.selection.end - this.selection.start < 0.5) {
+                this.selection = null;
+            }
+
+            this.render();
+            if (this.callbacks.onRangeChange) {
+                this.callbacks.onRangeChange(this.getSelectedRange());
+            }
+        }
+    }
+
+    /**
+     * Get selected time range ({ start, end } in seconds) or null
+     */
+    getSelectedRange() {
+        return this.selection ? { ...this.selection } : null;
+    }
+
+    /**
+     * Clear selected time range
+     */
+    clearSelection() {
+        this.selection = null;
+        this.render();
+        if (this.callbacks.onRangeChange) {
+            this.callbacks.onRangeChange(null);
+        }
+    }
+
+    /**
+     * Register callback for range selection changes
+     */
+    onRangeChange(callback) {
+        this.callbacks.onRangeChange = callback;
+    }
+
+    /**
+     * Register callback for re-detected events (after initialize or a rule change)
+     */
+    onEventsChange(callback) {
+        this.callbacks.onEventsChange = callback;
     }
 
     /**
@@ -660,9 +703,22 @@ export class TimelineController {
         // Remove event listeners
         window.removeEventListener('resize', this._handleResizeBound);
         document.removeEventListener('mouseup', this._handleMouseUpBound);
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousemove', this._handleMouseMoveBound);
+            this.canvas.removeEventListener('mouseleave', this._handleMouseLeaveBound);
+            this.canvas.removeEventListener('click', this._handleClickBound);
+            this.canvas.removeEventListener('mousedown', this._handleMouseDownBound);
+        }
+        if (this.tooltip) {
+            this.hideTooltip();
+        }
 
         this.speedData = [];
         this.events = [];
+        this.hoveredEvents = [];
+        this.segmentBoundaries = [];
+        this.selection = null;
+        this.isSelecting = false;
         this.currentTime = 0;
     }
 }
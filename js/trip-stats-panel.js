@@ -0,0 +1,222 @@
+/**
+ * Trip Stats Panel Module
+ * Renders the trip summary from TelemetryDecoder.getStatistics:
+ * key figures, time per Autopilot state, a speed histogram and event counts
+ */
+
+// Autopilot state colors (match the dashboard badges; OFF is neutral)
+const AUTOPILOT_COLORS = {
+    OFF: '#6c757d',
+    FSD: '#28a745',
+    AUTOSTEER: '#0066cc',
+    TACC: '#17a2b8'
+};
+
+const METERS_PER_MILE = 1609.344;
+const HISTOGRAM_HEIGHT = 90;
+const HISTOGRAM_COLOR = '#4a9eff';
+
+export class TripStatsPanel {
+    constructor(panelId) {
+        this.panel = document.getElementById(panelId);
+        if (!this.panel) {
+            throw new Error(`Trip stats panel element with id "${panelId}" not found`);
+        }
+
+        this.content = null;
+    }
+
+    initialize() {
+        this.content = this.panel.querySelector('.trip-stats-content');
+    }
+
+    /**
+     * Render statistics. eventTypes is TimelineController.EVENT_TYPES (for event labels).
+     */
+    show(stats, { speedUnit = 'mph', eventTypes = {} } = {}) {
+        if (!stats) {
+            this.hide();
+            return;
+        }
+
+        this.content.innerHTML = '';
+        this.content.appendChild(this.renderSummary(stats, speedUnit));
+        this.content.appendChild(this.renderAutopilotSplit(stats.autopilot.timeByState));
+        this.content.appendChild(this.renderHistogram(stats.speed.histogram));
+        this.content.appendChild(this.renderEventCounts(stats.eventCounts, eventTypes));
+
+        this.panel.classList.remove('hidden');
+    }
+
+    hide() {
+        this.panel.classList.add('hidden');
+        if (this.content) this.content.innerHTML = '';
+    }
+
+    /**
+     * Key figures as a definition list
+     */
+    renderSummary(stats, speedUnit) {
+        const kph = speedUnit === 'kph';
+        const speed = (mps) => `${Math.round(kph ? mps * 3.6 : mps * 2.23694)} ${speedUnit}`;
+        const distance = kph
+            ? `${(stats.distance.meters / 1000).toFixed(2)} km`
+            : `${(stats.distance.meters / METERS_PER_MILE).toFixed(2)} mi`;
+        const { gForce, brake, time } = stats;
+
+        const rows = [
+            ['Distance', stats.distance.source === 'gps' ? distance : `${distance} (from speed)`],
+            ['Moving', TripStatsPanel.formatDuration(time.moving)],
+            ['Stopped', TripStatsPanel.formatDuration(time.stopped)],
+            ['Max speed', speed(stats.speed.maxMps)],
+            ['Avg moving speed', speed(stats.speed.averageMps)],
+            ['Brake', `${brake.applications}× (${TripStatsPanel.formatDuration(brake.time)})`],
+            ['Peak accel', `${gForce.acceleration.toFixed(2)}g`],
+            ['Peak braking', `${gForce.braking.toFixed(2)}g`],
+            ['Peak lateral', `${gForce.lateral.toFixed(2)}g`]
+        ];
+
+        const list = document.createElement('dl');
+        list.className = 'trip-stats-list';
+        for (const [label, value] of rows) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.append(term, detail);
+        }
+        return list;
+    }
+
+    /**
+     * Stacked bar of time per Autopilot state, with a legend
+     */
+    renderAutopilotSplit(timeByState) {
+        const total = Object.values(timeByState).reduce((a, b) => a + b, 0);
+        const section = this.renderSection('Autopilot');
+
+        const bar = document.createElement('div');
+        bar.className = 'trip-stats-bar';
+        const legend = document.createElement('ul');
+        legend.className = 'trip-stats-legend';
+
+        for (const [state, seconds] of Object.entries(timeByState)) {
+            if (seconds <= 0 || total <= 0) continue;
+
+            const color = AUTOPILOT_COLORS[state] || AUTOPILOT_COLORS.OFF;
+            const part = document.createElement('span');
+            part.style.width = `${(seconds / total) * 100}%`;
+            part.style.backgroundColor = color;
+            part.title = `${state}: ${TripStatsPanel.formatDuration(seconds)}`;
+            bar.appendChild(part);
+
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'trip-stats-swatch';
+            swatch.style.backgroundColor = color;
+            item.append(swatch, `${state} ${TripStatsPanel.formatDuration(seconds)} (${Math.round((seconds / total) * 100)}%)`);
+            legend.appendChild(item);
+        }
+
+        section.append(bar, legend);
+        return section;
+    }
+
+    /**
+     * Bar chart of moving time per speed bin
+     */
+    renderHistogram({ unit, binSize, seconds }) {
+        const section = this.renderSection(`Speed (${unit})`);
+        if (seconds.length === 0) {
+            section.appendChild(document.createTextNode('Not moving'));
+            return section;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'trip-stats-histogram';
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', `Time spent per ${binSize} ${unit} speed range`);
+        section.appendChild(canvas);
+
+        // Size after layout so the bars fill the panel width
+        requestAnimationFrame(() => {
+            const dpr = window.devicePixelRatio || 1;
+            const width = canvas.clientWidth || 240;
+            canvas.width = width * dpr;
+            canvas.height = HISTOGRAM_HEIGHT * dpr;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(dpr, dpr);
+            this.drawHistogram(ctx, width, seconds, binSize);
+        });
+        return section;
+    }
+
+    drawHistogram(ctx, width, seconds, binSize) {
+        const labelHeight = 14;
+        const chartHeight = HISTOGRAM_HEIGHT - labelHeight;
+        const max = Math.max(...seconds);
+        const barWidth = width / seconds.length;
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        seconds.forEach((value, i) => {
+            const height = max > 0 ? (value / max) * (chartHeight - 2) : 0;
+            ctx.fillStyle = HISTOGRAM_COLOR;
+            ctx.fillRect(i * barWidth + 1, chartHeight - height, Math.max(barWidth - 2, 1), height);
+
+            // Label every bin when they fit, otherwise every other one
+            if (barWidth >= 20 || i % 2 === 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+                ctx.fillText(String(i * binSize), i * barWidth + barWidth / 2, HISTOGRAM_HEIGHT - 2);
+            }
+        });
+    }
+
+    /**
+     * Count of each detected event type
+     */
+    renderEventCounts(eventCounts, eventTypes) {
+        const section = this.renderSection('Events');
+        const entries = Object.entries(eventCounts);
+        if (entries.length === 0) {
+            section.appendChild(document.createTextNode('None detected'));
+            return section;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'trip-stats-legend';
+        for (const [type, count] of entries.sort((a, b) => b[1] - a[1])) {
+            const eventType = eventTypes[type] || {};
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'trip-stats-swatch';
+            swatch.style.backgroundColor = eventType.color || AUTOPILOT_COLORS.OFF;
+            item.append(swatch, `${eventType.label || (type === 'autopilotChange' ? 'Autopilot Changes' : type)}: ${count}`);
+            list.appendChild(item);
+        }
+        section.appendChild(list);
+        return section;
+    }
+
+    renderSection(title) {
+        const section = document.createElement('div');
+        section.className = 'trip-stats-section';
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        section.appendChild(heading);
+        return section;
+    }
+
+    /**
+     * Format seconds as "1h 02m", "3m 05s" or "12s"
+     */
+    static formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+        if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+        return `${s}s`;
+    }
+}
@@ -0,0 +1,386 @@
+/**
+ * Video Exporter Module
+ * Renders video frames with the telemetry overlay burned in and records them to a downloadable file
+ */
+
+import { TelemetryDecoder } from './telemetry-decoder.js';
+import { VideoPlayer } from './video-player.js';
+import { drawAccelerationIndicator } from './acceleration-indicator.js';
+
+// Recording formats in order of preference (MP4 where the browser can record it)
+const MIME_CANDIDATES = [
+    'video/mp4;codecs=avc1',
+    'video/mp4',
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm'
+];
+
+const FRAME_RATE = 30;
+const VIDEO_BITS_PER_SECOND = 8000000;
+
+// Overlay layout is designed at 1280px width and scaled to the video
+const OVERLAY_REFERENCE_WIDTH = 1280;
+
+export class VideoExporter {
+    constructor(telemetryDecoder) {
+        this.telemetryDecoder = telemetryDecoder;
+
+        this.video = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.recorder = null;
+        this.cancelled = false;
+        this._finishSpan = null;
+
+        this.speedUnit = 'mph';
+        this.startTime = null;
+
+        this.callbacks = {
+            onProgress: null
+        };
+    }
+
+    /**
+     * Get the best supported recording MIME type, or null if recording is unavailable
+     */
+    static getSupportedMimeType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
+        }
+        return MIME_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Check whether an export is running
+     */
+    isExporting() {
+        return this.video !== null;
+    }
+
+    /**
+     * Record range ({ start, end } in seconds of session time) with the overlay burned in.
+     * sources: [{ objectURL, offset, duration }] covering the timeline (one entry for a single clip).
+     * startTime is the recording start (Date) used for the on-screen clock, if known.
+     * Resolves with { blob, extension }, or null when cancelled.
+     */
+    async export(sources, range, { speedUnit = 'mph', startTime = null } = {}) {
+        const mimeType = VideoExporter.getSupportedMimeType();
+        if (!mimeType) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        if (this.isExporting()) {
+            throw new Error('A video export is already running');
+        }
+
+        const parts = sources.filter(source =>
+            source.offset < range.end && source.offset + source.duration > range.start
+        );
+        if (parts.length === 0) {
+            throw new Error('Selected range contains no video');
+        }
+
+        this.cancelled = false;
+        this.speedUnit = speedUnit;
+        this.startTime = startTime;
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        const chunks = [];
+
+        try {
+            for (let i = 0; i < parts.length && !this.cancelled; i++) {
+                const part = parts[i];
+                await this.loadSource(part.objectURL);
+
+                if (i === 0) {
+                    this.canvas.width = this.video.videoWidth;
+                    this.canvas.height = this.video.videoHeight;
+                    this.recorder = new MediaRecorder(this.canvas.captureStream(FRAME_RATE), {
+                        mimeType,
+                        videoBitsPerSecond: VIDEO_BITS_PER_SECOND
+                    });
+                    this.recorder.ondataavailable = (e) => {
+                        if (e.data.size > 0) chunks.push(e.data);
+                    };
+                }
+
+                const localStart = Math.max(range.start - part.offset, 0);
+                const localEnd = Math.min(range.end - part.offset, part.duration);
+                await this.seekTo(localStart);
+                this.renderFrame(part.offset + localStart);
+
+                // Pause recording while the next clip loads so the gap is not captured
+                if (this.recorder.state === 'inactive') {
+                    this.recorder.start(1000);
+                } else {
+                    this.recorder.resume();
+                }
+
+                await this.recordSpan(part.offset, localEnd, range);
+                this.recorder.pause();
+            }
+
+            await this.stopRecorder();
+            if (this.cancelled) return null;
+
+            const type = mimeType.split(';')[0];
+            return {
+                blob: new Blob(chunks, { type }),
+                extension: type === 'video/mp4' ? 'mp4' : 'webm'
+            };
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Load a clip into the offscreen video element
+     */
+    loadSource(objectURL) {
+        return new Promise((resolve, reject) => {
+            const video = this.video;
+            const onLoaded = () => {
+                video.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                video.removeEventListener('loadeddata', onLoaded);
+                reject(new Error('Failed to load video for export'));
+            };
+            video.addEventListener('loadeddata', onLoaded, { once: true });
+            video.addEventListener('error', onError, { once: true });
+            video.src = objectURL;
+        });
+    }
+
+    /**
+     * Seek the offscreen video and wait for the frame to be available
+     */
+    seekTo(time) {
+        return new Promise((resolve) => {
+            this.video.addEventListener('seeked', () => resolve(), { once: true });
+            this.video.currentTime = time;
+        });
+    }
+
+    /**
+     * Play the loaded clip until localEnd, drawing every frame.
+     * offset maps clip time to session time.
+     */
+    recordSpan(offset, localEnd, range) {
+        const video = this.video;
+
+        return new Promise((resolve, reject) => {
+            let finished = false;
+            const finish = () => {
+                if (finished) return;
+                finished = true;
+                video.pause();
+                video.removeEventListener('ended', finish);
+                this._finishSpan = null;
+                resolve();
+            };
+
+            // Prefer per-frame callbacks; fall back to animation frames
+            const schedule = () => {
+                if (video.requestVideoFrameCallback) {
+                    video.requestVideoFrameCallback(onFrame);
+                } else {
+                    requestAnimationFrame(onFrame);
+                }
+            };
+
+            const onFrame = () => {
+                if (finished) return;
+                if (this.cancelled) {
+                    finish();
+                    return;
+                }
+
+                const time = offset + video.currentTime;
+                this.renderFrame(time);
+                this.reportProgress((time - range.start) / (range.end - range.start));
+
+                if (video.currentTime >= localEnd) {
+                    finish();
+                } else {
+                    schedule();
+                }
+            };
+
+            // Lets cancel() end the span even when no further frames arrive
+            this._finishSpan = finish;
+
+            video.addEventListener('ended', finish);
+            video.play().then(schedule).catch((error) => {
+                finished = true;
+                video.removeEventListener('ended', finish);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Stop the recorder and wait for the final data chunk
+     */
+    stopRecorder() {
+        return new Promise((resolve) => {
+            if (!this.recorder || this.recorder.state === 'inactive') {
+                resolve();
+                return;
+            }
+            this.recorder.addEventListener('stop', () => resolve(), { once: true });
+            this.recorder.stop();
+        });
+    }
+
+    /**
+     * Draw the current video frame with the telemetry overlay for session time
+     */
+    renderFrame(time) {
+        const { ctx, canvas } = this;
+        ctx.drawImage(this.video, 0, 0, canvas.width, canvas.height);
+
+        const telemetry = this.telemetryDecoder.hasTelemetry()
+            ? this.telemetryDecoder.getTelemetryAtTime(time)
+            : null;
+        this.drawOverlay(telemetry, time);
+    }
+
+    /**
+     * Draw the dashboard panel (speed, gear, autopilot, steering, pedals, signals, G-force)
+     */
+    drawOverlay(telemetry, time) {
+        const { ctx, canvas } = this;
+        const s = canvas.width / OVERLAY_REFERENCE_WIDTH;
+
+        const panelWidth = 360 * s;
+        const panelHeight = telemetry ? 170 * s : 40 * s;
+        const x = 16 * s;
+        const y = canvas.height - panelHeight - 16 * s;
+
+        ctx.save();
+
+        // Panel background
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.beginPath();
+        ctx.roundRect(x, y, panelWidth, panelHeight, 10 * s);
+        ctx.fill();
+
+        // Clock: wall time when the recording start is known, otherwise video time
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = `${14 * s}px sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        const clock = this.startTime
+            ? new Date(this.startTime.getTime() + time * 1000).toLocaleString()
+            : VideoPlayer.formatTime(time);
+        ctx.fillText(clock, x + 12 * s, y + 12 * s);
+
+        if (!telemetry) {
+            ctx.restore();
+            return;
+        }
+
+        // Speed
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${56 * s}px sans-serif`;
+        ctx.fillText(String(TelemetryDecoder.formatSpeed(telemetry.speed, this.speedUnit)), x + 12 * s, y + 34 * s);
+        ctx.font = `${14 * s}px sans-serif`;
+        ctx.fillText(this.speedUnit, x + 12 * s, y + 94 * s);
+
+        // Gear, autopilot and steering
+        ctx.font = `bold ${18 * s}px sans-serif`;
+        ctx.fillText(telemetry.gear.name, x + 110 * s, y + 38 * s);
+        ctx.fillStyle = telemetry.autopilot.isActive ? '#4da3ff' : 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(telemetry.autopilot.name, x + 140 * s, y + 38 * s);
+        ctx.fillStyle = '#fff';
+        ctx.font = `${16 * s}px sans-serif`;
+        ctx.fillText(`Steering ${TelemetryDecoder.formatSteeringAngle(telemetry.steeringAngle)}`, x + 110 * s, y + 66 * s);
+
+        // Turn signals
+        ctx.font = `${20 * s}px sans-serif`;
+        ctx.fillStyle = telemetry.turnSignals.left ? '#28a745' : 'rgba(255, 255, 255, 0.2)';
+        ctx.fillText('◄', x + 110 * s, y + 90 * s);
+        ctx.fillStyle = telemetry.turnSignals.right ? '#28a745' : 'rgba(255, 255, 255, 0.2)';
+        ctx.fillText('►', x + 140 * s, y + 90 * s);
+
+        // Pedal bars
+        const bars = [
+            { label: 'Accel', value: telemetry.accelerator / 100, color: '#28a745' },
+            { label: 'Brake', value: telemetry.brake ? 1 : 0, color: '#dc3545' },
+            { label: 'Regen', value: telemetry.regenBraking ? 1 : 0, color: '#00bcd4' }
+        ];
+        ctx.font = `${12 * s}px sans-serif`;
+        bars.forEach((bar, i) => {
+            const barY = y + (120 + i * 16) * s;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillText(bar.label, x + 12 * s, barY);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(x + 60 * s, barY + 2 * s, 170 * s, 8 * s);
+            ctx.fillStyle = bar.color;
+            ctx.fillRect(x + 60 * s, barY + 2 * s, 170 * s * Math.min(Math.max(bar.value, 0), 1), 8 * s);
+        });
+
+        // G-force circle
+        const radius = 50 * s;
+        const centerX = x + panelWidth - radius - 16 * s;
+        const centerY = y + 20 * s + radius;
+        const accelMagnitude = drawAccelerationIndicator(ctx, telemetry.acceleration, centerX, centerY, radius, s);
+        ctx.fillStyle = '#fff';
+        ctx.font = `${14 * s}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.fillText(`${(accelMagnitude / 9.8).toFixed(2)}g`, centerX, centerY + radius + 10 * s);
+
+        ctx.restore();
+    }
+
+    /**
+     * Report progress (0-1) to the registered callback
+     */
+    reportProgress(fraction) {
+        if (this.callbacks.onProgress) {
+            this.callbacks.onProgress(Math.min(Math.max(fraction, 0), 1));
+        }
+    }
+
+    /**
+     * Register callback for export progress
+     */
+    onProgress(callback) {
+        this.callbacks.onProgress = callback;
+    }
+
+    /**
+     * Cancel a running export
+     */
+    cancel() {
+        this.cancelled = true;
+        if (this._finishSpan) {
+            this._finishSpan();
+        }
+    }
+
+    /**
+     * Release the offscreen video, canvas and recorder
+     */
+    cleanup() {
+        if (this.video) {
+            this.video.pause();
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.video = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.recorder = null;
+    }
+}
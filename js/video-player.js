@@ -13,6 +13,8 @@ export class VideoPlayer {
         this.callbacks = {
             onLoadedMetadata: null,
             onTimeUpdate: null,
+            onFrame: null,
+            onSegmentChange: null,
             onError: null
         };
 
@@ -20,6 +22,16 @@ export class VideoPlayer {
         this.duration = 0;
         this.isPlaying = false;
 
+        // Drive session: consecutive clips played back as one virtual timeline.
+        // Each segment is { objectURL, offset, duration, ... } with offset/duration in seconds.
+        this.segments = [];
+        this.segmentIndex = -1;
+        this._switchingSegment = false;
+
+        // Per-frame render loop (requestVideoFrameCallback, or requestAnimationFrame fallback)
+        this._frameHandle = null;
+        this._useVideoFrameCallback = 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
         this.setupEventListeners();
     }
 
@@ -29,7 +41,13 @@ export class VideoPlayer {
     setupEventListeners() {
         // Metadata loaded (duration, dimensions available)
         this.videoElement.addEventListener('loadedmetadata', () => {
-            this.duration = this.videoElement.duration;
+            // Session segments share the total duration; only report metadata for the first load
+            if (this.segments.length > 0) {
+                if (this._switchingSegment) return;
+            } else {
+                this.duration = this.videoElement.duration;
+            }
+
             if (this.callbacks.onLoadedMetadata) {
                 this.callbacks.onLoadedMetadata({
                     duration: this.duration,
@@ -42,7 +60,7 @@ export class VideoPlayer {
 
         // Time update (fires during playback)
         this.videoElement.addEventListener('timeupdate', () => {
-            this.currentTime = this.videoElement.currentTime;
+            this.currentTime = this.getSegmentOffset() + this.videoElement.currentTime;
 
             if (this.callbacks.onTimeUpdate) {
                 this.callbacks.onTimeUpdate({
@@ -53,9 +71,15 @@ export class VideoPlayer {
             }
         });
 
+        // Report the frame shown after a seek (also while paused)
+        this.videoElement.addEventListener('seeked', () => {
+            this._emitFrame(this.videoElement.currentTime);
+        });
+
         // Play event
         this.videoElement.addEventListener('play', () => {
             this.isPlaying = true;
+            this._scheduleFrame();
             if (this.callbacks.onPlay) {
                 this.callbacks.onPlay();
             }
@@ -71,6 +95,13 @@ export class VideoPlayer {
 
         // Ended event
         this.videoElement.addEventListener('ended', () => {
+            // Advance to the next clip of a drive session
+            if (this.segmentIndex >= 0 && this.segmentIndex < this.segments.length - 1) {
+                this.loadSegment(this.segmentIndex + 1, 0, true)
+                    .catch(error => this.callbacks.onError?.(error));
+                return;
+            }
+
             this.isPlaying = false;
             if (this.callbacks.onEnded) {
                 this.callbacks.onEnded();
@@ -95,15 +126,186 @@ export class VideoPlayer {
 
     }
 
+    /**
+     * Request a callback for the next presented frame while playing
+     */
+    _scheduleFrame() {
+        if (this._frameHandle !== null) return;
+
+        if (this._useVideoFrameCallback) {
+            // mediaTime is the exact presentation time of the frame being shown
+            this._frameHandle = this.videoElement.requestVideoFrameCallback((now, metadata) => {
+                this._frameHandle = null;
+                this._emitFrame(metadata.mediaTime);
+                if (this.isPlaying) this._scheduleFrame();
+            });
+        } else {
+            this._frameHandle = requestAnimationFrame(() => {
+                this._frameHandle = null;
+                this._emitFrame(this.videoElement.currentTime);
+                if (this.isPlaying) this._scheduleFrame();
+            });
+        }
+    }
+
+    /**
+     * Cancel a pending frame callback
+     */
+    _cancelFrame() {
+        if (this._frameHandle === null) return;
+
+        if (this._useVideoFrameCallback) {
+            this.videoElement.cancelVideoFrameCallback(this._frameHandle);
+        } else {
+            cancelAnimationFrame(this._frameHandle);
+        }
+        this._frameHandle = null;
+    }
+
+    /**
+     * Notify frame listeners with the session time of the presented frame
+     */
+    _emitFrame(mediaTime) {
+        // Frames of the outgoing clip are stale while a session segment is switching
+        if (this._switchingSegment) return;
+
+        const currentTime = this.getSegmentOffset() + mediaTime;
+        this.currentTime = currentTime;
+
+        if (this.callbacks.onFrame) {
+            this.callbacks.onFrame({
+                currentTime,
+                mediaTime,
+                duration: this.duration
+            });
+        }
+    }
+
     /**
      * Load video from object URL
      */
     loadVideo(objectURL) {
+        this.segments = [];
+        this.segmentIndex = -1;
+        return this.setSource(objectURL);
+    }
+
+    /**
+     * Load consecutive clips as one drive session.
+     * Segments need a known duration (see probeDuration); offsets are computed here.
+     */
+    async loadSegments(segments) {
+        let offset = 0;
+        this.segments = segments.map(segment => {
+            const entry = { ...segment, offset };
+            offset += segment.duration;
+            return entry;
+        });
+        this.segmentIndex = -1;
+        this.duration = offset;
+
+        await this.loadSegment(0);
+
+        return {
+            duration: this.duration,
+            width: this.videoElement.videoWidth,
+            height: this.videoElement.videoHeight
+        };
+    }
+
+    /**
+     * Switch to a session segment, optionally seeking within it and resuming playback
+     */
+    async loadSegment(index, localTime = 0, resume = false) {
+        const segment = this.segments[index];
+        if (!segment) return;
+
+        const isInitialLoad = this.segmentIndex === -1;
+        this.segmentIndex = index;
+        this._switchingSegment = !isInitialLoad;
+
+        try {
+            await this.setSource(segment.objectURL, isInitialLoad);
+        } finally {
+            this._switchingSegment = false;
+        }
+
+        if (localTime > 0) {
+            this.videoElement.currentTime = Math.min(localTime, this.videoElement.duration);
+        }
+        this.currentTime = segment.offset + this.videoElement.currentTime;
+
+        if (this.callbacks.onSegmentChange) {
+            this.callbacks.onSegmentChange({ index, segment });
+        }
+
+        if (resume) {
+            this.play();
+        }
+    }
+
+    /**
+     * Get the session segment containing a (virtual) time
+     */
+    getSegmentIndexAtTime(time) {
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            if (time >= this.segments[i].offset) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get start offset of the current segment (0 outside drive sessions)
+     */
+    getSegmentOffset() {
+        const segment = this.segments[this.segmentIndex];
+        return segment ? segment.offset : 0;
+    }
+
+    /**
+     * Read the duration of a video without attaching it to the player
+     */
+    static probeDuration(objectURL) {
+        return new Promise((resolve, reject) => {
+            const probe = document.createElement('video');
+            probe.preload = 'metadata';
+            probe.muted = true;
+
+            const cleanup = () => {
+                probe.removeAttribute('src');
+                probe.load();
+            };
+
+            probe.addEventListener('loadedmetadata', () => {
+                const duration = probe.duration;
+                cleanup();
+                resolve(duration);
+            }, { once: true });
+
+            probe.addEventListener('error', () => {
+                cleanup();
+                reject(new Error('Failed to read video duration'));
+            }, { once: true });
+
+            probe.src = objectURL;
+        });
+    }
+
+    /**
+     * Set video source and wait for its metadata
+     */
+    setSource(objectURL, resetState = true) {
         return new Promise((resolve, reject) => {
             // Reset video state
             this.videoElement.pause();
-            this.currentTime = 0;
-            this.duration = 0;
+            if (resetState) {
+                this.currentTime = 0;
+                if (this.segments.length === 0) {
+                    this.duration = 0;
+                }
+            }
 
             // Set video source
             this.videoElement.src = objectURL;
@@ -191,8 +393,23 @@ export class VideoPlayer {
      */
     seek(time) {
         if (!isFinite(time)) return;
-        if (time >= 0 && time <= this.duration) {
+        if (time < 0 || time > this.duration) return;
+
+        if (this.segments.length === 0) {
             this.videoElement.currentTime = time;
+            return;
+        }
+
+        // Drive session: translate to the segment containing the time
+        const index = this.getSegmentIndexAtTime(time);
+        const localTime = time - this.segments[index].offset;
+        this.currentTime = time;
+
+        if (index === this.segmentIndex) {
+            this.videoElement.currentTime = localTime;
+        } else {
+            this.loadSegment(index, localTime, this.isPlaying)
+                .catch(error => this.callbacks.onError?.(error));
         }
     }
 
@@ -248,6 +465,21 @@ export class VideoPlayer {
         this.callbacks.onTimeUpdate = callback;
     }
 
+    /**
+     * Register callback for every presented frame ({ currentTime, mediaTime, duration }).
+     * Fires at the video frame rate while playing and once after each seek.
+     */
+    onFrame(callback) {
+        this.callbacks.onFrame = callback;
+    }
+
+    /**
+     * Register callback for drive session segment changes
+     */
+    onSegmentChange(callback) {
+        this.callbacks.onSegmentChange = callback;
+    }
+
     /**
      * Register callback for error event
      */
@@ -275,8 +507,11 @@ export class VideoPlayer {
      */
     reset() {
         this.pause();
+        this._cancelFrame();
         this.videoElement.src = '';
         this.currentTime = 0;
         this.duration = 0;
+        this.segments = [];
+        this.segmentIndex = -1;
     }
 }
@@ -2,38 +2,76 @@
  * Tesla Dashcam MP4 Parser
  * Parses MP4 files and extracts SEI metadata from Tesla dashcam footage.
  */
+// Boxes whose contents are only child boxes (expanded in diagnostics box trees)
+const DIAGNOSTIC_CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'dinf', 'mvex', 'moof', 'traf', 'udta'];
+const MAX_DIAGNOSTIC_ERRORS = 50;
+
+const H264_NAL_NAMES = { 1: 'slice', 5: 'IDR slice', 6: 'SEI', 7: 'SPS', 8: 'PPS', 9: 'AUD', 12: 'filler' };
+const HEVC_NAL_NAMES = {
+    0: 'TRAIL_N', 1: 'TRAIL_R', 19: 'IDR_W_RADL', 20: 'IDR_N_LP', 21: 'CRA',
+    32: 'VPS', 33: 'SPS', 34: 'PPS', 35: 'AUD', 39: 'prefix SEI', 40: 'suffix SEI'
+};
+
 class DashcamMP4 {
     constructor(buffer) {
         this.buffer = buffer;
         this.view = new DataView(buffer);
         this._config = null;
+        this._track = null;
+        this._fragments = null;
     }
 
     // -------------------------------------------------------------
     // MP4 Box Navigation
     // -------------------------------------------------------------
 
-    /** Find a box by name within a range */
-    findBox(start, end, name) {
+    /**
+     * List boxes within a range ({ type, boxStart, start, end, size }; start/end bound the contents).
+     * Stops at a corrupt header instead of looping on it.
+     */
+    listBoxes(start, end) {
+        const boxes = [];
         for (let pos = start; pos + 8 <= end;) {
             let size = this.view.getUint32(pos);
             const type = this.readAscii(pos + 4, 4);
             const headerSize = size === 1 ? 16 : 8;
 
             if (size === 1) {
+                if (pos + 16 > end) break;
                 const high = this.view.getUint32(pos + 8);
                 const low = this.view.getUint32(pos + 12);
                 size = Number((BigInt(high) << 32n) | BigInt(low));
             } else if (size === 0) {
                 size = end - pos;
             }
+            if (size < headerSize) break;
 
-            if (type === name) {
-                return { start: pos + headerSize, end: pos + size, size: size - headerSize };
-            }
+            const boxEnd = Math.min(pos + size, end);
+            boxes.push({ type, boxStart: pos, start: pos + headerSize, end: boxEnd, size: boxEnd - pos - headerSize });
             pos += size;
         }
-        throw new Error(`Box "${name}" not found`);
+        return boxes;
+    }
+
+    /** Find a box by name within a range, or null */
+    findBoxOrNull(start, end, name) {
+        return this.listBoxes(start, end).find(box => box.type === name) || null;
+    }
+
+    /** Find a box by name within a range */
+    findBox(start, end, name) {
+        const box = this.findBoxOrNull(start, end, name);
+        if (!box) throw new Error(`Box "${name}" not found`);
+        return box;
+    }
+
+    /** Find a nested box by path (e.g. ['mdia', 'minf', 'stbl']), or null */
+    findPath(box, path) {
+        for (const name of path) {
+            if (!box) return null;
+            box = this.findBoxOrNull(box.start, box.end, name);
+        }
+        return box;
     }
 
     /** Find mdat box and return content location */
@@ -50,25 +88,12 @@ class DashcamMP4 {
     getConfig() {
         if (this._config) return this._config;
 
-        const moov = this.findBox(0, this.view.byteLength, 'moov');
-        const trak = this.findBox(moov.start, moov.end, 'trak');
-        const mdia = this.findBox(trak.start, trak.end, 'mdia');
-        const minf = this.findBox(mdia.start, mdia.end, 'minf');
-        const stbl = this.findBox(minf.start, minf.end, 'stbl');
-        const stsd = this.findBox(stbl.start, stbl.end, 'stsd');
-        const avc1 = this.findBox(stsd.start + 8, stsd.end, 'avc1');
-        const avcC = this.findBox(avc1.start + 78, avc1.end, 'avcC');
+        const { trak, mdia, stbl, entry, trackId } = this.getVideoTrack();
 
-        const o = avcC.start;
-        const codec = `avc1.${this.hex(this.view.getUint8(o + 1))}${this.hex(this.view.getUint8(o + 2))}${this.hex(this.view.getUint8(o + 3))}`;
-
-        // Extract SPS/PPS
-        let p = o + 6;
-        const spsLen = this.view.getUint16(p);
-        const sps = new Uint8Array(this.buffer.slice(p + 2, p + 2 + spsLen));
-        p += 2 + spsLen + 1;
-        const ppsLen = this.view.getUint16(p);
-        const pps = new Uint8Array(this.buffer.slice(p + 2, p + 2 + ppsLen));
+        // Codec string and parameter sets from avcC (H.264) or hvcC (H.265)
+        const params = entry.hevc
+            ? this.readHvcC(this.findBox(entry.start + 78, entry.end, 'hvcC'), entry.type)
+            : this.readAvcC(this.findBox(entry.start + 78, entry.end, 'avcC'), entry.type);
 
         // Get timescale from mdhd (ticks per second, used to convert stts deltas to ms)
         const mdhd = this.findBox(mdia.start, mdia.end, 'mdhd');
@@ -77,27 +102,359 @@ class DashcamMP4 {
             ? this.view.getUint32(mdhd.start + 20)
             : this.view.getUint32(mdhd.start + 12);
 
-        // Get frame durations from stts (delta ticks per frame -> converted to ms)
-        const stts = this.findBox(stbl.start, stbl.end, 'stts');
-        const entryCount = this.view.getUint32(stts.start + 4);
+        // Get frame durations from stts (delta ticks per frame -> converted to ms).
+        // Fragmented files have an empty stts; their timing comes from moof/trun below.
+        const stts = this.findBoxOrNull(stbl.start, stbl.end, 'stts');
+        const entryCount = stts ? this.view.getUint32(stts.start + 4) : 0;
         const durations = [];
-        let pos = stts.start + 8;
+        const deltas = [];
+        let pos = stts ? stts.start + 8 : 0;
         for (let i = 0; i < entryCount; i++) {
             const count = this.view.getUint32(pos);
             const delta = this.view.getUint32(pos + 4);
             const ms = (delta / timescale) * 1000;
-            for (let j = 0; j < count; j++) durations.push(ms);
+            for (let j = 0; j < count; j++) { durations.push(ms); deltas.push(delta); }
             pos += 8;
         }
 
-        this._config = {
-            width: this.view.getUint16(avc1.start + 24),
-            height: this.view.getUint16(avc1.start + 26),
-            codec, sps, pps, timescale, durations
+        // Presentation time of each sample (decode order, ms): decode time + ctts offset - edit list start
+        const compositionOffsets = this.readCompositionOffsets(stbl, deltas.length);
+        const mediaStart = this.readEditMediaTime(trak);
+        const presentationTimes = new Array(deltas.length);
+        let decodeTime = 0;
+        for (let i = 0; i < deltas.length; i++) {
+            presentationTimes[i] = ((decodeTime + compositionOffsets[i] - mediaStart) / timescale) * 1000;
+            decodeTime += deltas[i];
+        }
+
+        // mediaStart and decodeEnd (ticks) let fragments found later extend the timing
+        const config = {
+            width: this.view.getUint16(entry.start + 24),
+            height: this.view.getUint16(entry.start + 26),
+            codecType: entry.hevc ? 'hevc' : 'h264',
+            ...params, trackId, timescale, durations, presentationTimes,
+            mediaStart, decodeEnd: decodeTime
         };
+        for (const fragment of this.getFragments(trackId)) {
+            DashcamMP4.appendFragment(config, fragment);
+        }
+
+        this._config = config;
         return this._config;
     }
 
+    /**
+     * Find the video track: the first trak with a 'vide' handler and an H.264/H.265 sample entry.
+     * Audio, data or metadata tracks may come first. Returns { trak, mdia, stbl, entry, trackId }.
+     */
+    getVideoTrack() {
+        if (this._track) return this._track;
+
+        const moov = this.findBox(0, this.view.byteLength, 'moov');
+        for (const trak of this.listBoxes(moov.start, moov.end)) {
+            if (trak.type !== 'trak') continue;
+
+            const mdia = this.findPath(trak, ['mdia']);
+            const hdlr = this.findPath(mdia, ['hdlr']);
+            if (!hdlr || this.readAscii(hdlr.start + 8, 4) !== 'vide') continue;
+
+            const stbl = this.findPath(mdia, ['minf', 'stbl']);
+            const stsd = this.findPath(stbl, ['stsd']);
+            const entry = stsd && this.findSampleEntry(stsd);
+            if (!entry) continue;
+
+            const tkhd = this.findPath(trak, ['tkhd']);
+            const trackId = tkhd
+                ? this.view.getUint32(tkhd.start + (this.view.getUint8(tkhd.start) === 1 ? 20 : 12))
+                : null;
+
+            this._track = { trak, mdia, stbl, entry, trackId };
+            return this._track;
+        }
+        throw new Error('No H.264 or H.265 video track found');
+    }
+
+    /** Copy of the video track's stsd box, header included */
+    getSampleDescription() {
+        const { stbl } = this.getVideoTrack();
+        const stsd = this.findBox(stbl.start, stbl.end, 'stsd');
+        return new Uint8Array(this.buffer.slice(stsd.boxStart, stsd.end));
+    }
+
+    /** Find the first H.264 (avc1/avc3) or H.265 (hvc1/hev1) sample entry in stsd, or null */
+    findSampleEntry(stsd) {
+        for (const box of this.listBoxes(stsd.start + 8, stsd.end)) {
+            if (['avc1', 'avc3', 'hvc1', 'hev1'].includes(box.type)) {
+                return { ...box, hevc: box.type === 'hvc1' || box.type === 'hev1' };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sample locations of the video track in decode order ({ offsets, sizes, keyframes }, absolute
+     * file offsets) from stsz, stsc, stco/co64 and stss. Empty when the tables are missing (fragmented files).
+     */
+    getSampleTable() {
+        const { stbl } = this.getVideoTrack();
+        const table = { offsets: [], sizes: [], keyframes: [] };
+
+        const stsz = this.findBoxOrNull(stbl.start, stbl.end, 'stsz');
+        const stsc = this.findBoxOrNull(stbl.start, stbl.end, 'stsc');
+        const stco = this.findBoxOrNull(stbl.start, stbl.end, 'stco');
+        const co64 = stco ? null : this.findBoxOrNull(stbl.start, stbl.end, 'co64');
+        if (!stsz || !stsc || !(stco || co64)) return table;
+
+        // Sample sizes (a non-zero sample_size means every sample has that size)
+        const fixedSize = this.view.getUint32(stsz.start + 4);
+        const sampleCount = this.view.getUint32(stsz.start + 8);
+        for (let i = 0; i < sampleCount; i++) {
+            table.sizes.push(fixedSize || this.view.getUint32(stsz.start + 12 + i * 4));
+        }
+
+        // Chunk offsets
+        const chunks = [];
+        const chunkBox = stco || co64;
+        const chunkCount = this.view.getUint32(chunkBox.start + 4);
+        for (let i = 0; i < chunkCount; i++) {
+            chunks.push(stco
+                ? this.view.getUint32(stco.start + 8 + i * 4)
+                : Number(this.view.getBigUint64(co64.start + 8 + i * 8)));
+        }
+
+        // Samples-per-chunk runs: each entry applies from first_chunk up to the next entry's first_chunk
+        const runCount = this.view.getUint32(stsc.start + 4);
+        let sample = 0;
+        for (let i = 0; i < runCount && sample < sampleCount; i++) {
+            const firstChunk = this.view.getUint32(stsc.start + 8 + i * 12);
+            const perChunk = this.view.getUint32(stsc.start + 12 + i * 12);
+            const nextChunk = i + 1 < runCount ? this.view.getUint32(stsc.start + 8 + (i + 1) * 12) : chunks.length + 1;
+
+            for (let chunk = firstChunk; chunk < nextChunk && chunk <= chunks.length; chunk++) {
+                let offset = chunks[chunk - 1];
+                for (let j = 0; j < perChunk && sample < sampleCount; j++) {
+                    table.offsets.push(offset);
+                    offset += table.sizes[sample++];
+                }
+            }
+        }
+        table.sizes.length = table.offsets.length;
+
+        // Sync samples (1-based); without stss every sample is a keyframe
+        const stss = this.findBoxOrNull(stbl.start, stbl.end, 'stss');
+        table.keyframes = new Array(table.offsets.length).fill(!stss);
+        if (stss) {
+            const syncCount = this.view.getUint32(stss.start + 4);
+            for (let i = 0; i < syncCount; i++) {
+                const index = this.view.getUint32(stss.start + 8 + i * 4) - 1;
+                if (index < table.keyframes.length) table.keyframes[index] = true;
+            }
+        }
+        return table;
+    }
+
+    /** Sample locations including fragments in this buffer ({ offsets, sizes, keyframes }, decode order) */
+    getSamples() {
+        const table = this.getSampleTable();
+        for (const fragment of this.getFragments(this.getVideoTrack().trackId)) {
+            DashcamMP4.appendFragmentSamples(table, fragment);
+        }
+        return table;
+    }
+
+    /** Add a fragment's sample locations and keyframe flags to a sample table */
+    static appendFragmentSamples(table, fragment) {
+        for (const sample of fragment.samples) {
+            table.offsets.push(sample.offset);
+            table.sizes.push(sample.size);
+            table.keyframes.push(sample.keyframe);
+        }
+    }
+
+    // -------------------------------------------------------------
+    // Fragmented MP4 (moof/traf/trun)
+    // -------------------------------------------------------------
+
+    /** Default sample duration/size/flags for a track from moov/mvex/trex ({ duration, size, flags }) */
+    readTrackDefaults(trackId) {
+        const defaults = { duration: 0, size: 0, flags: 0 };
+        const moov = this.findBoxOrNull(0, this.view.byteLength, 'moov');
+        const mvex = this.findPath(moov, ['mvex']);
+        if (!mvex) return defaults;
+
+        for (const trex of this.listBoxes(mvex.start, mvex.end)) {
+            if (trex.type === 'trex' && this.view.getUint32(trex.start + 4) === trackId) {
+                defaults.duration = this.view.getUint32(trex.start + 12);
+                defaults.size = this.view.getUint32(trex.start + 16);
+                defaults.flags = this.view.getUint32(trex.start + 20);
+            }
+        }
+        return defaults;
+    }
+
+    /** Parse every top-level moof in this buffer for the track (cached) */
+    getFragments(trackId) {
+        if (this._fragments) return this._fragments;
+
+        const defaults = this.readTrackDefaults(trackId);
+        this._fragments = this.listBoxes(0, this.view.byteLength)
+            .filter(box => box.type === 'moof')
+            .map(moof => this.readFragment(moof, trackId, defaults))
+            .filter(Boolean);
+        return this._fragments;
+    }
+
+    /**
+     * Parse the track's samples in a moof box:
+     * { baseDecodeTime, samples: [{ offset, size, duration, compositionOffset, keyframe }] }, or null if the track is absent.
+     * fileOffset is the file position of this buffer's first byte (for moof boxes read on their own).
+     */
+    readFragment(moof, trackId, defaults, fileOffset = 0) {
+        for (const traf of this.listBoxes(moof.start, moof.end)) {
+            if (traf.type !== 'traf') continue;
+
+            const tfhd = this.findBoxOrNull(traf.start, traf.end, 'tfhd');
+            if (!tfhd || (trackId !== null && this.view.getUint32(tfhd.start + 4) !== trackId)) continue;
+
+            // tfhd: optional base offset and per-fragment defaults, in flag order
+            const tfhdFlags = this.view.getUint32(tfhd.start) & 0xFFFFFF;
+            let p = tfhd.start + 8;
+            let baseOffset = fileOffset + moof.boxStart;
+            if (tfhdFlags & 0x1) { baseOffset = Number(this.view.getBigUint64(p)); p += 8; }
+            if (tfhdFlags & 0x2) p += 4; // sample_description_index
+            let defaultDuration = defaults.duration, defaultSize = defaults.size, defaultFlags = defaults.flags;
+            if (tfhdFlags & 0x8) { defaultDuration = this.view.getUint32(p); p += 4; }
+            if (tfhdFlags & 0x10) { defaultSize = this.view.getUint32(p); p += 4; }
+            if (tfhdFlags & 0x20) { defaultFlags = this.view.getUint32(p); p += 4; }
+
+            const tfdt = this.findBoxOrNull(traf.start, traf.end, 'tfdt');
+            const baseDecodeTime = !tfdt ? null : this.view.getUint8(tfdt.start) === 1
+                ? Number(this.view.getBigUint64(tfdt.start + 4))
+                : this.view.getUint32(tfdt.start + 4);
+
+            // Each trun continues where the previous one's data ended unless it has a data_offset
+            const samples = [];
+            let dataOffset = baseOffset;
+            for (const trun of this.listBoxes(traf.start, traf.end)) {
+                if (trun.type !== 'trun') continue;
+
+                const version = this.view.getUint8(trun.start);
+                const flags = this.view.getUint32(trun.start) & 0xFFFFFF;
+                const count = this.view.getUint32(trun.start + 4);
+                let q = trun.start + 8;
+                if (flags & 0x1) { dataOffset = baseOffset + this.view.getInt32(q); q += 4; }
+                let firstSampleFlags = null;
+                if (flags & 0x4) { firstSampleFlags = this.view.getUint32(q); q += 4; }
+
+                for (let i = 0; i < count && q <= trun.end; i++) {
+                    const sample = { offset: dataOffset, size: defaultSize, duration: defaultDuration, compositionOffset: 0 };
+                    let sampleFlags = i === 0 && firstSampleFlags !== null ? firstSampleFlags : defaultFlags;
+                    if (flags & 0x100) { sample.duration = this.view.getUint32(q); q += 4; }
+                    if (flags & 0x200) { sample.size = this.view.getUint32(q); q += 4; }
+                    if (flags & 0x400) { sampleFlags = this.view.getUint32(q); q += 4; }
+                    if (flags & 0x800) {
+                        sample.compositionOffset = version === 1 ? this.view.getInt32(q) : this.view.getUint32(q);
+                        q += 4;
+                    }
+                    sample.keyframe = (sampleFlags & 0x10000) === 0; // sample_is_non_sync_sample
+                    samples.push(sample);
+                    dataOffset += sample.size;
+                }
+            }
+            return { baseDecodeTime, samples };
+        }
+        return null;
+    }
+
+    /** Extend a config's durations and presentation times with a fragment's samples */
+    static appendFragment(config, fragment) {
+        const { timescale } = config;
+        let decodeTime = fragment.baseDecodeTime ?? config.decodeEnd;
+        for (const sample of fragment.samples) {
+            config.durations.push((sample.duration / timescale) * 1000);
+            config.presentationTimes.push(((decodeTime + sample.compositionOffset - config.mediaStart) / timescale) * 1000);
+            decodeTime += sample.duration;
+        }
+        config.decodeEnd = decodeTime;
+    }
+
+    /** Read codec string and SPS/PPS from an avcC box */
+    readAvcC(avcC, type) {
+        const o = avcC.start;
+        const codec = `${type}.${this.hex(this.view.getUint8(o + 1))}${this.hex(this.view.getUint8(o + 2))}${this.hex(this.view.getUint8(o + 3))}`;
+
+        let p = o + 6;
+        const spsLen = this.view.getUint16(p);
+        const sps = new Uint8Array(this.buffer.slice(p + 2, p + 2 + spsLen));
+        p += 2 + spsLen + 1;
+        const ppsLen = this.view.getUint16(p);
+        const pps = new Uint8Array(this.buffer.slice(p + 2, p + 2 + ppsLen));
+        const nalLengthSize = (this.view.getUint8(o + 4) & 0x3) + 1;
+        return { codec, sps, pps, nalLengthSize };
+    }
+
+    /** Read codec string (RFC 6381) and VPS/SPS/PPS from an hvcC box */
+    readHvcC(hvcC, type) {
+        const o = hvcC.start;
+        const codec = DashcamMP4.hevcCodecString(type, new Uint8Array(this.buffer, o + 1, 12));
+
+        // Parameter set arrays: NAL type 32 = VPS, 33 = SPS, 34 = PPS (first of each is kept)
+        const sets = {};
+        const arrayCount = this.view.getUint8(o + 22);
+        let p = o + 23;
+        for (let i = 0; i < arrayCount && p + 3 <= hvcC.end; i++) {
+            const nalType = this.view.getUint8(p) & 0x3F;
+            const count = this.view.getUint16(p + 1);
+            p += 3;
+            for (let j = 0; j < count; j++) {
+                const len = this.view.getUint16(p);
+                if (!sets[nalType]) sets[nalType] = new Uint8Array(this.buffer.slice(p + 2, p + 2 + len));
+                p += 2 + len;
+            }
+        }
+        const nalLengthSize = (this.view.getUint8(o + 21) & 0x3) + 1;
+        return { codec, vps: sets[32] || null, sps: sets[33] || null, pps: sets[34] || null, nalLengthSize };
+    }
+
+    /** Read per-sample composition offsets (ticks) from ctts; zeros if the box is absent */
+    readCompositionOffsets(stbl, sampleCount) {
+        const offsets = new Array(sampleCount).fill(0);
+        let ctts;
+        try { ctts = this.findBox(stbl.start, stbl.end, 'ctts'); } catch { return offsets; }
+
+        // Version 1 stores signed offsets
+        const signed = this.view.getUint8(ctts.start) === 1;
+        const entryCount = this.view.getUint32(ctts.start + 4);
+        let pos = ctts.start + 8, sample = 0;
+        for (let i = 0; i < entryCount && sample < sampleCount; i++) {
+            const count = this.view.getUint32(pos);
+            const offset = signed ? this.view.getInt32(pos + 4) : this.view.getUint32(pos + 4);
+            for (let j = 0; j < count && sample < sampleCount; j++) offsets[sample++] = offset;
+            pos += 8;
+        }
+        return offsets;
+    }
+
+    /** Read media start time (ticks) of the first non-empty edit in edts/elst; 0 if absent */
+    readEditMediaTime(trak) {
+        let elst;
+        try {
+            const edts = this.findBox(trak.start, trak.end, 'edts');
+            elst = this.findBox(edts.start, edts.end, 'elst');
+        } catch { return 0; }
+
+        const version = this.view.getUint8(elst.start);
+        const entryCount = this.view.getUint32(elst.start + 4);
+        const entrySize = version === 1 ? 20 : 12;
+        for (let i = 0, pos = elst.start + 8; i < entryCount; i++, pos += entrySize) {
+            const mediaTime = version === 1
+                ? Number(this.view.getBigInt64(pos + 8))
+                : this.view.getInt32(pos + 4);
+            if (mediaTime !== -1) return mediaTime; // -1 marks an empty edit
+        }
+        return 0;
+    }
+
     // -------------------------------------------------------------
     // Frame Parsing (for Video Playback)
     // -------------------------------------------------------------
@@ -109,6 +466,7 @@ class DashcamMP4 {
         const frames = [];
         let cursor = mdat.offset;
         const end = mdat.offset + mdat.size;
+        const hevc = config.codecType === 'hevc';
         let pendingSei = null, currentSps = config.sps, currentPps = config.pps;
 
         while (cursor + 4 <= end) {
@@ -116,16 +474,16 @@ class DashcamMP4 {
             cursor += 4;
             if (len < 1 || cursor + len > this.view.byteLength) break;
 
-            const type = this.view.getUint8(cursor) & 0x1F;
+            const nal = this.readNalHeader(cursor, len, hevc);
             const data = new Uint8Array(this.buffer.slice(cursor, cursor + len));
 
-            if (type === 7) currentSps = data; // SPS
-            else if (type === 8) currentPps = data; // PPS
-            else if (type === 6) pendingSei = this.decodeSei(data, SeiMetadata); // SEI
-            else if (type === 5 || type === 1) { // IDR or Slice
+            if (nal.kind === 'sps') currentSps = data;
+            else if (nal.kind === 'pps') currentPps = data;
+            else if (nal.kind === 'sei') pendingSei = this.decodeSei(data, SeiMetadata, nal.headerSize);
+            else if (nal.kind === 'slice') {
                 frames.push({
                     index: frames.length,
-                    keyframe: type === 5,
+                    keyframe: nal.keyframe,
                     data,
                     sei: pendingSei,
                     sps: currentSps,
@@ -145,6 +503,7 @@ class DashcamMP4 {
     /** Extract all SEI messages for CSV export */
     extractSeiMessages(SeiMetadata) {
         const mdat = this.findMdat();
+        const hevc = this.getConfig().codecType === 'hevc';
         const messages = [];
         let cursor = mdat.offset;
         const end = mdat.offset + mdat.size;
@@ -158,9 +517,10 @@ class DashcamMP4 {
                 continue;
             }
 
-            // NAL type 6 = SEI, payload type 5 = user data unregistered
-            if ((this.view.getUint8(cursor) & 0x1F) === 6 && this.view.getUint8(cursor + 1) === 5) {
-                const sei = this.decodeSei(new Uint8Array(this.buffer.slice(cursor, cursor + nalSize)), SeiMetadata);
+            // SEI with payload type 5 = user data unregistered
+            const nal = this.readNalHeader(cursor, nalSize, hevc);
+            if (nal.kind === 'sei' && this.view.getUint8(cursor + nal.headerSize) === 5) {
+                const sei = this.decodeSei(new Uint8Array(this.buffer.slice(cursor, cursor + nalSize)), SeiMetadata, nal.headerSize);
                 if (sei) messages.push(sei);
             }
             cursor += nalSize;
@@ -168,22 +528,438 @@ class DashcamMP4 {
         return messages;
     }
 
-    /** Decode SEI NAL unit to protobuf message */
-    decodeSei(nal, SeiMetadata) {
-        if (!SeiMetadata || nal.length < 4) return null;
+    /**
+     * Extract SEI messages with the index (decode order) of the frame each one precedes.
+     * A frame starts at a slice NAL with first_mb_in_slice = 0, so multi-slice pictures count once.
+     */
+    extractSeiWithFrames(SeiMetadata) {
+        const config = this.getConfig();
+        const hevc = config.codecType === 'hevc';
+        const out = { seiMessages: [], frameIndices: [] };
+
+        // Sample tables locate each frame exactly, skipping other tracks' data
+        const samples = this.getSamples();
+        if (samples.offsets.length > 0) {
+            for (let i = 0; i < samples.offsets.length; i++) {
+                const sei = this.scanSample(samples.offsets[i], samples.sizes[i], SeiMetadata, hevc, config.nalLengthSize);
+                if (sei) {
+                    out.seiMessages.push(sei);
+                    out.frameIndices.push(i);
+                }
+            }
+            return out;
+        }
+
+        const mdat = this.findMdat();
+        const end = Math.min(mdat.offset + mdat.size, this.view.byteLength);
+        this.scanNals(mdat.offset, end, SeiMetadata, { pendingSei: null, frameIndex: -1, hevc }, out);
+        return out;
+    }
+
+    /** Decode the telemetry SEI in one sample (access unit) at [start, start + size), or null */
+    scanSample(start, size, SeiMetadata, hevc, nalLengthSize = 4) {
+        const end = Math.min(start + size, this.view.byteLength);
+        let sei = null;
+
+        for (let cursor = start; cursor + nalLengthSize <= end;) {
+            let nalSize = 0;
+            for (let i = 0; i < nalLengthSize; i++) nalSize = nalSize * 256 + this.view.getUint8(cursor + i);
+            const nal = cursor + nalLengthSize;
+            if (nal + nalSize > end) break;
+
+            const header = this.readNalHeader(nal, nalSize, hevc);
+            if (header.kind === 'sei' && this.view.getUint8(nal + header.headerSize) === 5) {
+                sei = this.decodeSei(new Uint8Array(this.buffer.slice(nal, nal + nalSize)), SeiMetadata, header.headerSize) || sei;
+            }
+            cursor = nal + nalSize;
+        }
+        return sei;
+    }
+
+    /**
+     * Scan length-prefixed NAL units in [start, end), pushing SEI messages and frame indices to out.
+     * state ({ pendingSei, frameIndex, hevc }) carries across calls when scanning in chunks.
+     * Returns the bytes consumed; stops before a NAL unit that does not fit in the range.
+     */
+    scanNals(start, end, SeiMetadata, state, out) {
+        let cursor = start;
+
+        while (cursor + 4 <= end) {
+            const nalSize = this.view.getUint32(cursor);
+            if (cursor + 4 + nalSize > end) break;
+            const nal = cursor + 4;
+
+            const header = this.readNalHeader(nal, nalSize, state.hevc);
+            if (header.kind === 'sei' && this.view.getUint8(nal + header.headerSize) === 5) {
+                state.pendingSei = this.decodeSei(new Uint8Array(this.buffer.slice(nal, nal + nalSize)), SeiMetadata, header.headerSize) || state.pendingSei;
+            } else if (header.kind === 'slice' && header.firstSlice) {
+                state.frameIndex++;
+                if (state.pendingSei) {
+                    out.seiMessages.push(state.pendingSei);
+                    out.frameIndices.push(state.frameIndex);
+                    state.pendingSei = null;
+                }
+            }
+            cursor = nal + nalSize;
+        }
+        return cursor - start;
+    }
 
-        let i = 3;
+    /**
+     * Classify the NAL unit at pos ({ kind, headerSize, keyframe, firstSlice }).
+     * kind is 'sei', 'slice', 'vps', 'sps', 'pps', 'aud' or null. H.264 has a 1-byte header, H.265 a 2-byte one.
+     */
+    readNalHeader(pos, nalSize, hevc) {
+        const header = { kind: null, headerSize: hevc ? 2 : 1, keyframe: false, firstSlice: false };
+        if (nalSize <= header.headerSize) return header;
+
+        const next = this.view.getUint8(pos + header.headerSize);
+        if (hevc) {
+            const type = (this.view.getUint8(pos) >> 1) & 0x3F;
+            if (type === 39) header.kind = 'sei'; // prefix SEI
+            else if (type === 32) header.kind = 'vps';
+            else if (type === 33) header.kind = 'sps';
+            else if (type === 34) header.kind = 'pps';
+            else if (type === 35) header.kind = 'aud';
+            else if (type <= 31) { // VCL slice segment; 16-23 are IRAP pictures
+                header.kind = 'slice';
+                header.keyframe = type >= 16 && type <= 23;
+                header.firstSlice = (next & 0x80) !== 0; // first_slice_segment_in_pic_flag
+            }
+        } else {
+            const type = this.view.getUint8(pos) & 0x1F;
+            if (type === 6) header.kind = 'sei';
+            else if (type === 7) header.kind = 'sps';
+            else if (type === 8) header.kind = 'pps';
+            else if (type === 9) header.kind = 'aud';
+            else if (type === 1 || type === 5) { // Slice or IDR
+                header.kind = 'slice';
+                header.keyframe = type === 5;
+                header.firstSlice = (next & 0x80) !== 0; // ue(v) first_mb_in_slice == 0 is a single 1 bit
+            }
+        }
+        return header;
+    }
+
+    /** Decode SEI NAL unit to protobuf message (headerSize: 1 for H.264, 2 for H.265) */
+    decodeSei(nal, SeiMetadata, headerSize = 1) {
+        return this.inspectSei(nal, SeiMetadata, headerSize).message;
+    }
+
+    /**
+     * Decode SEI NAL unit and report the outcome (SeiMetadata may be the protobuf type or
+     * DashcamHelpers' seiDecoder, which also negotiates the schema version):
+     * { message, status: 'decoded' | 'not-tesla' | 'decode-error', error }
+     */
+    inspectSei(nal, SeiMetadata, headerSize = 1) {
+        if (!SeiMetadata) return { message: null, status: 'decode-error', error: 'Protobuf decoder not loaded' };
+
+        // Tesla payloads start (after NAL header, payload type and size) with 0x42 padding and a 0x69 marker
+        const start = headerSize + 2;
+        let i = start;
         while (i < nal.length && nal[i] === 0x42) i++;
-        if (i <= 3 || i + 1 >= nal.length || nal[i] !== 0x69) return null;
+        if (nal.length < start + 1 || i <= start || i + 1 >= nal.length || nal[i] !== 0x69) {
+            return { message: null, status: 'not-tesla', error: null };
+        }
 
         try {
-            return SeiMetadata.decode(this.stripEmulationBytes(nal.subarray(i + 1, nal.length - 1)));
-        } catch {
-            return null;
+            const message = SeiMetadata.decode(this.stripEmulationBytes(nal.subarray(i + 1, nal.length - 1)));
+            return { message, status: 'decoded', error: null };
+        } catch (error) {
+            return { message: null, status: 'decode-error', error: error.message };
+        }
+    }
+
+    // -------------------------------------------------------------
+    // Diagnostics
+    // -------------------------------------------------------------
+
+    /**
+     * Describe boxes in [start, end) as a tree ({ type, offset, size, children }).
+     * fileOffset is the file position of this buffer's first byte.
+     */
+    describeBoxes(start, end, fileOffset = 0) {
+        return this.listBoxes(start, end).map(box => {
+            const entry = { type: box.type, offset: fileOffset + box.boxStart, size: box.end - box.boxStart };
+
+            // Sample descriptions have a fixed header before their child boxes
+            let childStart = null;
+            if (DIAGNOSTIC_CONTAINER_BOXES.includes(box.type)) childStart = box.start;
+            else if (box.type === 'stsd') childStart = box.start + 8;
+            else if (['avc1', 'avc3', 'hvc1', 'hev1'].includes(box.type)) childStart = box.start + 78;
+
+            if (childStart !== null && childStart < box.end) {
+                entry.children = this.describeBoxes(childStart, box.end, fileOffset);
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Walk length-prefixed NAL units in [start, end), adding NAL types, SEI outcomes, telemetry versions
+     * and decode errors to a diagnostics report (see DashcamMP4Stream.diagnose).
+     * Returns the bytes consumed; stops before a NAL unit that does not fit in the range.
+     */
+    inspectNals(start, end, SeiMetadata, { hevc = false, nalLengthSize = 4, fileOffset = 0 }, report) {
+        let cursor = start;
+
+        while (cursor + nalLengthSize <= end) {
+            let nalSize = 0;
+            for (let i = 0; i < nalLengthSize; i++) nalSize = nalSize * 256 + this.view.getUint8(cursor + i);
+            const nal = cursor + nalLengthSize;
+            if (nal + nalSize > end) break;
+
+            if (nalSize > 0) {
+                const byte = this.view.getUint8(nal);
+                const type = hevc ? (byte >> 1) & 0x3F : byte & 0x1F;
+                const label = `${type} ${(hevc ? HEVC_NAL_NAMES : H264_NAL_NAMES)[type] || ''}`.trim();
+                report.nalTypes[label] = (report.nalTypes[label] || 0) + 1;
+            }
+
+            const header = this.readNalHeader(nal, nalSize, hevc);
+            if (header.kind === 'sei') {
+                report.sei.nalUnits++;
+                if (this.view.getUint8(nal + header.headerSize) === 5) {
+                    report.sei.userData++;
+                    const result = this.inspectSei(new Uint8Array(this.buffer.slice(nal, nal + nalSize)), SeiMetadata, header.headerSize);
+
+                    if (result.status === 'decoded') {
+                        report.sei.decoded++;
+                        const version = String(result.message.version ?? 'unset');
+                        report.versions[version] = (report.versions[version] || 0) + 1;
+                    } else if (result.status === 'not-tesla') {
+                        report.sei.notTesla++;
+                    } else {
+                        report.sei.failed++;
+                        if (report.errors.length < MAX_DIAGNOSTIC_ERRORS) {
+                            report.errors.push({ offset: fileOffset + nal, message: `SEI protobuf decode failed: ${result.error}` });
+                        }
+                    }
+                }
+            }
+            cursor = nal + nalSize;
+        }
+        return cursor - start;
+    }
+
+    // -------------------------------------------------------------
+    // Recovery (files without moov)
+    // -------------------------------------------------------------
+
+    /**
+     * Find in-band parameter sets among the first NAL units of [start, end):
+     * { codecType, vps, sps, pps }, or null when no SPS is found.
+     */
+    findParameterSets(start, end) {
+        let codecType = null;
+        const sets = { vps: null, sps: null, pps: null };
+
+        for (let cursor = start; cursor + 4 <= end;) {
+            const nalSize = this.view.getUint32(cursor);
+            const nal = cursor + 4;
+            if (nalSize < 2 || nal + nalSize > end) break;
+
+            const byte0 = this.view.getUint8(nal);
+            const byte1 = this.view.getUint8(nal + 1);
+            const data = () => new Uint8Array(this.buffer.slice(nal, nal + nalSize));
+
+            // H.265 headers are two bytes; the second is 0x01 for base-layer parameter sets
+            const hevcType = (byte0 >> 1) & 0x3F;
+            if (codecType !== 'h264' && byte1 === 0x01 && hevcType >= 32 && hevcType <= 34) {
+                codecType = 'hevc';
+                const name = ['vps', 'sps', 'pps'][hevcType - 32];
+                sets[name] = sets[name] || data();
+            } else if (codecType !== 'hevc' && (byte0 & 0x1F) === 7) {
+                codecType = 'h264';
+                sets.sps = sets.sps || data();
+            } else if (codecType === 'h264' && (byte0 & 0x1F) === 8) {
+                sets.pps = sets.pps || data();
+            }
+
+            if (sets.sps && sets.pps && (codecType === 'h264' || sets.vps)) break;
+            cursor = nal + nalSize;
+        }
+        return sets.sps ? { codecType, ...sets } : null;
+    }
+
+    /**
+     * RFC 6381 codec string for H.265 from the 12 profile_tier_level bytes
+     * (general profile space/tier/idc, compatibility flags, constraint flags, level), as stored in hvcC
+     */
+    static hevcCodecString(type, ptl) {
+        const profileSpace = ['', 'A', 'B', 'C'][ptl[0] >> 6];
+        const tier = (ptl[0] & 0x20) ? 'H' : 'L';
+        const profileIdc = ptl[0] & 0x1F;
+
+        // Compatibility flags are written bit-reversed
+        let compat = new DataView(ptl.buffer, ptl.byteOffset).getUint32(1), reversed = 0;
+        for (let i = 0; i < 32; i++) { reversed = (reversed << 1) | (compat & 1); compat >>>= 1; }
+
+        const constraints = Array.from(ptl.subarray(5, 11));
+        while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+
+        return [`${type}`, `${profileSpace}${profileIdc}`, (reversed >>> 0).toString(16), `${tier}${ptl[11]}`,
+            ...constraints.map(b => b.toString(16))].join('.');
+    }
+
+    /** Exp-Golomb bit reader over RBSP bytes: { u(n), ue(), se() } */
+    static createBitReader(data) {
+        let bit = 0;
+        const u = (n) => {
+            let value = 0;
+            for (let i = 0; i < n; i++, bit++) value = value * 2 + ((data[bit >> 3] >> (7 - (bit & 7))) & 1);
+            return value;
+        };
+        const ue = () => {
+            let zeros = 0;
+            while (u(1) === 0 && zeros < 32) zeros++;
+            return 2 ** zeros - 1 + u(zeros);
+        };
+        const se = () => {
+            const k = ue();
+            return k & 1 ? (k + 1) / 2 : -k / 2;
+        };
+        return { u, ue, se };
+    }
+
+    /**
+     * Read what an hvcC box needs from an H.265 SPS NAL unit: frame size, the 12 profile_tier_level bytes,
+     * chroma format, bit depths and temporal layering
+     */
+    static parseHevcSps(nal) {
+        const data = DashcamMP4.prototype.stripEmulationBytes(nal.subarray(2));
+        const { u, ue } = DashcamMP4.createBitReader(data);
+
+        u(4); // sps_video_parameter_set_id
+        const maxSubLayersMinus1 = u(3);
+        const temporalIdNesting = u(1);
+
+        // profile_tier_level: the general part is byte-aligned right after the first byte
+        const profileTierLevel = data.slice(1, 13);
+        u(96);
+        const subLayers = [];
+        for (let i = 0; i < maxSubLayersMinus1; i++) subLayers.push({ profile: u(1), level: u(1) });
+        if (maxSubLayersMinus1 > 0) {
+            for (let i = maxSubLayersMinus1; i < 8; i++) u(2); // reserved_zero_2bits
         }
+        for (const { profile, level } of subLayers) {
+            if (profile) u(88);
+            if (level) u(8);
+        }
+
+        ue(); // sps_seq_parameter_set_id
+        const chromaFormat = ue();
+        if (chromaFormat === 3) u(1); // separate_colour_plane_flag
+        const width = ue();
+        const height = ue();
+
+        let crop = [0, 0, 0, 0];
+        if (u(1)) crop = [ue(), ue(), ue(), ue()]; // conformance window: left, right, top, bottom
+        const cropX = chromaFormat === 1 || chromaFormat === 2 ? 2 : 1;
+        const cropY = chromaFormat === 1 ? 2 : 1;
+
+        return {
+            width: width - (crop[0] + crop[1]) * cropX,
+            height: height - (crop[2] + crop[3]) * cropY,
+            profileTierLevel,
+            chromaFormat,
+            bitDepthLumaMinus8: ue(),
+            bitDepthChromaMinus8: ue(),
+            temporalLayers: maxSubLayersMinus1 + 1,
+            temporalIdNesting
+        };
     }
 
-    /** Strip H.264 emulation prevention bytes */
+    /** Read width and height from an H.264 SPS NAL unit */
+    static parseH264Sps(nal) {
+        const data = DashcamMP4.prototype.stripEmulationBytes(nal.subarray(1));
+        const { u, ue, se } = DashcamMP4.createBitReader(data);
+
+        const profile = u(8);
+        u(16); // constraint flags, level
+        ue(); // seq_parameter_set_id
+
+        let chromaFormat = 1;
+        if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profile)) {
+            chromaFormat = ue();
+            if (chromaFormat === 3) u(1); // separate_colour_plane_flag
+            ue(); ue(); u(1); // bit depths, qpprime_y_zero_transform_bypass_flag
+            if (u(1)) { // seq_scaling_matrix_present_flag
+                for (let i = 0; i < (chromaFormat === 3 ? 12 : 8); i++) {
+                    if (!u(1)) continue;
+                    let last = 8, next = 8;
+                    for (let j = 0; j < (i < 6 ? 16 : 64); j++) {
+                        if (next !== 0) next = (last + se() + 256) % 256;
+                        last = next === 0 ? last : next;
+                    }
+                }
+            }
+        }
+
+        ue(); // log2_max_frame_num_minus4
+        const pocType = ue();
+        if (pocType === 0) {
+            ue();
+        } else if (pocType === 1) {
+            u(1); se(); se();
+            const cycle = ue();
+            for (let i = 0; i < cycle; i++) se();
+        }
+        ue(); u(1); // max_num_ref_frames, gaps_in_frame_num_value_allowed_flag
+
+        const widthInMbs = ue() + 1;
+        const heightInMapUnits = ue() + 1;
+        const frameMbsOnly = u(1);
+        if (!frameMbsOnly) u(1); // mb_adaptive_frame_field_flag
+        u(1); // direct_8x8_inference_flag
+
+        let crop = [0, 0, 0, 0];
+        if (u(1)) crop = [ue(), ue(), ue(), ue()];
+        const cropX = chromaFormat === 1 || chromaFormat === 2 ? 2 : 1;
+        const cropY = (chromaFormat === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+        return {
+            width: widthInMbs * 16 - (crop[0] + crop[1]) * cropX,
+            height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop[2] + crop[3]) * cropY
+        };
+    }
+
+    /**
+     * Group the NAL units in [start, end) into access units (frames) for rebuilding a sample table.
+     * state ({ current, samples, hevc }) carries across chunks; fileOffset maps buffer positions to the file.
+     * After a frame's slices, the next frame starts at an AUD, SEI, parameter set or first slice.
+     * Returns the bytes consumed; stops before a NAL unit that does not fit in the range.
+     */
+    groupAccessUnits(start, end, fileOffset, state) {
+        let cursor = start;
+
+        while (cursor + 4 <= end) {
+            const nalSize = this.view.getUint32(cursor);
+            const nal = cursor + 4;
+            if (nal + nalSize > end) break;
+
+            const header = this.readNalHeader(nal, nalSize, state.hevc);
+            const startsFrame = header.kind === 'slice' ? header.firstSlice : header.kind !== null;
+            const current = state.current;
+            if (current && current.hasSlice && startsFrame) {
+                state.samples.push({ offset: current.offset, size: current.size, keyframe: current.keyframe });
+                state.current = null;
+            }
+
+            if (!state.current) {
+                state.current = { offset: fileOffset + cursor, size: 0, hasSlice: false, keyframe: false };
+            }
+            state.current.size += 4 + nalSize;
+            if (header.kind === 'slice') {
+                state.current.hasSlice = true;
+                state.current.keyframe = state.current.keyframe || header.keyframe;
+            }
+            cursor = nal + nalSize;
+        }
+        return cursor - start;
+    }
+
+    /** Strip H.264/H.265 emulation prevention bytes */
     stripEmulationBytes(data) {
         const out = [];
         let zeros = 0;
@@ -216,8 +992,419 @@ class DashcamMP4 {
     }
 }
 
+// -------------------------------------------------------------
+// Streaming Parser
+// Reads moov and walks mdat in Blob.slice chunks so memory stays bounded
+// regardless of file size. Works on File/Blob in window and worker contexts.
+// -------------------------------------------------------------
+
+// Recovered files (no moov) are timed at Tesla's nominal frame rate
+const RECOVERY_FRAME_RATE = 36;
+const RECOVERY_TIMESCALE = 90000;
+// Bytes read from the start of mdat when looking for in-band SPS/PPS
+const RECOVERY_PROBE_SIZE = 1024 * 1024;
+
+class DashcamMP4Stream {
+    constructor(blob, options = {}) {
+        this.blob = blob;
+        this.chunkSize = options.chunkSize || 4 * 1024 * 1024;
+        this.cancelled = false;
+        this._boxes = null;
+        this._config = null;
+        this._samples = null;
+    }
+
+    /** Read a byte range of the blob */
+    read(start, end) {
+        return this.blob.slice(start, Math.min(end, this.blob.size)).arrayBuffer();
+    }
+
+    /** List top-level boxes ({ type, start, end, headerSize }) without reading their contents */
+    async getTopLevelBoxes() {
+        if (this._boxes) return this._boxes;
+
+        const boxes = [];
+        for (let pos = 0; pos + 8 <= this.blob.size;) {
+            const view = new DataView(await this.read(pos, pos + 16));
+            let size = view.getUint32(0);
+            const type = String.fromCharCode(...new Uint8Array(view.buffer, 4, 4));
+            let headerSize = 8;
+
+            if (size === 1 && view.byteLength >= 16) {
+                size = Number(view.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = this.blob.size - pos;
+            }
+            if (size < headerSize) break; // corrupt box header
+
+            // size is the declared size; end is clamped to the file (they differ when truncated)
+            boxes.push({ type, start: pos, end: Math.min(pos + size, this.blob.size), headerSize, size });
+            pos += size;
+        }
+
+        this._boxes = boxes;
+        return boxes;
+    }
+
+    /** Find a top-level box by name */
+    async findTopLevelBox(name) {
+        const box = (await this.getTopLevelBoxes()).find(b => b.type === name);
+        if (!box) throw new Error(`Box "${name}" not found`);
+        return box;
+    }
+
+    /**
+     * Get video configuration and sample locations by reading only the moov box
+     * (and, for fragmented files, each moof box)
+     */
+    async getConfig() {
+        if (this._config) return this._config;
+
+        // Recording cut off (e.g. by power loss) before the moov box was written
+        if (!(await this.getTopLevelBoxes()).some(box => box.type === 'moov')) {
+            this._config = await this.recoverConfig();
+            this._samples = { offsets: [], sizes: [], keyframes: [] };
+            return this._config;
+        }
+
+        const moovBox = await this.findTopLevelBox('moov');
+        const moov = new DashcamMP4(await this.read(moovBox.start, moovBox.end));
+        const config = moov.getConfig();
+        const samples = moov.getSampleTable();
+
+        const defaults = moov.readTrackDefaults(config.trackId);
+        for (const box of await this.getTopLevelBoxes()) {
+            if (box.type !== 'moof') continue;
+
+            const buffer = await this.read(box.start, box.end);
+            const moof = { boxStart: 0, start: box.headerSize, end: buffer.byteLength };
+            const fragment = new DashcamMP4(buffer).readFragment(moof, config.trackId, defaults, box.start);
+            if (!fragment) continue;
+
+            DashcamMP4.appendFragment(config, fragment);
+            DashcamMP4.appendFragmentSamples(samples, fragment);
+        }
+
+        this._samples = samples;
+        this._config = config;
+        return this._config;
+    }
+
+    /** Sample locations and keyframe flags of the video track ({ offsets, sizes, keyframes }, decode order) */
+    async getSampleTable() {
+        await this.getConfig();
+        return this._samples;
+    }
+
+    /** The video track's stsd box (header included), for writing the samples into a new file unchanged */
+    async getSampleDescription() {
+        const moovBox = await this.findTopLevelBox('moov');
+        const moov = new DashcamMP4(await this.read(moovBox.start, moovBox.end));
+        return moov.getSampleDescription();
+    }
+
+    /**
+     * Config for a file without moov: codec and size from the in-band SPS/PPS at the start of mdat,
+     * timing at the nominal 36 fps (frames have no presentation times, see recovered: true)
+     */
+    async recoverConfig() {
+        const mdat = await this.findTopLevelBox('mdat');
+        const contentStart = mdat.start + mdat.headerSize;
+        const buffer = await this.read(contentStart, Math.min(contentStart + RECOVERY_PROBE_SIZE, mdat.end));
+        const params = new DashcamMP4(buffer).findParameterSets(0, buffer.byteLength);
+        if (!params) {
+            throw new Error('No moov box and no in-band SPS found; the file cannot be recovered');
+        }
+
+        const hevc = params.codecType === 'hevc';
+        const sps = params.sps;
+        const hevcSps = hevc ? DashcamMP4.parseHevcSps(sps) : null;
+        const size = hevc ? { width: hevcSps.width, height: hevcSps.height } : DashcamMP4.parseH264Sps(sps);
+        const hex = (n) => n.toString(16).padStart(2, '0');
+
+        return {
+            recovered: true,
+            codecType: params.codecType,
+            codec: hevc
+                ? DashcamMP4.hevcCodecString('hvc1', hevcSps.profileTierLevel)
+                : `avc1.${hex(sps[1])}${hex(sps[2])}${hex(sps[3])}`,
+            ...size,
+            hevcSps,
+            vps: params.vps,
+            sps,
+            pps: params.pps,
+            nalLengthSize: 4,
+            trackId: null,
+            timescale: RECOVERY_TIMESCALE,
+            durations: [1000 / RECOVERY_FRAME_RATE],
+            presentationTimes: [],
+            mediaStart: 0,
+            decodeEnd: 0
+        };
+    }
+
+    /**
+     * Rebuild the sample table of a file without moov by grouping mdat NAL units into frames.
+     * Resolves with { samples: [{ offset, size, keyframe, duration }], dataStart, dataEnd }: samples are
+     * contiguous in [dataStart, dataEnd) and timed at the nominal frame rate (duration in RECOVERY_TIMESCALE ticks).
+     */
+    async recoverSamples(onProgress = null) {
+        const config = await this.getConfig();
+        const mdat = await this.findTopLevelBox('mdat');
+        const contentStart = mdat.start + mdat.headerSize;
+        const state = { current: null, samples: [], hevc: config.codecType === 'hevc' };
+        let pos = contentStart;
+        let chunkSize = this.chunkSize;
+
+        while (pos + 4 <= mdat.end && !this.cancelled) {
+            const mp4 = new DashcamMP4(await this.read(pos, Math.min(pos + chunkSize, mdat.end)));
+            const consumed = mp4.groupAccessUnits(0, mp4.view.byteLength, pos, state);
+
+            if (consumed === 0) {
+                // A NAL unit larger than the chunk, or the cut-off end of the recording
+                const needed = mp4.view.getUint32(0) + 4;
+                if (needed <= chunkSize || pos + needed > mdat.end) break;
+                chunkSize = needed;
+                continue;
+            }
+
+            chunkSize = this.chunkSize;
+            pos += consumed;
+            if (onProgress) onProgress((pos - contentStart) / (mdat.end - contentStart));
+        }
+
+        // The last frame is complete only if its NAL units were; a cut-off NAL unit ends the scan
+        if (state.current && state.current.hasSlice) {
+            const { offset, size, keyframe } = state.current;
+            state.samples.push({ offset, size, keyframe });
+        }
+
+        const duration = RECOVERY_TIMESCALE / RECOVERY_FRAME_RATE;
+        const samples = state.samples.map(sample => ({ ...sample, duration }));
+        const last = samples[samples.length - 1];
+        return {
+            samples,
+            dataStart: samples.length > 0 ? samples[0].offset : contentStart,
+            dataEnd: last ? last.offset + last.size : contentStart
+        };
+    }
+
+    /**
+     * Read SEI in chunks, yielding { seiMessages, frameIndices, bytesRead, totalBytes } per chunk.
+     * Frame indices count across chunks (decode order over the whole file).
+     * Uses the sample tables when present, otherwise walks mdat NAL by NAL.
+     */
+    async *streamSei(SeiMetadata) {
+        const config = await this.getConfig();
+        if (this._samples.offsets.length > 0) {
+            yield* this.streamSamples(SeiMetadata, config);
+        } else {
+            yield* this.streamMdat(SeiMetadata, config);
+        }
+    }
+
+    /**
+     * Read the video track's samples in groups of up to chunkSize bytes.
+     * Yields { mp4, start, first, last }: a parser over the group's bytes (file offset start)
+     * and the range of sample indices it holds.
+     */
+    async *readSampleGroups() {
+        const { offsets, sizes } = this._samples;
+
+        for (let i = 0; i < offsets.length && !this.cancelled;) {
+            // Group following samples that fit in one read (other tracks' data in between is skipped over)
+            const start = offsets[i];
+            let end = start + sizes[i];
+            let last = i;
+            while (last + 1 < offsets.length && offsets[last + 1] >= start &&
+                offsets[last + 1] + sizes[last + 1] - start <= this.chunkSize) {
+                last++;
+                end = Math.max(end, offsets[last] + sizes[last]);
+            }
+
+            yield { mp4: new DashcamMP4(await this.read(start, end)), start, first: i, last };
+            i = last + 1;
+        }
+    }
+
+    /** Read SEI sample by sample using the sample tables */
+    async *streamSamples(SeiMetadata, config) {
+        const { offsets, sizes } = this._samples;
+        const hevc = config.codecType === 'hevc';
+        const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+        let bytesRead = 0;
+
+        for await (const { mp4, start, first, last } of this.readSampleGroups()) {
+            const out = { seiMessages: [], frameIndices: [] };
+            for (let j = first; j <= last; j++) {
+                const sei = mp4.scanSample(offsets[j] - start, sizes[j], SeiMetadata, hevc, config.nalLengthSize);
+                if (sei) {
+                    out.seiMessages.push(sei);
+                    out.frameIndices.push(j);
+                }
+                bytesRead += sizes[j];
+            }
+            yield { ...out, bytesRead, totalBytes };
+        }
+    }
+
+    /** Walk mdat NAL by NAL in chunks (files without usable sample tables) */
+    async *streamMdat(SeiMetadata, config) {
+        const mdat = await this.findTopLevelBox('mdat');
+        const contentStart = mdat.start + mdat.headerSize;
+        const totalBytes = mdat.end - contentStart;
+        const state = { pendingSei: null, frameIndex: -1, hevc: config.codecType === 'hevc' };
+        let pos = contentStart;
+        let chunkSize = this.chunkSize;
+
+        while (pos + 4 <= mdat.end && !this.cancelled) {
+            const buffer = await this.read(pos, Math.min(pos + chunkSize, mdat.end));
+            const out = { seiMessages: [], frameIndices: [] };
+            const consumed = new DashcamMP4(buffer).scanNals(0, buffer.byteLength, SeiMetadata, state, out);
+
+            if (consumed === 0) {
+                // A single NAL unit larger than the chunk: grow the chunk to fit it
+                const needed = new DataView(buffer).getUint32(0) + 4;
+                if (needed <= chunkSize || pos + needed > mdat.end) break; // truncated file
+                chunkSize = needed;
+                continue;
+            }
+
+            chunkSize = this.chunkSize;
+            pos += consumed;
+            yield { ...out, bytesRead: pos - contentStart, totalBytes };
+        }
+    }
+
+    /**
+     * Build a diagnostics report for files with missing or corrupt telemetry: box tree, codec,
+     * NAL type histogram, SEI NALs found versus decoded, protobuf decode errors with file offsets,
+     * telemetry versions seen, and structural warnings (truncation, missing boxes).
+     * onProgress receives the fraction (0-1) of video data scanned.
+     */
+    async diagnose(SeiMetadata, onProgress = null) {
+        const report = {
+            fileSize: this.blob.size,
+            boxes: [],
+            codec: null,
+            scanMode: null,
+            nalTypes: {},
+            sei: { nalUnits: 0, userData: 0, decoded: 0, notTesla: 0, failed: 0 },
+            versions: {},
+            errors: [],
+            warnings: []
+        };
+
+        // Box tree (moov expanded; mdat and fragments only listed)
+        const boxes = await this.getTopLevelBoxes();
+        for (const box of boxes) {
+            const entry = { type: box.type, offset: box.start, size: box.size };
+            if (box.start + box.size > this.blob.size) {
+                report.warnings.push(`Box "${box.type}" at offset ${box.start} declares ${box.size} bytes but only ${this.blob.size - box.start} remain (file truncated)`);
+            }
+            if (box.type === 'moov') {
+                const moov = new DashcamMP4(await this.read(box.start, box.end));
+                entry.children = moov.describeBoxes(box.headerSize, moov.view.byteLength, box.start);
+            }
+            report.boxes.push(entry);
+        }
+        const lastBox = boxes[boxes.length - 1];
+        if (lastBox && lastBox.end < this.blob.size) {
+            report.warnings.push(`Unparseable data after offset ${lastBox.end} (corrupt box header)`);
+        }
+        for (const name of ['moov', 'mdat']) {
+            if (!boxes.some(box => box.type === name)) report.warnings.push(`No "${name}" box found`);
+        }
+
+        // Codec and track
+        let config = null;
+        try {
+            config = await this.getConfig();
+            report.codec = {
+                recovered: !!config.recovered,
+                codecType: config.codecType,
+                codec: config.codec,
+                width: config.width,
+                height: config.height,
+                trackId: config.trackId,
+                timescale: config.timescale,
+                frames: config.presentationTimes.length,
+                nalLengthSize: config.nalLengthSize
+            };
+        } catch (error) {
+            report.errors.push({ offset: null, message: `Video configuration: ${error.message}` });
+        }
+
+        const options = {
+            hevc: config?.codecType === 'hevc',
+            nalLengthSize: config?.nalLengthSize || 4
+        };
+
+        if (config && this._samples.offsets.length > 0) {
+            // Sample tables: inspect each frame where the container says it is
+            report.scanMode = 'samples';
+            const { offsets, sizes } = this._samples;
+            let mismatched = 0;
+            for await (const { mp4, start, first, last } of this.readSampleGroups()) {
+                for (let j = first; j <= last; j++) {
+                    const local = offsets[j] - start;
+                    const consumed = mp4.inspectNals(local, local + sizes[j], SeiMetadata, { ...options, fileOffset: start }, report);
+                    if (consumed < sizes[j] && mismatched++ === 0) {
+                        report.warnings.push(`Sample ${j} at offset ${offsets[j]}: NAL lengths do not match the ${sizes[j]}-byte sample size`);
+                    }
+                }
+                if (onProgress) onProgress((last + 1) / offsets.length);
+            }
+            if (mismatched > 1) {
+                report.warnings.push(`${mismatched} samples in total have NAL lengths that do not match their size`);
+            }
+        } else {
+            // No usable sample tables: walk mdat NAL by NAL
+            report.scanMode = 'mdat';
+            const mdat = boxes.find(box => box.type === 'mdat');
+            if (mdat) {
+                const contentStart = mdat.start + mdat.headerSize;
+                let pos = contentStart;
+                let chunkSize = this.chunkSize;
+
+                while (pos + options.nalLengthSize <= mdat.end && !this.cancelled) {
+                    const mp4 = new DashcamMP4(await this.read(pos, Math.min(pos + chunkSize, mdat.end)));
+                    const consumed = mp4.inspectNals(0, mp4.view.byteLength, SeiMetadata, { ...options, fileOffset: pos }, report);
+
+                    if (consumed === 0) {
+                        // A NAL unit larger than the chunk: grow the chunk, unless it runs past the data
+                        const needed = mp4.view.getUint32(0) + options.nalLengthSize;
+                        if (needed <= chunkSize || pos + needed > mdat.end) {
+                            report.warnings.push(`NAL unit at offset ${pos} claims ${needed} bytes but mdat ends at offset ${mdat.end}`);
+                            break;
+                        }
+                        chunkSize = needed;
+                        continue;
+                    }
+
+                    chunkSize = this.chunkSize;
+                    pos += consumed;
+                    if (onProgress) onProgress((pos - contentStart) / (mdat.end - contentStart));
+                }
+            }
+        }
+
+        if (report.sei.failed > report.errors.length) {
+            report.warnings.push(`${report.sei.failed - report.errors.length} more decode errors not listed`);
+        }
+        return report;
+    }
+
+    /** Stop streaming after the current chunk */
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
 // Use globalThis to work in both browser window and Web Worker contexts
 globalThis.DashcamMP4 = DashcamMP4;
+globalThis.DashcamMP4Stream = DashcamMP4Stream;
 
 // -------------------------------------------------------------
 // Tesla Dashcam Helpers
@@ -225,12 +1412,25 @@ globalThis.DashcamMP4 = DashcamMP4;
 // -------------------------------------------------------------
 
 (function () {
+    // SEI schema versions. dashcam.proto is version 1; protos for newer firmware go next to it
+    // in lib/ and are listed here. Files that are not present are skipped.
+    const SCHEMA_REGISTRY = [
+        { version: 1, file: 'dashcam.proto' }
+    ];
+
+    const WIRE_TYPE_NAMES = { 0: 'varint', 1: 'fixed64', 2: 'bytes', 5: 'fixed32' };
+
     let SeiMetadata = null;
     let enumFields = null;
+    let schemas = null; // [{ version, SeiMetadata, enumFields }], ascending by version
+    let seiDecoder = null;
 
-    /** Initialize protobuf by loading the .proto file */
+    /**
+     * Initialize protobuf by loading the base .proto file and any newer registered schemas
+     * from the same directory
+     */
     async function initProtobuf(protoPath = 'dashcam.proto') {
-        if (SeiMetadata) return { SeiMetadata, enumFields };
+        if (SeiMetadata) return getProtobuf();
 
         const response = await fetch(protoPath);
         const root = protobuf.parse(await response.text()).root;
@@ -241,11 +1441,121 @@ globalThis.DashcamMP4 = DashcamMP4;
             gear_state: SeiMetadata.lookup('Gear'),
             autopilot_state: SeiMetadata.lookup('AutopilotState')
         };
-        return { SeiMetadata, enumFields };
+
+        const baseVersion = SCHEMA_REGISTRY[0].version;
+        const directory = protoPath.slice(0, protoPath.lastIndexOf('/') + 1);
+        schemas = [{ version: baseVersion, SeiMetadata, enumFields }];
+        for (const { version, file } of SCHEMA_REGISTRY) {
+            if (version === baseVersion) continue;
+            const type = await loadSchema(directory + file);
+            if (type) schemas.push({ version, SeiMetadata: type, enumFields: getEnumFields(type) });
+        }
+        schemas.sort((a, b) => a.version - b.version);
+
+        seiDecoder = { decode: decodeSeiPayload };
+        return getProtobuf();
     }
 
+    /** Load an optional newer schema, or null when it is missing or invalid */
+    async function loadSchema(path) {
+        try {
+            const response = await fetch(path);
+            if (!response.ok) return null;
+            return protobuf.parse(await response.text()).root.lookupType('SeiMetadata');
+        } catch (error) {
+            console.warn(`SEI schema ${path} could not be loaded:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * { SeiMetadata, enumFields } for the base schema, plus seiDecoder (pass it wherever a
+     * SeiMetadata type is expected) and the loaded schemaVersions
+     */
     function getProtobuf() {
-        return SeiMetadata ? { SeiMetadata, enumFields } : null;
+        if (!SeiMetadata) return null;
+        return { SeiMetadata, enumFields, seiDecoder, schemaVersions: schemas.map(schema => schema.version) };
+    }
+
+    /** Newest loaded schema that is not newer than version (the base schema if none match) */
+    function getSchema(version) {
+        if (!schemas) return null;
+        let match = schemas[0];
+        for (const schema of schemas) {
+            if (schema.version <= version) match = schema;
+        }
+        return match;
+    }
+
+    /** Map of field name to enum type for a SeiMetadata type */
+    function getEnumFields(type) {
+        const result = {};
+        for (const field of type.fieldsArray) {
+            if (field.resolve().resolvedType instanceof protobuf.Enum) {
+                result[field.name] = field.resolvedType;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Decode a SEI protobuf payload with the schema matching its version field.
+     * Adds $schemaVersion and, when the payload has fields the schema does not know,
+     * $unknownFields ({ fieldNumber: { wireType, value } }) as plain data.
+     */
+    function decodeSeiPayload(bytes) {
+        let message = SeiMetadata.decode(bytes);
+        const schema = getSchema(message.version);
+        if (schema.SeiMetadata !== SeiMetadata) {
+            message = schema.SeiMetadata.decode(bytes);
+        }
+
+        message.$schemaVersion = schema.version;
+        const unknownFields = readUnknownFields(bytes, schema.SeiMetadata);
+        if (unknownFields) message.$unknownFields = unknownFields;
+        return message;
+    }
+
+    /**
+     * Walk the protobuf wire format and collect fields not defined in type.
+     * Values are best guesses from the wire type: varint as an integer, fixed64 as double,
+     * fixed32 as float, length-delimited as text when printable, hex otherwise.
+     */
+    function readUnknownFields(bytes, type) {
+        const reader = protobuf.Reader.create(bytes);
+        let result = null;
+
+        while (reader.pos < reader.len) {
+            const tag = reader.uint32();
+            const fieldNumber = tag >>> 3;
+            const wireType = tag & 7;
+            if (type.fieldsById[fieldNumber] || !(wireType in WIRE_TYPE_NAMES)) {
+                reader.skipType(wireType);
+                continue;
+            }
+
+            let value;
+            if (wireType === 0) value = Number(reader.uint64());
+            else if (wireType === 1) value = reader.double();
+            else if (wireType === 5) value = reader.float();
+            else value = formatBytes(reader.bytes());
+
+            result = result || {};
+            const existing = result[fieldNumber];
+            if (!existing) {
+                result[fieldNumber] = { wireType: WIRE_TYPE_NAMES[wireType], value };
+            } else {
+                // Repeated field: collect every occurrence
+                existing.value = [].concat(existing.value, value);
+            }
+        }
+        return result;
+    }
+
+    function formatBytes(bytes) {
+        const text = protobuf.util.utf8.read(bytes, 0, bytes.length);
+        if (/^[\x20-\x7E]*$/.test(text)) return text;
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
     }
 
     /** Derive field metadata from SeiMetadata type */
@@ -310,9 +1620,9 @@ globalThis.DashcamMP4 = DashcamMP4;
         setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    /** Get MP4 files from drag/drop DataTransfer */
+    /** Get MP4 files (and TeslaCam event.json metadata) from drag/drop DataTransfer */
     async function getFilesFromDataTransfer(items) {
-        const files = [], entries = [];
+        const files = [], eventFiles = [], paths = new Map(), entries = [];
         let directoryName = null;
         for (const item of items) {
             const entry = item.webkitGetAsEntry?.();
@@ -325,21 +1635,32 @@ globalThis.DashcamMP4 = DashcamMP4;
         async function traverse(entry) {
             if (entry.isFile) {
                 const file = await new Promise((res, rej) => entry.file(res, rej));
-                if (file.name.toLowerCase().endsWith('.mp4')) files.push(file);
+                const name = file.name.toLowerCase();
+                if (name.endsWith('.mp4')) files.push(file);
+                else if (name === 'event.json') eventFiles.push(file);
+                else return;
+                paths.set(file, entry.fullPath);
             } else if (entry.isDirectory) {
+                // readEntries returns results in batches (100 in Chrome); read until empty
                 const reader = entry.createReader();
-                const children = await new Promise((res, rej) => reader.readEntries(res, rej));
+                const children = [];
+                for (;;) {
+                    const batch = await new Promise((res, rej) => reader.readEntries(res, rej));
+                    if (batch.length === 0) break;
+                    children.push(...batch);
+                }
                 await Promise.all(children.map(traverse));
             }
         }
         await Promise.all(entries.map(traverse));
-        return { files, directoryName };
+        return { files, eventFiles, paths, directoryName };
     }
 
     // Use globalThis to work in both browser window and Web Worker contexts
     globalThis.DashcamHelpers = {
         initProtobuf,
         getProtobuf,
+        getSchema,
         deriveFieldInfo,
         formatValue,
         buildCsv,